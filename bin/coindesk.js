@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+/**
+ * Coindesk API command-line interface.
+ *
+ * @file Executable entry point for the coindesk command.
+ */
+
+const { run } = require('../src/cli');
+
+run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,291 @@
+/**
+ * Coindesk API price alert engine.
+ *
+ * @file Defines AlertEngine class evaluating alert rules on current price snapshots.
+ */
+
+const EventEmitter = require('events');
+const { _private } = require('../coindesk/weakmap');
+const { getLogger } = require('../logger/service');
+const { CurrentPrice, HistoricalSeries } = require('../coindesk/models');
+const { validateRule, evaluateRule } = require('./rules');
+const { toSink } = require('./sinks');
+const settings = require('../settings');
+
+const logger = getLogger(__filename);
+
+/**
+ * Constructs an instance of AlertEngine class.
+ *
+ * Evaluates alert rules against each new current price snapshot and a
+ * rolling history window, delivering fired alerts to the sinks. A rule
+ * fires when its condition is true and its cooldown has elapsed since it
+ * last fired, so a condition flapping within the cooldown fires once.
+ * Emits alert events with each fired alert and error events when a sink
+ * fails.
+ *
+ * @access public
+ * @class
+ */
+class AlertEngine extends EventEmitter {
+
+  /**
+   * Constructs an instance of AlertEngine class.
+   *
+   * @access     public
+   * @constructs AlertEngine
+   *
+   * @constructor
+   * @param  {Object} engine               Engine settings.
+   * @param  {Array}  engine.rules         Alert rules.
+   * @param  {Array}  engine.sinks         Sinks (objects with send method or functions).
+   * @param  {Number} engine.historyWindow Number of miliseconds of snapshots kept in history.
+   * @return {AlertEngine} Class instance.
+   *
+   * @throws {CoindeskAPIAlertError}
+   */
+  constructor({ rules = [], sinks = [], historyWindow = settings.ALERT_HISTORY_WINDOW } = {}) {
+    super();
+    _private(this).rules = [];
+    _private(this).ruleCount = 0;
+    _private(this).sinks = [];
+    _private(this).state = new Map();
+    _private(this).history = new Map();
+    _private(this).closes = new Map();
+    _private(this).historyWindow = historyWindow;
+    rules.forEach(rule => this.addRule(rule));
+    sinks.forEach(sink => this.addSink(sink));
+  }
+
+  /**
+   * Returns instance string representation.
+   *
+   * @access   public
+   * @memberof AlertEngine
+   *
+   * @function
+   * @return {String} AlertEngine class instance string representation.
+   */
+  toString() {
+    return `Coindesk API Alert Engine -
+      Class: ${ this.constructor.name },
+      Rules: ${ this.rules.map(rule => rule.id).join(', ') },
+      Sinks: ${ _private(this).sinks.length }`;
+  }
+
+  /**
+   * Returns the alert rules.
+   *
+   * @access   public
+   * @memberof AlertEngine
+   *
+   * @property {Function}
+   * @return   {Array} Copies of the validated alert rules.
+   */
+  get rules() {
+    return _private(this).rules.map(rule => Object.assign({}, rule));
+  }
+
+  /**
+   * Adds an alert rule.
+   *
+   * Rules without id get one from their type, currency and a sequence
+   * number never reused by the engine. A rule with the id of another
+   * one replaces it.
+   *
+   * @access   public
+   * @memberof AlertEngine
+   *
+   * @function
+   * @param  {Object} rule Alert rule.
+   * @return {Object} Validated alert rule.
+   *
+   * @throws {CoindeskAPIAlertError}
+   */
+  addRule(rule) {
+    rule = validateRule(rule, _private(this).ruleCount++);
+    this.removeRule(rule.id);
+    _private(this).rules.push(rule);
+    return Object.assign({}, rule);
+  }
+
+  /**
+   * Removes an alert rule and its firing state.
+   *
+   * @access   public
+   * @memberof AlertEngine
+   *
+   * @function
+   * @param {String} id Alert rule id.
+   */
+  removeRule(id) {
+    _private(this).rules = _private(this).rules.filter(rule => rule.id !== id);
+    _private(this).state.delete(id);
+  }
+
+  /**
+   * Adds an alert sink.
+   *
+   * @access   public
+   * @memberof AlertEngine
+   *
+   * @function
+   * @param  {(Object|Function)} sink Object with send method or callback function.
+   * @return {AlertEngine} Class instance.
+   *
+   * @throws {CoindeskAPIAlertError}
+   */
+  addSink(sink) {
+    _private(this).sinks.push(toSink(sink));
+    return this;
+  }
+
+  /**
+   * Sets the daily close prices used by moving average rules.
+   *
+   * @access   public
+   * @memberof AlertEngine
+   *
+   * @function
+   * @param  {String}                    currency Currency code.
+   * @param  {(HistoricalSeries|Object)} series   Historical close prices.
+   * @return {AlertEngine} Class instance.
+   */
+  setHistory(currency, series) {
+    const closes = new Map();
+    HistoricalSeries.fromJSON(series).points.forEach(({ date, close }) => closes.set(date, close));
+    _private(this).closes.set(currency, closes);
+    return this;
+  }
+
+  /**
+   * Evaluates the rules against a current price snapshot.
+   *
+   * @access   public
+   * @memberof AlertEngine
+   *
+   * @function
+   * @param  {(CurrentPrice|Object)} snapshot CurrentPrice, its plain object or a currentprice response.
+   * @return {Promise} Fired alerts.
+   */
+  async evaluate(snapshot) {
+    if (!(snapshot instanceof CurrentPrice)) {
+      snapshot = snapshot.bpi !== undefined ? CurrentPrice.fromResponse(snapshot) : CurrentPrice.fromJSON(snapshot);
+    }
+    const time = snapshot.time.getTime();
+    const contexts = new Map();
+    snapshot.rates.forEach(rate => contexts.set(rate.code, this._record(rate.code, rate.value, time)));
+
+    const alerts = [];
+    _private(this).rules.forEach(rule => {
+      if (!contexts.has(rule.currency)) return;
+      const context = contexts.get(rule.currency);
+      const result = evaluateRule(rule, context);
+      const state = _private(this).state.get(rule.id) || { firedAt: null };
+      const cooled = state.firedAt === null || time - state.firedAt >= rule.cooldown;
+      if (result.triggered && cooled) {
+        state.firedAt = time;
+        alerts.push({
+          rule: rule.id,
+          type: rule.type,
+          currency: rule.currency,
+          value: context.value,
+          time: snapshot.time.toISOString(),
+          message: result.message
+        });
+      }
+      _private(this).state.set(rule.id, state);
+    });
+    await Promise.all(alerts.map(alert => this._deliver(alert)));
+    return alerts;
+  }
+
+  /**
+   * Evaluates the rules on every price ticker update.
+   *
+   * @access   public
+   * @memberof AlertEngine
+   *
+   * @function
+   * @param  {PriceTicker} ticker Price ticker.
+   * @return {Function}    Function detaching the engine from the ticker.
+   */
+  attach(ticker) {
+    const listener = snapshot => this.evaluate(snapshot).catch(err => this._emitError(err));
+    ticker.on('update', listener);
+    return () => ticker.removeListener('update', listener);
+  }
+
+  /**
+   * Returns the rules as plain objects.
+   *
+   * @access   public
+   * @memberof AlertEngine
+   *
+   * @function
+   * @return {Array} Serialisable alert rules.
+   */
+  toJSON() {
+    return this.rules;
+  }
+
+  /**
+   * Adds a price to the currency history returning the evaluation context.
+   *
+   * @access   protected
+   * @memberof AlertEngine
+   *
+   * @function
+   * @param  {String} currency Currency code.
+   * @param  {Number} value    Bitcoin price.
+   * @param  {Number} time     Snapshot timestamp in miliseconds.
+   * @return {Object} Current value, previous value, history and daily closes.
+   */
+  _record(currency, value, time) {
+    const history = _private(this).history.get(currency) || [];
+    const last = history.length > 0 ? history[history.length - 1] : null;
+    const previous = last !== null ? last.value : null;
+    if (last === null || time > last.time) history.push({ time, value });
+    const windows = _private(this).rules.filter(rule => rule.type === 'change').map(rule => rule.window);
+    const historyWindow = Math.max(_private(this).historyWindow, ...windows);
+    const recent = history.filter(point => point.time >= time - historyWindow);
+    _private(this).history.set(currency, recent);
+
+    const closes = new Map(_private(this).closes.get(currency) || []);
+    const today = new Date(time).toISOString().slice(0, 10);
+    recent.forEach(point => {
+      const day = new Date(point.time).toISOString().slice(0, 10);
+      if (day < today) closes.set(day, point.value);
+    });
+    const dailyCloses = Array.from(closes.keys()).filter(day => day < today).sort().map(day => closes.get(day));
+    return { value, time, previous, history: recent, closes: dailyCloses };
+  }
+
+  /**
+   * Delivers an alert to every sink.
+   *
+   * @access   protected
+   * @memberof AlertEngine
+   *
+   * @function
+   * @param  {Object}  alert Fired alert.
+   * @return {Promise} Resolves when delivered to every sink.
+   */
+  async _deliver(alert) {
+    this.emit('alert', alert);
+    await Promise.all(_private(this).sinks.map(async sink => {
+      try {
+        await sink.send(alert);
+      } catch (err) {
+        this._emitError(err);
+      }
+    }));
+  }
+
+  _emitError(err) {
+    logger.error(`[AlertEngine] Alert error: ${ err.message }`);
+    if (this.listenerCount('error') > 0) this.emit('error', err);
+  }
+}
+
+module.exports = { AlertEngine };
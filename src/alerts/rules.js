@@ -0,0 +1,146 @@
+/**
+ * Coindesk API price alert rules.
+ *
+ * Rules are plain JSON-serialisable objects:
+ *
+ *   - cross:         { type: 'cross', currency, direction: 'above'|'below', threshold }
+ *   - change:        { type: 'change', currency, direction: 'up'|'down'|'any', percent, window }
+ *   - movingAverage: { type: 'movingAverage', currency, direction: 'above'|'below', days }
+ *
+ * Every rule accepts optional id and cooldown (miliseconds) properties.
+ *
+ * @file Defines alert rules schema and evaluators.
+ */
+
+const Joi = require('@hapi/joi');
+const { getLogger } = require('../logger/service');
+const { CoindeskAPIAlertError } = require('../errors');
+const settings = require('../settings');
+
+const logger = getLogger(__filename);
+
+const baseRule = {
+  id: Joi.string(),
+  currency: Joi.string().regex(/^[A-Z]{3}$/).required(),
+  cooldown: Joi.number().integer().min(0).default(settings.ALERT_COOLDOWN)
+};
+
+const ruleSchema = Joi.alternatives().try(
+  Joi.object().keys(Object.assign({}, baseRule, {
+    type: Joi.string().valid('cross').required(),
+    direction: Joi.string().valid('above', 'below').required(),
+    threshold: Joi.number().positive().required()
+  })),
+  Joi.object().keys(Object.assign({}, baseRule, {
+    type: Joi.string().valid('change').required(),
+    direction: Joi.string().valid('up', 'down', 'any').default('any'),
+    percent: Joi.number().positive().required(),
+    window: Joi.number().integer().positive().required()
+  })),
+  Joi.object().keys(Object.assign({}, baseRule, {
+    type: Joi.string().valid('movingAverage').required(),
+    direction: Joi.string().valid('above', 'below').required(),
+    days: Joi.number().integer().min(2).required()
+  }))
+);
+
+/**
+ * Validates an alert rule, setting default values.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {Object} rule  Alert rule.
+ * @param  {Number} index Rule sequence number used to build the default id.
+ * @return {Object} Validated alert rule.
+ *
+ * @throws {CoindeskAPIAlertError}
+ */
+let validateRule = (rule, index = 0) => {
+  const { error, value } = ruleSchema.validate(rule);
+  if (error) {
+    const message = `Unvalid alert rule ${ JSON.stringify(rule) } - ${ error.message }`;
+    logger.error(`[AlertEngine] Rule error: ${ message }`);
+    throw new CoindeskAPIAlertError(message);
+  }
+  if (value.id === undefined) value.id = `${ value.type }-${ value.currency }-${ index }`;
+  return value;
+};
+
+/**
+ * Evaluates a cross rule: the price moved past the threshold.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Object} rule    Alert rule.
+ * @param  {Object} context Current value, previous value, history and daily closes.
+ * @return {Object} Whether the rule triggers with a description.
+ */
+let evaluateCross = ({ direction, threshold, currency }, { value, previous }) => {
+  const above = direction === 'above';
+  const triggered = previous !== null && (above ? previous <= threshold && value > threshold : previous >= threshold && value < threshold);
+  return { triggered, message: `BTC/${ currency } crossed ${ direction } ${ threshold } (${ previous } -> ${ value })` };
+};
+
+/**
+ * Evaluates a change rule: the price moved more than the percentage in the window.
+ *
+ * The change is measured against the oldest value in the window.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Object} rule    Alert rule.
+ * @param  {Object} context Current value, previous value, history and daily closes.
+ * @return {Object} Whether the rule triggers with a description.
+ */
+let evaluateChange = ({ direction, percent, window, currency }, { value, time, history }) => {
+  const from = history.find(point => point.time >= time - window);
+  if (from === undefined || from.time === time) return { triggered: false };
+  const change = (value - from.value) / from.value * 100;
+  const moved = direction === 'up' ? change >= percent : direction === 'down' ? -change >= percent : Math.abs(change) >= percent;
+  return { triggered: moved, message: `BTC/${ currency } moved ${ change.toFixed(2) }% in ${ window } ms`, change };
+};
+
+/**
+ * Evaluates a moving average rule: the price is above or below its daily closes average.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Object} rule    Alert rule.
+ * @param  {Object} context Current value, previous value, history and daily closes.
+ * @return {Object} Whether the rule triggers with a description.
+ */
+let evaluateMovingAverage = ({ direction, days, currency }, { value, closes }) => {
+  if (closes.length < days) return { triggered: false };
+  const average = closes.slice(-days).reduce((total, close) => total + close, 0) / days;
+  const triggered = direction === 'above' ? value > average : value < average;
+  return { triggered, message: `BTC/${ currency } ${ value } is ${ direction } its ${ days }-day moving average ${ average.toFixed(2) }`, average };
+};
+
+const evaluators = {
+  cross: evaluateCross,
+  change: evaluateChange,
+  movingAverage: evaluateMovingAverage
+};
+
+/**
+ * Evaluates an alert rule against the price context.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {Object} rule    Validated alert rule.
+ * @param  {Object} context Current value, previous value, history and daily closes.
+ * @return {Object} Whether the rule triggers with a description.
+ */
+let evaluateRule = (rule, context) => {
+  return evaluators[rule.type](rule, context);
+};
+
+module.exports = {
+  validateRule,
+  evaluateRule
+};
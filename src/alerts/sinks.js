@@ -0,0 +1,133 @@
+/**
+ * Coindesk API price alert sinks.
+ *
+ * Sinks deliver fired alerts. Any object with a send method receiving
+ * the alert (optionally returning a promise) can be used as a sink.
+ *
+ * @file Defines CallbackSink, LogSink and FileSink classes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getLogger } = require('../logger/service');
+const { CoindeskAPIAlertError } = require('../errors');
+
+const logger = getLogger(__filename);
+
+/**
+ * Constructs an instance of CallbackSink class.
+ *
+ * Delivers alerts to a callback function.
+ *
+ * @access public
+ * @class
+ */
+class CallbackSink {
+
+  /**
+   * Constructs an instance of CallbackSink class.
+   *
+   * @access     public
+   * @constructs CallbackSink
+   *
+   * @constructor
+   * @param  {Function}     callback Function receiving the alert.
+   * @return {CallbackSink} Class instance.
+   */
+  constructor(callback) {
+    this.callback = callback;
+  }
+
+  async send(alert) {
+    await this.callback(alert);
+  }
+}
+
+/**
+ * Constructs an instance of LogSink class.
+ *
+ * Delivers alerts to a logger, the console unless another one is
+ * provided. The package logger is not used by default as it is silent
+ * unless configured.
+ *
+ * @access public
+ * @class
+ */
+class LogSink {
+
+  /**
+   * Constructs an instance of LogSink class.
+   *
+   * @access     public
+   * @constructs LogSink
+   *
+   * @constructor
+   * @param  {Object}  alertLogger Logger with a method for the level (defaults to the console).
+   * @param  {String}  level       Log level for alerts.
+   * @return {LogSink} Class instance.
+   */
+  constructor(alertLogger = console, level = 'warn') {
+    this.logger = alertLogger;
+    this.level = level;
+  }
+
+  async send(alert) {
+    this.logger[this.level](`[AlertEngine] Alert ${ alert.rule }: ${ alert.message }`);
+  }
+}
+
+/**
+ * Constructs an instance of FileSink class.
+ *
+ * Appends alerts to a file as newline-delimited json.
+ *
+ * @access public
+ * @class
+ */
+class FileSink {
+
+  /**
+   * Constructs an instance of FileSink class.
+   *
+   * @access     public
+   * @constructs FileSink
+   *
+   * @constructor
+   * @param  {String}   filePath Path to the alerts file.
+   * @return {FileSink} Class instance.
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  async send(alert) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, `${ JSON.stringify(alert) }\n`);
+  }
+}
+
+/**
+ * Returns a sink for a sink instance or callback function.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {(Object|Function)} sink Object with send method or callback function.
+ * @return {Object} Sink instance.
+ *
+ * @throws {CoindeskAPIAlertError}
+ */
+let toSink = (sink) => {
+  if (typeof sink === 'function') return new CallbackSink(sink);
+  if (sink !== null && typeof sink === 'object' && typeof sink.send === 'function') return sink;
+  const message = 'Alert sink must be a function or an object with send method.';
+  logger.error(`[AlertEngine] Sink error: ${ message }`);
+  throw new CoindeskAPIAlertError(message);
+};
+
+module.exports = {
+  CallbackSink,
+  LogSink,
+  FileSink,
+  toSink
+};
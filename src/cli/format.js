@@ -0,0 +1,92 @@
+/**
+ * Coindesk API command-line interface output formats.
+ *
+ * @file Defines table, json, csv, tsv and ndjson formatters for command rows.
+ */
+
+const { CsvExporter, TsvExporter, NdjsonExporter } = require('../coindesk/exporters');
+
+/**
+ * Returns rows as an aligned text table.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {Array}  rows    Objects with the same properties.
+ * @param  {Array}  columns Column names in output order.
+ * @return {String} Table with a header line.
+ */
+let table = (rows, columns) => {
+  const cells = [columns].concat(rows.map(row => columns.map(column => formatCell(row[column]))));
+  const widths = columns.map((column, i) => Math.max(...cells.map(line => String(line[i]).length)));
+  return cells.map(line => {
+    return line.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+  }).join('\n');
+};
+
+/**
+ * Returns rows as pretty-printed json.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {Array}  rows    Objects with the same properties.
+ * @param  {Array}  columns Column names in output order.
+ * @return {String} Json array of rows.
+ */
+let json = (rows, columns) => {
+  return JSON.stringify(rows.map(row => {
+    return columns.reduce((obj, column) => Object.assign(obj, { [column]: row[column] }), {});
+  }), null, 2);
+};
+
+/**
+ * Returns rows as comma-separated values.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {Array}  rows    Objects with the same properties.
+ * @param  {Array}  columns Column names in output order.
+ * @return {String} Csv with a header line.
+ */
+let csv = (rows, columns) => {
+  return new CsvExporter({ columns }).format(rows).trimEnd();
+};
+
+/**
+ * Returns rows as tab-separated values.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {Array}  rows    Objects with the same properties.
+ * @param  {Array}  columns Column names in output order.
+ * @return {String} Tsv with a header line.
+ */
+let tsv = (rows, columns) => {
+  return new TsvExporter({ columns }).format(rows).trimEnd();
+};
+
+/**
+ * Returns rows as newline-delimited json.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {Array}  rows    Objects with the same properties.
+ * @param  {Array}  columns Column names in output order.
+ * @return {String} A json object per line.
+ */
+let ndjson = (rows, columns) => {
+  return new NdjsonExporter({ columns }).format(rows).trimEnd();
+};
+
+let formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  return value instanceof Date ? value.toISOString() : String(value);
+};
+
+const formats = { table, json, csv, tsv, ndjson };
+
+module.exports = { formats };
@@ -0,0 +1,329 @@
+/**
+ * Coindesk API command-line interface.
+ *
+ * @file Defines coindesk command parsing and subcommands.
+ */
+
+const { CoindeskAPIClient } = require('../coindesk/client');
+const { HISTORICAL_COLUMNS, CURRENTPRICE_COLUMNS, historicalRows, currentpriceRows } = require('../coindesk/exporters');
+const { CoindeskAPIServer } = require('../server');
+const { MockCoindeskServer } = require('../mock');
+const { formats } = require('./format');
+const settings = require('../settings');
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const usage = `Usage: coindesk <command> [options]
+
+Commands:
+  current     [--currency EUR]
+  historical  [--start YYYY-MM-DD --end YYYY-MM-DD] [--currency EUR] [--index USD|CNY] [--for yesterday]
+  currencies  [--search text]
+  serve       [--port 8080] [--host 127.0.0.1]
+  mock        [--port 8081] [--host 127.0.0.1] [--seed 0]
+
+Options:
+  --format     table, json, csv, tsv or ndjson (default table)
+  --retries    Maximum number of request attempts before failing (default 10)
+  --redirects  Maximum number of request redirects allowed (default 5)
+  --timeout    Number of miliseconds before request timeout (default 5000)
+  --no-backoff Disable http request retry backoff
+  --base-url   Coindesk API base url (default https://api.coindesk.com/v1/bpi or COINDESK_BASE_URL)
+  --help       Show this help`;
+
+/**
+ * Constructs an instance of UsageError class.
+ *
+ * Raised for unknown commands, malformed options or parameters
+ * rejected by the client validation.
+ *
+ * @access private
+ * @class
+ */
+class UsageError extends Error {
+  constructor(message, showUsage = true) {
+    super(message);
+    this.showUsage = showUsage;
+  }
+}
+
+/**
+ * Parses command-line arguments.
+ *
+ * Supports --name value, --name=value, boolean --name and --no-name flags.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {Array}  argv Command-line arguments without node and script paths.
+ * @return {Object} Command name and options.
+ */
+let parseArgs = (argv) => {
+  const options = {};
+  const positionals = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--no-')) {
+      options[arg.slice(5)] = false;
+    } else if (arg.startsWith('--')) {
+      const [name, value] = arg.slice(2).split(/=(.*)/s);
+      if (value !== undefined) {
+        options[name] = value;
+      } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+        options[name] = argv[++i];
+      } else {
+        options[name] = true;
+      }
+    } else {
+      positionals.push(arg);
+    }
+  }
+  return { command: positionals[0] || null, options };
+};
+
+/**
+ * Returns the client request settings from command options.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Object} options Command options.
+ * @return {Array}  Retries, redirects, timeout and backoff values.
+ *
+ * @throws {UsageError}
+ */
+let getRequestSettings = (options) => {
+  const toInteger = (name, defaultValue) => {
+    if (options[name] === undefined) return defaultValue;
+    const value = Number(options[name]);
+    if (!Number.isInteger(value)) throw new UsageError(`Option --${ name } must be integer number.`);
+    return value;
+  };
+  return [
+    toInteger('retries', 10),
+    toInteger('redirects', 5),
+    toInteger('timeout', 5000),
+    options.backoff !== false
+  ];
+};
+
+/**
+ * Returns the client optional settings from command options.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Object} options Command options.
+ * @return {Object} Client optional settings.
+ */
+let getClientOptions = (options) => {
+  return typeof options['base-url'] === 'string' ? { baseUrl: options['base-url'] } : {};
+};
+
+/**
+ * Validates parameters and request settings and starts a client.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {String} dataType Type of data to fetch from Coindesk API (currentprice or historical).
+ * @param  {Object} params   Coindesk API endpoint query parameters.
+ * @param  {Object} options  Command options.
+ * @return {CoindeskAPIClient} Client instance.
+ *
+ * @throws {UsageError}
+ */
+let startClient = (dataType, params, options) => {
+  const requestSettings = getRequestSettings(options);
+  try {
+    return CoindeskAPIClient.start(dataType, params, ...requestSettings, getClientOptions(options));
+  } catch (err) {
+    throw new UsageError(err.message, false);
+  }
+};
+
+/**
+ * Returns only the provided options among the names.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Object} options Command options.
+ * @param  {Array}  names   Option names to pick.
+ * @return {Object} Picked options.
+ */
+let pick = (options, names) => {
+  return names.reduce((picked, name) => {
+    if (options[name] !== undefined) picked[name] = String(options[name]);
+    return picked;
+  }, {});
+};
+
+/**
+ * Starts a server and waits for SIGINT or SIGTERM to close it.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Object}  server Server with listen and close methods.
+ * @param  {Object}  stdout Writable stream for command output.
+ * @return {Promise} Null when the server is closed.
+ */
+let listenUntilSignal = async (server, stdout) => {
+  stdout.write(`Listening on ${ await server.listen() }\n`);
+  await new Promise(resolve => {
+    const stop = () => {
+      process.removeListener('SIGINT', stop);
+      process.removeListener('SIGTERM', stop);
+      server.close().then(resolve);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+  return null;
+};
+
+const commands = {
+
+  /**
+   * Returns current price rows.
+   *
+   * @access private
+   *
+   * @function
+   * @param  {Object}  options Command options.
+   * @return {Promise} Rows and columns.
+   */
+  current: async (options) => {
+    const params = pick(options, settings.VALID_CURRENTPRICE_PARAMS);
+    const client = startClient(settings.API_CURRENTPRICE_DATA_TYPE, params, options);
+    const rows = currentpriceRows(await client.get());
+    return { rows, columns: CURRENTPRICE_COLUMNS };
+  },
+
+  /**
+   * Returns historical close price rows.
+   *
+   * @access private
+   *
+   * @function
+   * @param  {Object}  options Command options.
+   * @return {Promise} Rows and columns.
+   */
+  historical: async (options) => {
+    const params = pick(options, settings.VALID_HISTORICAL_PARAMS);
+    const client = startClient(settings.API_HISTORICAL_DATA_TYPE, params, options);
+    const rows = historicalRows(await client.get(), {
+      currency: params.currency || settings.DEFAULT_CURRENCY,
+      index: params.index || settings.DEFAULT_CURRENCY
+    });
+    return { rows, columns: HISTORICAL_COLUMNS };
+  },
+
+  /**
+   * Returns supported currencies rows, optionally filtered by code or name.
+   *
+   * @access private
+   *
+   * @function
+   * @param  {Object}  options Command options.
+   * @return {Promise} Rows and columns.
+   */
+  currencies: async (options) => {
+    const client = startClient(settings.API_CURRENTPRICE_DATA_TYPE, {}, options);
+    const search = typeof options.search === 'string' ? options.search.toLowerCase() : null;
+    const rows = (await client.getSupportedCurrencies()).filter(({ currency, country }) => {
+      return search === null || currency.toLowerCase().includes(search) || country.toLowerCase().includes(search);
+    });
+    return { rows, columns: ['currency', 'country'] };
+  },
+
+  /**
+   * Runs the caching proxy server until SIGINT or SIGTERM.
+   *
+   * @access private
+   *
+   * @function
+   * @param  {Object}  options Command options.
+   * @param  {Object}  stdout  Writable stream for command output.
+   * @return {Promise} Null when the server is closed.
+   */
+  serve: async (options, stdout) => {
+    const [retries, redirects, timeout, backoff] = getRequestSettings(options);
+    const port = options.port !== undefined ? Number(options.port) : settings.SERVER_PORT;
+    const host = typeof options.host === 'string' ? options.host : settings.SERVER_HOST;
+    let server;
+    try {
+      server = new CoindeskAPIServer({ port, host, retries, redirects, timeout, backoff, options: getClientOptions(options) });
+    } catch (err) {
+      throw new UsageError(err.message, false);
+    }
+    return listenUntilSignal(server, stdout);
+  },
+
+  /**
+   * Runs the mock Coindesk API server until SIGINT or SIGTERM.
+   *
+   * @access private
+   *
+   * @function
+   * @param  {Object}  options Command options.
+   * @param  {Object}  stdout  Writable stream for command output.
+   * @return {Promise} Null when the server is closed.
+   */
+  mock: async (options, stdout) => {
+    const port = options.port !== undefined ? Number(options.port) : settings.MOCK_PORT;
+    const host = typeof options.host === 'string' ? options.host : settings.SERVER_HOST;
+    const seed = options.seed !== undefined ? Number(options.seed) : 0;
+    let server;
+    try {
+      server = new MockCoindeskServer({ port, host, seed });
+    } catch (err) {
+      throw new UsageError(err.message, false);
+    }
+    return listenUntilSignal(server, stdout);
+  }
+};
+
+/**
+ * Runs the coindesk command.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {Array}   argv   Command-line arguments without node and script paths.
+ * @param  {Object}  stdout Writable stream for command output.
+ * @param  {Object}  stderr Writable stream for errors.
+ * @return {Promise} Process exit code.
+ */
+let run = async (argv, stdout = process.stdout, stderr = process.stderr) => {
+  const { command, options } = parseArgs(argv);
+  if (options.help || command === null) {
+    (options.help ? stdout : stderr).write(`${ usage }\n`);
+    return options.help ? EXIT_SUCCESS : EXIT_USAGE;
+  }
+  try {
+    if (!commands.hasOwnProperty(command)) throw new UsageError(`Unknown command ${ command }.`);
+    const format = options.format || 'table';
+    if (!formats.hasOwnProperty(format)) {
+      throw new UsageError(`Option --format must be ${ Object.keys(formats).join(', ') }.`);
+    }
+    const result = await commands[command](options, stdout);
+    if (result !== null) stdout.write(`${ formats[format](result.rows, result.columns) }\n`);
+    return EXIT_SUCCESS;
+  } catch (err) {
+    stderr.write(`coindesk: ${ err.message }\n`);
+    if (!(err instanceof UsageError)) return EXIT_FAILURE;
+    if (err.showUsage) stderr.write(`${ usage }\n`);
+    return EXIT_USAGE;
+  }
+};
+
+module.exports = {
+  parseArgs,
+  run
+};
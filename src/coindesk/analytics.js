@@ -0,0 +1,281 @@
+/**
+ * Coindesk API historical series analytics.
+ *
+ * Every function receives a HistoricalSeries (or its plain object
+ * representation) and returns plain data: arrays of date/value points
+ * or objects with the computed statistics.
+ *
+ * @file Defines time-series analytics on historical close prices.
+ */
+
+const { getLogger } = require('../logger/service');
+const { CoindeskAPIAnalyticsError } = require('../errors');
+const { HistoricalSeries } = require('./models');
+
+const logger = getLogger(__filename);
+
+/**
+ * Returns the series points ordered by date.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {(HistoricalSeries|Object)} series Historical series or its plain object.
+ * @return {Array}  Points with date and close properties.
+ */
+let getPoints = (series) => {
+  return HistoricalSeries.fromJSON(series).points;
+};
+
+/**
+ * Validates window size for rolling computations.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Number} window Number of points in the window.
+ * @param  {Number} min    Minimum window size allowed.
+ * @return {Number} Validated window size.
+ *
+ * @throws {CoindeskAPIAnalyticsError}
+ */
+let validateWindow = (window, min = 1) => {
+  if (!Number.isInteger(window) || window < min) {
+    const message = `Window ${ window } must be integer number greater or equal than ${ min }.`;
+    logger.error(`[Analytics] Window error: ${ message }`);
+    throw new CoindeskAPIAnalyticsError(message);
+  }
+  return window;
+};
+
+let sum = (values) => values.reduce((total, value) => total + value, 0);
+
+let mean = (values) => values.length > 0 ? sum(values) / values.length : null;
+
+/**
+ * Returns the sample standard deviation of values.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Array}  values Numbers.
+ * @return {Number} Sample standard deviation or null for less than two values.
+ */
+let standardDeviation = (values) => {
+  if (values.length < 2) return null;
+  const average = mean(values);
+  const variance = sum(values.map(value => Math.pow(value - average, 2))) / (values.length - 1);
+  return Math.sqrt(variance);
+};
+
+/**
+ * Returns the simple moving average of close prices.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {(HistoricalSeries|Object)} series Historical series.
+ * @param  {Number}                    window Number of days in the average.
+ * @return {Array}  Points with date and value, starting at the first full window.
+ *
+ * @throws {CoindeskAPIAnalyticsError}
+ */
+let simpleMovingAverage = (series, window) => {
+  validateWindow(window);
+  const points = getPoints(series);
+  const averages = [];
+  let total = 0;
+  points.forEach(({ date, close }, i) => {
+    total += close;
+    if (i >= window) total -= points[i - window].close;
+    if (i >= window - 1) averages.push({ date, value: total / window });
+  });
+  return averages;
+};
+
+/**
+ * Returns the exponential moving average of close prices.
+ *
+ * The average is seeded with the simple moving average of the first
+ * window and uses a smoothing factor of 2 / (window + 1).
+ *
+ * @access public
+ *
+ * @function
+ * @param  {(HistoricalSeries|Object)} series Historical series.
+ * @param  {Number}                    window Number of days in the average.
+ * @return {Array}  Points with date and value, starting at the first full window.
+ *
+ * @throws {CoindeskAPIAnalyticsError}
+ */
+let exponentialMovingAverage = (series, window) => {
+  validateWindow(window);
+  const points = getPoints(series);
+  if (points.length < window) return [];
+  const alpha = 2 / (window + 1);
+  let average = mean(points.slice(0, window).map(point => point.close));
+  const averages = [{ date: points[window - 1].date, value: average }];
+  points.slice(window).forEach(({ date, close }) => {
+    average = alpha * close + (1 - alpha) * average;
+    averages.push({ date, value: average });
+  });
+  return averages;
+};
+
+/**
+ * Returns the daily returns of close prices.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {(HistoricalSeries|Object)} series      Historical series.
+ * @param  {Object}                    options     Optional settings.
+ * @param  {Boolean}                   options.log Compute logarithmic instead of simple returns.
+ * @return {Array}  Points with date and value, starting at the second point.
+ */
+let returns = (series, { log = false } = {}) => {
+  const points = getPoints(series);
+  return points.slice(1).map(({ date, close }, i) => {
+    const previous = points[i].close;
+    return { date, value: log ? Math.log(close / previous) : close / previous - 1 };
+  });
+};
+
+let dailyReturns = (series) => returns(series, { log: false });
+
+let logReturns = (series) => returns(series, { log: true });
+
+/**
+ * Returns the rolling volatility of daily returns.
+ *
+ * Volatility is the sample standard deviation of the returns in the
+ * window, optionally annualized over 365 days as Bitcoin trades daily.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {(HistoricalSeries|Object)} series            Historical series.
+ * @param  {Number}                    window            Number of returns in the window.
+ * @param  {Object}                    options           Optional settings.
+ * @param  {Boolean}                   options.log       Use logarithmic returns (default).
+ * @param  {Boolean}                   options.annualize Annualize the volatility.
+ * @return {Array}  Points with date and value, starting at the first full window.
+ *
+ * @throws {CoindeskAPIAnalyticsError}
+ */
+let rollingVolatility = (series, window, { log = true, annualize = false } = {}) => {
+  validateWindow(window, 2);
+  const values = returns(series, { log });
+  const factor = annualize ? Math.sqrt(365) : 1;
+  const volatility = [];
+  for (let i = window - 1; i < values.length; i++) {
+    const windowValues = values.slice(i - window + 1, i + 1).map(point => point.value);
+    volatility.push({ date: values[i].date, value: standardDeviation(windowValues) * factor });
+  }
+  return volatility;
+};
+
+/**
+ * Returns the maximum drawdown of close prices.
+ *
+ * The drawdown is the largest relative fall from a peak to a
+ * following trough, with the date the peak price was recovered.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {(HistoricalSeries|Object)} series Historical series.
+ * @return {Object} Drawdown value (fraction), peak, trough and recovery date or null for empty series.
+ */
+let maxDrawdown = (series) => {
+  const points = getPoints(series);
+  if (points.length === 0) return null;
+  let peak = points[0];
+  let drawdown = { value: 0, peak: points[0], trough: points[0] };
+  points.forEach(point => {
+    if (point.close > peak.close) peak = point;
+    const value = (peak.close - point.close) / peak.close;
+    if (value > drawdown.value) drawdown = { value, peak, trough: point };
+  });
+  const recovery = points.find(point => {
+    return point.date > drawdown.trough.date && point.close >= drawdown.peak.close;
+  });
+  return {
+    value: drawdown.value,
+    peak: { date: drawdown.peak.date, close: drawdown.peak.close },
+    trough: { date: drawdown.trough.date, close: drawdown.trough.close },
+    recovery: drawdown.value > 0 && recovery !== undefined ? recovery.date : null
+  };
+};
+
+/**
+ * Returns summary statistics of close prices.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {(HistoricalSeries|Object)} series Historical series.
+ * @return {Object} Count, min and max with their dates, mean and median.
+ */
+let summary = (series) => {
+  const points = getPoints(series);
+  if (points.length === 0) return { count: 0, min: null, max: null, mean: null, median: null };
+  let min = points[0];
+  let max = points[0];
+  points.forEach(point => {
+    if (point.close < min.close) min = point;
+    if (point.close > max.close) max = point;
+  });
+  const sorted = points.map(point => point.close).sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  return {
+    count: points.length,
+    min: { date: min.date, value: min.close },
+    max: { date: max.date, value: max.close },
+    mean: mean(sorted),
+    median
+  };
+};
+
+/**
+ * Returns the change of close price between two dates.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {(HistoricalSeries|Object)} series Historical series.
+ * @param  {(String|Date)}             from   Initial date.
+ * @param  {(String|Date)}             to     Final date.
+ * @return {Object} Initial and final points with absolute and percentage change.
+ *
+ * @throws {CoindeskAPIAnalyticsError}
+ */
+let percentChange = (series, from, to) => {
+  series = HistoricalSeries.fromJSON(series);
+  const [fromClose, toClose] = [series.at(from), series.at(to)];
+  if (fromClose === null || toClose === null) {
+    const message = `Dates ${ from } and ${ to } must be included in the series.`;
+    logger.error(`[Analytics] Date error: ${ message }`);
+    throw new CoindeskAPIAnalyticsError(message);
+  }
+  const toDay = date => date instanceof Date ? date.toISOString().slice(0, 10) : date;
+  return {
+    from: { date: toDay(from), close: fromClose },
+    to: { date: toDay(to), close: toClose },
+    change: toClose - fromClose,
+    percent: (toClose - fromClose) / fromClose * 100
+  };
+};
+
+module.exports = {
+  simpleMovingAverage,
+  exponentialMovingAverage,
+  returns,
+  dailyReturns,
+  logReturns,
+  rollingVolatility,
+  maxDrawdown,
+  summary,
+  percentChange
+};
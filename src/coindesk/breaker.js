@@ -0,0 +1,266 @@
+/**
+ * Coindesk API circuit breaker.
+ *
+ * @file Defines CircuitBreaker class.
+ */
+
+const EventEmitter = require('events');
+const { _private } = require('./weakmap');
+const { getLogger } = require('../logger/service');
+const { CoindeskAPIValidationError } = require('../errors');
+const { CoindeskAPICircuitOpenError } = require('../errors');
+const settings = require('../settings');
+
+const logger = getLogger(__filename);
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+/**
+ * Constructs an instance of CircuitBreaker class.
+ *
+ * Stops calling Coindesk API after consecutive request failures:
+ *
+ *   - closed:    requests are made. Reaching the failure threshold opens the circuit.
+ *   - open:      requests fail fast with CoindeskAPICircuitOpenError until the cooldown elapses.
+ *   - half-open: a single probe request is made. Its success closes the circuit
+ *                and its failure opens it again. Other requests fail fast meanwhile.
+ *
+ * Emits state events with the new and previous state and closed, open
+ * and half-open events on each transition. Clients share the process
+ * default instance of their base url host unless another one is
+ * provided, so an unreachable host never fails fast calls to another.
+ *
+ * @access public
+ * @class
+ */
+class CircuitBreaker extends EventEmitter {
+
+  /**
+   * Constructs an instance of CircuitBreaker class.
+   *
+   * @access     public
+   * @constructs CircuitBreaker
+   *
+   * @constructor
+   * @param  {Object} breaker                  Circuit breaker settings.
+   * @param  {Number} breaker.failureThreshold Number of consecutive failures opening the circuit.
+   * @param  {Number} breaker.cooldown         Number of miliseconds open before letting a probe through.
+   * @return {CircuitBreaker} Class instance.
+   *
+   * @throws {CoindeskAPIValidationError}
+   */
+  constructor({ failureThreshold = settings.CIRCUIT_FAILURE_THRESHOLD, cooldown = settings.CIRCUIT_COOLDOWN } = {}) {
+    super();
+    if (!Number.isInteger(failureThreshold) || failureThreshold < 1) {
+      const message = `Circuit failure threshold ${ failureThreshold } must be positive integer number.`;
+      logger.error(`[CircuitBreaker] Circuit error: ${ message }`);
+      throw new CoindeskAPIValidationError(message, { param: 'failureThreshold', value: failureThreshold });
+    }
+    if (!Number.isInteger(cooldown) || cooldown < 0) {
+      const message = `Circuit cooldown ${ cooldown } must be non negative integer number.`;
+      logger.error(`[CircuitBreaker] Circuit error: ${ message }`);
+      throw new CoindeskAPIValidationError(message, { param: 'cooldown', value: cooldown });
+    }
+    _private(this).failureThreshold = failureThreshold;
+    _private(this).cooldown = cooldown;
+    _private(this).state = CLOSED;
+    _private(this).failures = 0;
+    _private(this).openedAt = null;
+    _private(this).probing = false;
+  }
+
+  /**
+   * Returns instance string representation.
+   *
+   * @access   public
+   * @memberof CircuitBreaker
+   *
+   * @function
+   * @return {String} CircuitBreaker class instance string representation.
+   */
+  toString() {
+    return `Coindesk API Circuit Breaker -
+      Class:    ${ this.constructor.name },
+      State:    ${ this.state },
+      Failures: ${ this.failures }`;
+  }
+
+  /**
+   * Returns the process default circuit breaker of Coindesk API host.
+   *
+   * @access   public
+   * @memberof CircuitBreaker
+   * @static
+   *
+   * @property {Function}
+   * @return   {CircuitBreaker} Circuit breaker shared by default.
+   */
+  static get default() {
+    return CircuitBreaker.forHost(settings.API_COINDESK_SETUP.host);
+  }
+
+  /**
+   * Replaces the process default circuit breaker of Coindesk API host.
+   *
+   * Clients started afterwards for Coindesk API share the new default.
+   *
+   * @access   public
+   * @memberof CircuitBreaker
+   * @static
+   *
+   * @property {Function}
+   * @param    {(CircuitBreaker|Object)} breaker Circuit breaker instance or settings.
+   */
+  static set default(breaker) {
+    defaultBreakers.set(settings.API_COINDESK_SETUP.host, breaker instanceof CircuitBreaker ? breaker : new CircuitBreaker(breaker));
+  }
+
+  /**
+   * Returns the process default circuit breaker of a host, creating it when missing.
+   *
+   * @access   public
+   * @memberof CircuitBreaker
+   * @static
+   *
+   * @function
+   * @param  {String}         host Host name with optional port (e.g. localhost:8080).
+   * @return {CircuitBreaker} Circuit breaker shared by the clients of the host.
+   */
+  static forHost(host) {
+    host = String(host).toLowerCase();
+    if (!defaultBreakers.has(host)) defaultBreakers.set(host, new CircuitBreaker());
+    return defaultBreakers.get(host);
+  }
+
+  get state() {
+    return _private(this).state;
+  }
+
+  get failures() {
+    return _private(this).failures;
+  }
+
+  get failureThreshold() {
+    return _private(this).failureThreshold;
+  }
+
+  get cooldown() {
+    return _private(this).cooldown;
+  }
+
+  /**
+   * Runs the request unless the circuit is open.
+   *
+   * Errors rejected by the failure predicate (e.g. rate limit errors)
+   * neither count as failure nor as success.
+   *
+   * @access   public
+   * @memberof CircuitBreaker
+   *
+   * @function
+   * @param  {Function} task      Function making the request and returning a Promise.
+   * @param  {Function} isFailure Function returning whether an error counts as failure.
+   * @return {Promise}  Task result.
+   *
+   * @throws {CoindeskAPICircuitOpenError}
+   */
+  async run(task, isFailure = () => true) {
+    const probe = this._admit();
+    let result;
+    try {
+      result = await task();
+    } catch (err) {
+      if (isFailure(err)) {
+        this._onFailure(probe);
+      } else if (probe) {
+        _private(this).probing = false;
+      }
+      throw err;
+    }
+    this._onSuccess(probe);
+    return result;
+  }
+
+  /**
+   * Closes the circuit clearing the failures count.
+   *
+   * @access   public
+   * @memberof CircuitBreaker
+   *
+   * @function
+   */
+  reset() {
+    _private(this).failures = 0;
+    _private(this).openedAt = null;
+    _private(this).probing = false;
+    this._transition(CLOSED);
+  }
+
+  /**
+   * Returns whether the request is a half-open probe, failing fast when not admitted.
+   *
+   * @access   protected
+   * @memberof CircuitBreaker
+   *
+   * @function
+   * @return {Boolean} Whether the request is the half-open probe.
+   *
+   * @throws {CoindeskAPICircuitOpenError}
+   */
+  _admit() {
+    if (this.state === OPEN && Date.now() - _private(this).openedAt >= this.cooldown) {
+      this._transition(HALF_OPEN);
+    }
+    if (this.state === CLOSED) return false;
+    if (this.state === HALF_OPEN && !_private(this).probing) {
+      _private(this).probing = true;
+      return true;
+    }
+    const retryIn = this.state === OPEN ? this.cooldown - (Date.now() - _private(this).openedAt) : 0;
+    const message = `Circuit ${ this.state } after ${ this.failures } consecutive failures${ retryIn > 0 ? `, retry in ${ retryIn } ms` : ', probe in progress' }.`;
+    logger.warn(`[CircuitBreaker] Circuit error: ${ message }`);
+    throw new CoindeskAPICircuitOpenError(message, { state: this.state, failures: this.failures, retryIn: Math.max(retryIn, 0) });
+  }
+
+  _onSuccess(probe) {
+    _private(this).failures = 0;
+    if (probe) {
+      _private(this).probing = false;
+      this._transition(CLOSED);
+    }
+  }
+
+  _onFailure(probe) {
+    _private(this).failures++;
+    if (probe) _private(this).probing = false;
+    if (probe || (this.state === CLOSED && this.failures >= this.failureThreshold)) {
+      _private(this).openedAt = Date.now();
+      this._transition(OPEN);
+    }
+  }
+
+  /**
+   * Changes the circuit state emitting the transition events.
+   *
+   * @access   protected
+   * @memberof CircuitBreaker
+   *
+   * @function
+   * @param  {String} state New circuit state.
+   */
+  _transition(state) {
+    const previous = this.state;
+    if (state === previous) return;
+    _private(this).state = state;
+    const log = state === OPEN ? logger.warn : logger.info;
+    log.call(logger, `[CircuitBreaker] Circuit ${ previous } -> ${ state } (${ this.failures } failures)`);
+    this.emit('state', state, previous);
+    this.emit(state, { previous, failures: this.failures });
+  }
+}
+
+const defaultBreakers = new Map();
+
+module.exports = { CircuitBreaker };
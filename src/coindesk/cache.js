@@ -0,0 +1,384 @@
+/**
+ * Coindesk API response cache.
+ *
+ * Responses are cached by url with a time to live depending on the
+ * data type: currentprice and historical ranges including today expire
+ * shortly while historical ranges fully in the past never expire.
+ *
+ * @file Defines MemoryCacheBackend, FileCacheBackend and ResponseCache classes.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { _private } = require('./weakmap');
+const { getLogger } = require('../logger/service');
+const settings = require('../settings');
+
+const logger = getLogger(__filename);
+
+/**
+ * Constructs an instance of MemoryCacheBackend class.
+ *
+ * In-memory least recently used cache backend.
+ *
+ * @access public
+ * @class
+ */
+class MemoryCacheBackend {
+
+  /**
+   * Constructs an instance of MemoryCacheBackend class.
+   *
+   * @access     public
+   * @constructs MemoryCacheBackend
+   *
+   * @constructor
+   * @param  {Number} maxEntries Maximum number of cached entries before evicting.
+   * @return {MemoryCacheBackend} Class instance.
+   */
+  constructor(maxEntries = settings.CACHE_MAX_ENTRIES) {
+    _private(this).maxEntries = maxEntries;
+    _private(this).entries = new Map();
+  }
+
+  /**
+   * Returns the number of cached entries.
+   *
+   * @access   public
+   * @memberof MemoryCacheBackend
+   *
+   * @property {Function}
+   * @return   {Number} Number of cached entries.
+   */
+  get size() {
+    return _private(this).entries.size;
+  }
+
+  /**
+   * Returns the cached entry for the key, marking it as recently used.
+   *
+   * @access   public
+   * @memberof MemoryCacheBackend
+   *
+   * @function
+   * @param  {String}  key Cache key.
+   * @return {Promise} Cached entry or undefined.
+   */
+  async get(key) {
+    const entries = _private(this).entries;
+    if (!entries.has(key)) return undefined;
+    const entry = entries.get(key);
+    entries.delete(key);
+    entries.set(key, entry);
+    return JSON.parse(entry);
+  }
+
+  /**
+   * Caches the entry for the key, evicting the least recently used entries.
+   *
+   * @access   public
+   * @memberof MemoryCacheBackend
+   *
+   * @function
+   * @param  {String}  key   Cache key.
+   * @param  {Object}  entry Entry with value and expires properties.
+   * @return {Promise} Resolves when cached.
+   */
+  async set(key, entry) {
+    const entries = _private(this).entries;
+    entries.delete(key);
+    entries.set(key, JSON.stringify(entry));
+    while (entries.size > _private(this).maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    _private(this).entries.delete(key);
+  }
+
+  async clear() {
+    _private(this).entries.clear();
+  }
+}
+
+/**
+ * Constructs an instance of FileCacheBackend class.
+ *
+ * File system cache backend which can be shared between processes.
+ * Each entry is stored as a json file named after the key hash.
+ *
+ * @access public
+ * @class
+ */
+class FileCacheBackend {
+
+  /**
+   * Constructs an instance of FileCacheBackend class.
+   *
+   * @access     public
+   * @constructs FileCacheBackend
+   *
+   * @constructor
+   * @param  {String} directory Directory to store cached entries in.
+   * @return {FileCacheBackend} Class instance.
+   */
+  constructor(directory = path.join(os.tmpdir(), settings.CACHE_DIRECTORY_NAME)) {
+    _private(this).directory = path.resolve(directory);
+  }
+
+  /**
+   * Returns cache directory.
+   *
+   * @access   public
+   * @memberof FileCacheBackend
+   *
+   * @property {Function}
+   * @return   {String} Absolute path to the cache directory.
+   */
+  get directory() {
+    return _private(this).directory;
+  }
+
+  /**
+   * Returns the cached entry for the key.
+   *
+   * Unreadable or corrupted entries are treated as missing.
+   *
+   * @access   public
+   * @memberof FileCacheBackend
+   *
+   * @function
+   * @param  {String}  key Cache key.
+   * @return {Promise} Cached entry or undefined.
+   */
+  async get(key) {
+    try {
+      const data = await fs.promises.readFile(this._getFilePath(key), 'utf8');
+      const { key: storedKey, entry } = JSON.parse(data);
+      return storedKey === key ? entry : undefined;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.warn(`[FileCacheBackend] Read error: ${ err.message }`);
+      }
+      return undefined;
+    }
+  }
+
+  /**
+   * Caches the entry for the key.
+   *
+   * The entry is written to a temporary file and renamed so concurrent
+   * readers never see a partially written entry.
+   *
+   * @access   public
+   * @memberof FileCacheBackend
+   *
+   * @function
+   * @param  {String}  key   Cache key.
+   * @param  {Object}  entry Entry with value and expires properties.
+   * @return {Promise} Resolves when cached.
+   */
+  async set(key, entry) {
+    const filePath = this._getFilePath(key);
+    const tmpPath = `${ filePath }.${ process.pid }.${ Date.now() }.tmp`;
+    try {
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      await fs.promises.writeFile(tmpPath, JSON.stringify({ key, entry }));
+      await fs.promises.rename(tmpPath, filePath);
+    } catch (err) {
+      logger.warn(`[FileCacheBackend] Write error: ${ err.message }`);
+    }
+  }
+
+  async delete(key) {
+    await fs.promises.unlink(this._getFilePath(key)).catch(() => {});
+  }
+
+  async clear() {
+    let files = [];
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (err) {
+      return;
+    }
+    await Promise.all(files.filter(file => file.endsWith('.json')).map(file => {
+      return fs.promises.unlink(path.join(this.directory, file)).catch(() => {});
+    }));
+  }
+
+  /**
+   * Returns the file path for the key.
+   *
+   * @access   protected
+   * @memberof FileCacheBackend
+   *
+   * @function
+   * @param  {String} key Cache key.
+   * @return {String} Path to the entry file.
+   */
+  _getFilePath(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.directory, `${ hash }.json`);
+  }
+}
+
+/**
+ * Constructs an instance of ResponseCache class.
+ *
+ * Provides the ability to cache Coindesk API responses by url with
+ * per data type time to live and hit/miss statistics.
+ *
+ * @access public
+ * @class
+ */
+class ResponseCache {
+
+  /**
+   * Constructs an instance of ResponseCache class.
+   *
+   * @access     public
+   * @constructs ResponseCache
+   *
+   * @constructor
+   * @param  {Object} backend Cache backend implementing get, set, delete and clear.
+   * @param  {Object} ttl     Time to live in miliseconds by data type.
+   * @return {ResponseCache}  Class instance.
+   */
+  constructor(backend = new MemoryCacheBackend(), ttl = {}) {
+    _private(this).backend = backend;
+    _private(this).ttl = Object.assign({}, settings.CACHE_TTL, ttl);
+    _private(this).stats = { hits: 0, misses: 0, sets: 0 };
+  }
+
+  /**
+   * Returns instance string representation.
+   *
+   * @access   public
+   * @memberof ResponseCache
+   *
+   * @function
+   * @return {String} ResponseCache class instance string representation.
+   */
+  toString() {
+    const { hits, misses } = this.stats;
+    return `Coindesk API Response Cache -
+      Class:   ${ this.constructor.name },
+      Backend: ${ this.backend.constructor.name },
+      Hits:    ${ hits },
+      Misses:  ${ misses }`;
+  }
+
+  get backend() {
+    return _private(this).backend;
+  }
+
+  /**
+   * Returns cache hit/miss statistics.
+   *
+   * @access   public
+   * @memberof ResponseCache
+   *
+   * @property {Function}
+   * @return   {Object} Number of hits, misses and sets with the hit ratio.
+   */
+  get stats() {
+    const { hits, misses, sets } = _private(this).stats;
+    const ratio = hits + misses > 0 ? hits / (hits + misses) : 0;
+    return { hits, misses, sets, ratio };
+  }
+
+  /**
+   * Returns the time to live for the url response.
+   *
+   * Historical ranges ending before the current UTC day never change
+   * and never expire.
+   *
+   * @access   public
+   * @memberof ResponseCache
+   *
+   * @function
+   * @param  {String} url Coindesk API endpoint.
+   * @return {Number} Time to live in miliseconds or null for no expiration.
+   */
+  getTtl(url) {
+    const { pathname, searchParams } = new URL(url);
+    const ttl = _private(this).ttl;
+    const isResource = dataType => pathname.endsWith(`/${ settings.API_ENDPOINTS[dataType] }`);
+    if (isResource(settings.API_HISTORICAL_DATA_TYPE)) {
+      const end = searchParams.get(settings.END_PARAM);
+      const today = new Date().toISOString().slice(0, 10);
+      const closed = !searchParams.has(settings.FOR_PARAM) && end !== null && end < today;
+      return closed ? null : ttl[settings.API_HISTORICAL_DATA_TYPE];
+    } else if (isResource(settings.API_SUPPORTED_CURRENCIES_DATA_TYPE)) {
+      return ttl[settings.API_SUPPORTED_CURRENCIES_DATA_TYPE];
+    }
+    return ttl[settings.API_CURRENTPRICE_DATA_TYPE];
+  }
+
+  /**
+   * Returns the cached response for the url.
+   *
+   * @access   public
+   * @memberof ResponseCache
+   *
+   * @function
+   * @param  {String}  url Coindesk API endpoint.
+   * @return {Promise} Cached response or undefined when missing or expired.
+   */
+  async get(url) {
+    const entry = await this.backend.get(url);
+    if (entry === undefined || (entry.expires !== null && entry.expires <= Date.now())) {
+      if (entry !== undefined) await this.backend.delete(url);
+      _private(this).stats.misses++;
+      return undefined;
+    }
+    _private(this).stats.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Caches the response for the url.
+   *
+   * @access   public
+   * @memberof ResponseCache
+   *
+   * @function
+   * @param  {String}  url      Coindesk API endpoint.
+   * @param  {Object}  response Http response object with requested data.
+   * @param  {Number}  ttl      Time to live in miliseconds (defaults to data type ttl).
+   * @return {Promise} Resolves when cached.
+   */
+  async set(url, response, ttl = this.getTtl(url)) {
+    if (ttl === 0) return;
+    const expires = ttl === null ? null : Date.now() + ttl;
+    await this.backend.set(url, { value: response, expires });
+    _private(this).stats.sets++;
+  }
+
+  async delete(url) {
+    await this.backend.delete(url);
+  }
+
+  /**
+   * Removes every cached response and resets statistics.
+   *
+   * @access   public
+   * @memberof ResponseCache
+   *
+   * @function
+   * @return {Promise} Resolves when cleared.
+   */
+  async clear() {
+    await this.backend.clear();
+    _private(this).stats = { hits: 0, misses: 0, sets: 0 };
+  }
+}
+
+module.exports = {
+  MemoryCacheBackend,
+  FileCacheBackend,
+  ResponseCache
+};
@@ -0,0 +1,341 @@
+/**
+ * Coindesk API record/replay cassettes.
+ *
+ * A cassette is a json file storing http interactions (request url and
+ * headers with response status, headers and body) so requests can be
+ * recorded once against Coindesk API and replayed offline. Credentials
+ * in request headers are redacted before being written.
+ *
+ * @file Defines Cassette and CassetteTransport classes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { _private } = require('./weakmap');
+const { getLogger, redactUrls } = require('../logger/service');
+const { CoindeskAPICassetteError } = require('../errors');
+const { Transport } = require('./transports');
+const settings = require('../settings');
+
+const logger = getLogger(__filename);
+
+const cassettes = new Map();
+
+const redactedHeaderPattern = new RegExp(settings.CASSETTE_REDACTED_HEADER_PATTERN, 'i');
+
+/**
+ * Returns request headers with the credential values redacted.
+ *
+ * Authorization, proxy authorization and cookie headers are redacted
+ * along with any header named like a key, token or secret.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Object} headers Request headers.
+ * @return {Object} Headers safe to be recorded.
+ */
+let redactHeaders = (headers) => {
+  return Object.keys(headers).reduce((redacted, name) => {
+    const isSensitive = settings.CASSETTE_REDACTED_HEADERS.includes(name.toLowerCase()) || redactedHeaderPattern.test(name);
+    redacted[name] = isSensitive ? settings.LOG_REDACTED_VALUE : headers[name];
+    return redacted;
+  }, {});
+};
+
+/**
+ * Constructs an instance of Cassette class.
+ *
+ * Provides the ability to load, match and persist recorded
+ * http interactions.
+ *
+ * @access public
+ * @class
+ */
+class Cassette {
+
+  /**
+   * Constructs an instance of Cassette class.
+   *
+   * @access     public
+   * @constructs Cassette
+   *
+   * @constructor
+   * @param  {String}   filePath Path to the cassette json file.
+   * @return {Cassette} Class instance.
+   */
+  constructor(filePath) {
+    _private(this).filePath = path.resolve(filePath);
+    _private(this).interactions = null;
+    _private(this).played = new Map();
+    _private(this).recorded = new Set();
+  }
+
+  /**
+   * Returns the shared Cassette instance for the file path.
+   *
+   * Clients recording to or replaying from the same file share
+   * a single instance so interactions are not overwritten.
+   *
+   * @access     public
+   * @constructs Cassette
+   * @static
+   *
+   * @function
+   * @param  {String}   filePath Path to the cassette json file.
+   * @return {Cassette} Class instance.
+   */
+  static open(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    if (!cassettes.has(resolvedPath)) cassettes.set(resolvedPath, new this(resolvedPath));
+    return cassettes.get(resolvedPath);
+  }
+
+  /**
+   * Returns instance string representation.
+   *
+   * @access   public
+   * @memberof Cassette
+   *
+   * @function
+   * @return {String} Cassette class instance string representation.
+   */
+  toString() {
+    return `Coindesk API Cassette -
+      Class: ${ this.constructor.name },
+      File:  ${ this.filePath }`;
+  }
+
+  /**
+   * Returns cassette file path.
+   *
+   * @access   public
+   * @memberof Cassette
+   *
+   * @property {Function}
+   * @return   {String} Absolute path to the cassette json file.
+   */
+  get filePath() {
+    return _private(this).filePath;
+  }
+
+  /**
+   * Returns recorded interactions, loading the cassette file if needed.
+   *
+   * @access   public
+   * @memberof Cassette
+   *
+   * @property {Function}
+   * @return   {Array} Recorded request/response interactions.
+   *
+   * @throws {CoindeskAPICassetteError}
+   */
+  get interactions() {
+    if (_private(this).interactions === null) _private(this).interactions = this._load();
+    return _private(this).interactions;
+  }
+
+  /**
+   * Returns the key identifying a request in the cassette.
+   *
+   * Query parameters are sorted so their order does not affect matching.
+   *
+   * @access   public
+   * @memberof Cassette
+   * @static
+   *
+   * @function
+   * @param  {String} method Http method.
+   * @param  {String} url    Request url.
+   * @return {String} Request key.
+   */
+  static key(method, url) {
+    const parsedUrl = new URL(url);
+    parsedUrl.searchParams.sort();
+    return `${ (method || 'GET').toUpperCase() } ${ parsedUrl.href }`;
+  }
+
+  /**
+   * Returns the recorded response for the request.
+   *
+   * Several interactions recorded for the same request are replayed in
+   * order, repeating the last one once exhausted.
+   *
+   * @access   public
+   * @memberof Cassette
+   *
+   * @function
+   * @param  {Object} request Http request description.
+   * @return {Object} Recorded response or null when unmatched.
+   */
+  find(request) {
+    const key = Cassette.key(request.method, request.url);
+    const matches = this.interactions.filter(interaction => {
+      return Cassette.key(interaction.request.method, interaction.request.url) === key;
+    });
+    if (matches.length === 0) return null;
+    const played = _private(this).played.get(key) || 0;
+    _private(this).played.set(key, played + 1);
+    return matches[Math.min(played, matches.length - 1)].response;
+  }
+
+  /**
+   * Records an interaction and persists the cassette file.
+   *
+   * Interactions recorded for the same request in previous sessions
+   * are replaced by the ones recorded in the current session. Request
+   * header credentials are redacted.
+   *
+   * @access   public
+   * @memberof Cassette
+   *
+   * @function
+   * @param  {Object} request  Http request description.
+   * @param  {Object} response Transport response with status, statusText, headers and body.
+   *
+   * @throws {CoindeskAPICassetteError}
+   */
+  record(request, response) {
+    const { method = 'GET', url, headers = {} } = request;
+    const { status, statusText, headers: responseHeaders = {}, body } = response;
+    const key = Cassette.key(method, url);
+    if (!_private(this).recorded.has(key)) {
+      _private(this).recorded.add(key);
+      _private(this).interactions = this.interactions.filter(interaction => {
+        return Cassette.key(interaction.request.method, interaction.request.url) !== key;
+      });
+    }
+    this.interactions.push({
+      request: { method, url, headers: redactHeaders(headers) },
+      response: { status, statusText, headers: responseHeaders, body },
+      recordedAt: new Date().toISOString()
+    });
+    this._save();
+  }
+
+  /**
+   * Reads the cassette file.
+   *
+   * A missing file is an empty cassette.
+   *
+   * @access   protected
+   * @memberof Cassette
+   *
+   * @function
+   * @return {Array} Recorded interactions.
+   *
+   * @throws {CoindeskAPICassetteError}
+   */
+  _load() {
+    if (!fs.existsSync(this.filePath)) return [];
+    try {
+      const { interactions } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return Array.isArray(interactions) ? interactions : [];
+    } catch (err) {
+      const message = `Unable to read cassette ${ this.filePath } - ${ err.message }`;
+      logger.error(`[Cassette] File error: ${ message }`);
+      throw new CoindeskAPICassetteError(message, { cause: err });
+    }
+  }
+
+  /**
+   * Writes the cassette file.
+   *
+   * @access   protected
+   * @memberof Cassette
+   *
+   * @function
+   *
+   * @throws {CoindeskAPICassetteError}
+   */
+  _save() {
+    const data = { version: settings.CASSETTE_VERSION, interactions: this.interactions };
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+    } catch (err) {
+      const message = `Unable to write cassette ${ this.filePath } - ${ err.message }`;
+      logger.error(`[Cassette] File error: ${ message }`);
+      throw new CoindeskAPICassetteError(message, { cause: err });
+    }
+  }
+}
+
+/**
+ * Constructs an instance of CassetteTransport class.
+ *
+ * Wraps a transport to record its interactions into a cassette
+ * or to replay them from it without network access.
+ *
+ * @access public
+ * @class
+ */
+class CassetteTransport extends Transport {
+
+  /**
+   * Constructs an instance of CassetteTransport class.
+   *
+   * @access     public
+   * @constructs CassetteTransport
+   *
+   * @constructor
+   * @param  {Transport} transport Wrapped transport used in record mode.
+   * @param  {String}    mode      Cassette mode (record or replay).
+   * @param  {Cassette}  cassette  Cassette to record to or replay from.
+   * @return {CassetteTransport} Class instance.
+   */
+  constructor(transport, mode, cassette) {
+    super();
+    this.transport = transport;
+    this.mode = mode;
+    this.cassette = cassette;
+  }
+
+  /**
+   * Returns instance string representation.
+   *
+   * @access   public
+   * @memberof CassetteTransport
+   *
+   * @function
+   * @return {String} CassetteTransport class instance string representation.
+   */
+  toString() {
+    return `Coindesk API Transport -
+      Class:    ${ this.constructor.name },
+      Mode:     ${ this.mode },
+      Cassette: ${ this.cassette.filePath }`;
+  }
+
+  /**
+   * Records or replays an http request.
+   *
+   * @access   public
+   * @memberof CassetteTransport
+   *
+   * @function
+   * @param  {Object}  request Http request description.
+   * @return {Promise} Response object with status, statusText, headers and body.
+   *
+   * @throws {CoindeskAPICassetteError}
+   */
+  async request(request) {
+    if (this.mode === settings.CASSETTE_REPLAY_MODE) {
+      const response = this.cassette.find(request);
+      if (response === null) {
+        const message = `No recorded interaction for ${ redactUrls(Cassette.key(request.method, request.url)) } in cassette ${ this.cassette.filePath }`;
+        logger.error(`[CassetteTransport] Replay error: ${ message }`);
+        throw new CoindeskAPICassetteError(message);
+      }
+      return Object.assign({}, response, { headers: Object.assign({}, response.headers) });
+    }
+    const response = await this.transport.request(request);
+    this.cassette.record(request, response);
+    return response;
+  }
+}
+
+module.exports = {
+  Cassette,
+  CassetteTransport
+};
@@ -4,18 +4,130 @@
  * @file Defines CoindeskAPIClient, CoindeskAPIHttpRequest and CoindeskAPIHttpResponse classes.
  */
 
-const axios = require('axios');
-const { Headers } = require('node-fetch');
 const { _private } = require('./weakmap');
-const { getLogger } = require('../logger/service');
+const { getLogger, runWithContext, currentContext, createCorrelationId, redactUrl, redactUrls } = require('../logger/service');
+const { BaseError } = require('../errors');
 const { CoindeskAPIClientError } = require('../errors');
 const { CoindeskAPIHttpRequestError } = require('../errors');
 const { CoindeskAPIHttpResponseError } = require('../errors');
+const { CoindeskAPINetworkError } = require('../errors');
+const { CoindeskAPITimeoutError } = require('../errors');
+const { CoindeskAPISchemaError } = require('../errors');
+const { CoindeskAPICassetteError } = require('../errors');
+const { CoindeskAPIRateLimitError } = require('../errors');
+const { CoindeskAPICircuitOpenError } = require('../errors');
+const { CoindeskAPIHttpStatusError } = require('../errors');
+const { CoindeskAPIRedirectError } = require('../errors');
+const { CoindeskAPIClientStatusError } = require('../errors');
+const { CoindeskAPINotFoundError } = require('../errors');
+const { CoindeskAPITooManyRequestsError } = require('../errors');
+const { CoindeskAPIServerStatusError } = require('../errors');
+const { CoindeskAPIServiceUnavailableError } = require('../errors');
+const { CoindeskAPIContentTypeError } = require('../errors');
+const { CoindeskAPIInterceptorError } = require('../errors');
+const { Cassette, CassetteTransport } = require('./cassette');
+const { RequestCoalescer } = require('./coalescer');
+const { transports } = require('./transports');
+const { InterceptorPipeline } = require('./interceptors');
+const { CurrentPrice, HistoricalSeries } = require('./models');
+const converter = require('./converter');
 const utils = require('./utils');
 const settings = require('../settings');
+const supportedCurrencies = require('../currencies.json').SUPPORTED_CURRENCIES;
 
 const logger = getLogger(__filename);
 
+/**
+ * Returns whether an error must reach the caller as thrown, without
+ * retrying the request nor wrapping the error.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Error}   err Request error.
+ * @return {Boolean} Whether the error is thrown as is.
+ */
+let isPassthroughError = (err) => {
+  return err instanceof CoindeskAPICassetteError ||
+    err instanceof CoindeskAPIRateLimitError ||
+    err instanceof CoindeskAPICircuitOpenError ||
+    err instanceof CoindeskAPIInterceptorError;
+};
+
+/**
+ * Returns whether a request error counts as circuit breaker failure.
+ *
+ * Coindesk API being unreachable, overloaded or failing counts as
+ * failure. Rejected requests (4xx but 429) and redirects do not.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Error}   err Request error.
+ * @return {Boolean} Whether the error counts as failure.
+ */
+let isCircuitFailure = (err) => {
+  if (isPassthroughError(err) || err instanceof CoindeskAPIRedirectError) return false;
+  if (err instanceof CoindeskAPIClientStatusError) return err instanceof CoindeskAPITooManyRequestsError;
+  return true;
+};
+
+/**
+ * Returns the error class for a response status code.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Number}   status Response status code.
+ * @return {Function} CoindeskAPIHttpStatusError class or subclass.
+ */
+let getStatusErrorClass = (status) => {
+  if (status === 404) return CoindeskAPINotFoundError;
+  if (status === 429) return CoindeskAPITooManyRequestsError;
+  if (status === 503) return CoindeskAPIServiceUnavailableError;
+  if (status >= 300 && status < 400) return CoindeskAPIRedirectError;
+  if (status >= 400 && status < 500) return CoindeskAPIClientStatusError;
+  if (status >= 500 && status < 600) return CoindeskAPIServerStatusError;
+  return CoindeskAPIHttpStatusError;
+};
+
+/**
+ * Returns why a 2xx response is not json.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Object} response Http response object with requested data.
+ * @return {String} Error message, or null for json responses.
+ */
+let getContentTypeError = (response) => {
+  const { headers = {} } = response;
+  const contentType = (headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const isJSONType = settings.RESPONSE_CONTENT_TYPES.includes(contentType) || contentType.endsWith('+json');
+  if (contentType !== '' && !isJSONType) return `Response content type ${ contentType } is not json`;
+  if (typeof response.data !== 'object' || response.data === null) return 'Response body is not json';
+  return null;
+};
+
+/**
+ * Returns the data type and requested currency of a Coindesk API url.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {String} url Coindesk API endpoint.
+ * @return {Object} Data type (null when unknown) and currency.
+ */
+let getUrlDataType = (url) => {
+  const { pathname, searchParams } = new URL(url);
+  for (let dataType of [settings.API_HISTORICAL_DATA_TYPE, settings.API_SUPPORTED_CURRENCIES_DATA_TYPE]) {
+    if (pathname.endsWith(`/${ settings.API_ENDPOINTS[dataType] }`)) return { dataType, currency: searchParams.get('currency') };
+  }
+  const currentprice = pathname.match(/\/currentprice(?:\/([A-Z]{3}))?\.json$/);
+  if (currentprice !== null) return { dataType: settings.API_CURRENTPRICE_DATA_TYPE, currency: currentprice[1] || null };
+  return { dataType: null, currency: null };
+};
+
 /**
  * Constructs an instance of CoindeskAPIHttpRequest class.
  *
@@ -38,13 +150,23 @@ class CoindeskAPIHttpRequest {
    * @param  {Number}  redirects Maximum number of request redirects allowed.
    * @param  {Number}  timeout   Number of miliseconds before throw request timeout error.
    * @param  {Boolean} backoff   Enable/disable http request retry backoff.
+   * @param  {Object}  options   Optional settings (transport, cassette, cache, coalesce, rateLimit, circuitBreaker, retryPolicy, drift, metrics, interceptors and logger).
    * @return {CoindeskAPIHttpRequest} Class instance.
    */
-  constructor(retries = 10, redirects = 5, timeout = 5000, backoff = true) {
-    _private(this).retries = retries;
+  constructor(retries = 10, redirects = 5, timeout = 5000, backoff = true, options = {}) {
+    _private(this).retryPolicy = utils.validateRetryPolicy(options.retryPolicy, retries, backoff);
     _private(this).redirects = redirects;
     _private(this).timeout = timeout;
-    _private(this).backoff = backoff;
+    _private(this).cassette = utils.validateCassette(options.cassette);
+    _private(this).cache = utils.validateCache(options.cache);
+    _private(this).coalescer = utils.validateCoalesce(options.coalesce);
+    _private(this).rateLimiter = utils.validateRateLimit(options.rateLimit);
+    _private(this).circuitBreaker = utils.validateCircuitBreaker(options.circuitBreaker, options.baseUrl);
+    _private(this).driftDetector = utils.validateDrift(options.drift);
+    _private(this).metrics = utils.validateMetrics(options.metrics);
+    _private(this).interceptors = utils.validateInterceptors(options.interceptors);
+    _private(this).logger = utils.validateLogger(options.logger);
+    this.transport = options.transport;
   }
 
   /**
@@ -62,7 +184,8 @@ class CoindeskAPIHttpRequest {
       Retries:   ${ this.retries },
       Redirects: ${ this.redirects },
       Timeout:   ${ this.timeout },
-      Backoff:   ${ this.backoff }`;
+      Backoff:   ${ this.backoff },
+      Transport: ${ this.transport.constructor.name }`;
   }
 
   /**
@@ -77,14 +200,30 @@ class CoindeskAPIHttpRequest {
    * @param  {Number}  redirects Maximum number of request redirects allowed.
    * @param  {Number}  timeout   Number of miliseconds before throw request timeout error.
    * @param  {Boolean} backoff   Enable/disable http request retry backoff.
-   * @return {CoindeskAPIHttpRequest} Class instance.
+   * @param  {Object}  options   Optional settings (transport, cassette, cache, coalesce, rateLimit, circuitBreaker, retryPolicy, validation, drift, metrics, interceptors, logger and baseUrl).
+   * @return {Array}   Validated class properties.
    */
-  static validate(retries, redirects, timeout, backoff) {
+  static validate(retries, redirects, timeout, backoff, options = {}) {
     retries = utils.validateRetries(retries);
     redirects = utils.validateRedirects(redirects);
     timeout = utils.validateTimeout(timeout);
     utils.validateBackoff(backoff);
-    return [retries, redirects, timeout, backoff];
+    options = Object.assign({}, options, {
+      transport: utils.validateTransport(options.transport),
+      cassette: utils.validateCassette(options.cassette) || 'off',
+      cache: utils.validateCache(options.cache),
+      coalesce: utils.validateCoalesce(options.coalesce),
+      rateLimit: utils.validateRateLimit(options.rateLimit),
+      circuitBreaker: utils.validateCircuitBreaker(options.circuitBreaker, options.baseUrl),
+      retryPolicy: utils.validateRetryPolicy(options.retryPolicy, retries, backoff),
+      validation: utils.validateValidation(options.validation),
+      drift: utils.validateDrift(options.drift),
+      metrics: utils.validateMetrics(options.metrics),
+      interceptors: utils.validateInterceptors(options.interceptors),
+      logger: utils.validateLogger(options.logger),
+      baseUrl: utils.validateBaseUrl(options.baseUrl)
+    });
+    return [retries, redirects, timeout, backoff, options];
   }
 
   /**
@@ -97,7 +236,7 @@ class CoindeskAPIHttpRequest {
    * @return   {Number}   Instance maximum number of request attempts before failing.
    */
   get retries() {
-    return _private(this).retries;
+    return this.retryPolicy.maxAttempts;
   }
 
   /**
@@ -111,7 +250,7 @@ class CoindeskAPIHttpRequest {
    */
   set retries(retries) {
     retries = utils.validateRetries(retries);
-    _private(this).retries = retries;
+    _private(this).retryPolicy = this.retryPolicy.with({ maxAttempts: Math.max(retries, 1) });
   }
 
   /**
@@ -178,7 +317,7 @@ class CoindeskAPIHttpRequest {
    * @return   {Boolean}  Instance request retry backoff.
    */
   get backoff() {
-    return _private(this).backoff;
+    return this.retryPolicy.backoff;
   }
 
   /**
@@ -192,45 +331,462 @@ class CoindeskAPIHttpRequest {
    */
   set backoff(backoff) {
     utils.validateBackoff(backoff);
-    _private(this).backoff = backoff;
+    _private(this).retryPolicy = this.retryPolicy.with({ backoff });
+  }
+
+  /**
+   * Returns instance retry policy property value.
+   *
+   * @access   public
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @property {Function}
+   * @return   {RetryPolicy} Instance request retry policy.
+   */
+  get retryPolicy() {
+    return _private(this).retryPolicy;
+  }
+
+  /**
+   * Sets instance retry policy property value.
+   *
+   * Settings not provided in a policy object follow the current
+   * retries and backoff values.
+   *
+   * @access   public
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @property {Function}
+   * @param    {(Object|RetryPolicy)} retryPolicy Retry policy instance or settings.
+   */
+  set retryPolicy(retryPolicy) {
+    _private(this).retryPolicy = utils.validateRetryPolicy(retryPolicy, this.retries, this.backoff);
+  }
+
+  /**
+   * Returns instance http transport property value.
+   *
+   * @access   public
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @property {Function}
+   * @return   {Transport} Instance http transport.
+   */
+  get transport() {
+    return _private(this).transport;
+  }
+
+  /**
+   * Sets instance http transport property value.
+   *
+   * When record/replay cassette mode is enabled the transport is
+   * wrapped to record its interactions or replay them.
+   *
+   * @access   public
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @property {Function}
+   * @param    {(String|Object|Function)} transport Http transport name, instance or function.
+   */
+  set transport(transport) {
+    transport = utils.validateTransport(transport);
+    const cassette = _private(this).cassette;
+    if (cassette !== null) {
+      transport = new CassetteTransport(transport, cassette.mode, Cassette.open(cassette.path));
+    }
+    _private(this).transport = transport;
+  }
+
+  /**
+   * Returns instance response cache property value.
+   *
+   * @access   public
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @property {Function}
+   * @return   {ResponseCache} Instance response cache or null when disabled.
+   */
+  get cache() {
+    return _private(this).cache;
+  }
+
+  /**
+   * Returns instance in-flight request coalescer property value.
+   *
+   * @access   public
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @property {Function}
+   * @return   {RequestCoalescer} Instance request coalescer or null when disabled.
+   */
+  get coalescer() {
+    return _private(this).coalescer;
+  }
+
+  /**
+   * Returns instance rate limiter property value.
+   *
+   * @access   public
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @property {Function}
+   * @return   {RateLimiter} Instance rate limiter or null when disabled.
+   */
+  get rateLimiter() {
+    return _private(this).rateLimiter;
+  }
+
+  /**
+   * Returns instance circuit breaker property value.
+   *
+   * @access   public
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @property {Function}
+   * @return   {CircuitBreaker} Instance circuit breaker or null when disabled.
+   */
+  get circuitBreaker() {
+    return _private(this).circuitBreaker;
+  }
+
+  /**
+   * Returns instance schema drift detector property value.
+   *
+   * @access   public
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @property {Function}
+   * @return   {DriftDetector} Instance drift detector or null when disabled.
+   */
+  get driftDetector() {
+    return _private(this).driftDetector;
+  }
+
+  /**
+   * Returns instance metrics registry property value.
+   *
+   * @access   public
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @property {Function}
+   * @return   {MetricsRegistry} Instance metrics registry or null when disabled.
+   */
+  get metrics() {
+    return _private(this).metrics;
+  }
+
+  /**
+   * Returns instance interceptor pipeline property value.
+   *
+   * Interceptors added to it run after the global ones.
+   *
+   * @access   public
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @property {Function}
+   * @return   {InterceptorPipeline} Instance interceptor pipeline.
+   */
+  get interceptors() {
+    return _private(this).interceptors;
+  }
+
+  /**
+   * Returns instance logger property value.
+   *
+   * @access   public
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @property {Function}
+   * @return   {Object}   Instance logger or null when logging to the global logger.
+   */
+  get logger() {
+    return _private(this).logger;
+  }
+
+  /**
+   * Sets instance logger property value.
+   *
+   * @access   public
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @property {Function}
+   * @param    {(Object|Boolean)} logger Logger, false to silence or null for the global logger.
+   */
+  set logger(logger) {
+    _private(this).logger = utils.validateLogger(logger);
   }
 
   /**
    * Gets Bitcoin market information from Coindesk API.
    *
    * Makes https request to Coindesk API for the provided url with
-   * optional parameters.
+   * optional parameters. When the response cache is enabled, cached
+   * responses are returned without making the request. When request
+   * coalescing is enabled, concurrent calls for the same url share the
+   * pending request and its retries, each one receiving its own copy.
+   * While the circuit breaker is open calls fail fast without retries.
+   * Responses other than successful json responses are rejected with
+   * a CoindeskAPIHttpStatusError subclass. When drift detection is
+   * enabled, responses received from Coindesk API (not cached ones) are
+   * compared against the known schemas. When metrics are enabled,
+   * cache lookups, requests, retries and durations are recorded. Log
+   * records carry the request correlation id, data type and redacted url.
+   * Interceptors run for requests not answered from cache: onRequest
+   * and onRetry for each attempt, onResponse once the attempts end and
+   * onError when the call fails, possibly recovering it with a response
+   * which is not cached. With a validation mode, response data is
+   * validated before being cached, only responses without violations
+   * are cached, and raw responses carry the lenient mode violations in
+   * their warnings property.
    *
    * @access   public
    * @memberof CoindeskAPIHttpRequest
    *
    * @function
-   * @param  {String}  url Endpoint with optional query parameters.
-   * @param  {Boolean} raw Enable/disable raw response.
+   * @param  {String}  url        Endpoint with optional query parameters.
+   * @param  {Boolean} raw        Enable/disable raw response.
+   * @param  {String}  validation Validation mode (strict or lenient) or null for none.
    * @return {Promise} Http response object with requested data.
    *
    * @throws {CoindeskAPIHttpRequestError}
+   * @throws {CoindeskAPISchemaError}
    */
-  async get(url, raw = false) {
-    let response;
+  get(url, raw = false, validation = null) {
+    const { dataType } = getUrlDataType(url);
+    return this._runInContext(() => this._get(url, raw, validation), { dataType, url: redactUrl(url) });
+  }
+
+  /**
+   * Gets Bitcoin market information from Coindesk API for the url.
+   *
+   * @access   protected
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @function
+   * @param  {String}  url        Endpoint with optional query parameters.
+   * @param  {Boolean} raw        Enable/disable raw response.
+   * @param  {String}  validation Validation mode (strict or lenient) or null for none.
+   * @return {Promise} Http response object with requested data.
+   *
+   * @throws {CoindeskAPIHttpRequestError}
+   * @throws {CoindeskAPISchemaError}
+   */
+  async _get(url, raw, validation = null) {
+    const startedAt = Date.now();
+    const { dataType } = getUrlDataType(url);
+    const metrics = this.metrics;
+    const labels = metrics !== null ? { data_type: dataType } : null;
+    let response = this.cache !== null ? await this.cache.get(url) : undefined;
+    if (metrics !== null && this.cache !== null) metrics.inc(response !== undefined ? 'cacheHits' : 'cacheMisses', labels);
+    if (response !== undefined) {
+      logger.debug(`[CoindeskAPIHttpRequest] Cache hit: ${ redactUrl(url) }`, { duration: Date.now() - startedAt });
+      const warnings = this._validateResponse(response, url, validation);
+      return raw ? Object.assign({}, response, { warnings }) : response.data;
+    }
     const options = this._getRequestOptions();
+    const request = async () => {
+      const context = { client: this, url, dataType, correlationId: currentContext().correlationId, attempt: 0, state: {} };
+      let response;
+      let recovered = false;
+      try {
+        const httpRequest = async () => {
+          const { value: response } = await this._intercept('onResponse', await this._httpRequest(url, options, context), context);
+          this._checkResponseStatus(response, url);
+          return response;
+        };
+        const breaker = this.circuitBreaker;
+        response = breaker !== null ? await breaker.run(httpRequest, isCircuitFailure) : await httpRequest();
+        this._detectDrift(url, response);
+      } catch (failure) {
+        const { error: err, response: recovery } = await this._interceptError(failure, context);
+        if (recovery === null) {
+          const duration = Date.now() - startedAt;
+          if (metrics !== null) {
+            metrics.inc('requests', Object.assign({ outcome: 'error' }, labels));
+            metrics.inc('errors', Object.assign({ code: err instanceof BaseError ? err.code : CoindeskAPIHttpRequestError.code }, labels));
+            metrics.observe('duration', labels, duration / 1000);
+          }
+          if (err instanceof BaseError) {
+            logger.error(`[CoindeskAPIHttpRequest] Request failed: ${ redactUrls(err.message) }`, { duration, errorCode: err.code });
+            throw err;
+          }
+          const message = `Could not make request - ${ redactUrls(err.message) }`;
+          logger.error(`[CoindeskAPIHttpRequest] Request error: ${ message }`, { duration, errorCode: CoindeskAPIHttpRequestError.code });
+          throw new CoindeskAPIHttpRequestError(message, { cause: err, url });
+        }
+        response = recovery;
+        recovered = true;
+      }
+      if (metrics !== null) {
+        metrics.inc('requests', Object.assign({ outcome: 'success' }, labels));
+        metrics.observe('duration', labels, (Date.now() - startedAt) / 1000);
+      }
+      const warnings = this._validateResponse(response, url, validation);
+      if (this.cache !== null && !recovered && warnings.length === 0) await this.cache.set(url, response);
+      return Object.assign({}, response, { warnings });
+    };
+    const scope = this._getCoalescingScope(options).concat(validation !== null ? [validation] : []);
+    const key = RequestCoalescer.key(options.method, url, scope);
+    response = this.coalescer !== null ? await this.coalescer.run(key, request) : await request();
+    return raw ? response : response.data;
+  }
+
+  /**
+   * Validates response data against the schema of the url data type and currency.
+   *
+   * Schema violations are counted by the metrics registry, once per
+   * validated response.
+   *
+   * @access   protected
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @function
+   * @param  {Object} response   Http response object with requested data.
+   * @param  {String} url        Endpoint with optional query parameters.
+   * @param  {String} validation Validation mode (strict or lenient) or null for none.
+   * @return {Array}  Lenient mode violations with message, path and type.
+   *
+   * @throws {CoindeskAPISchemaError}
+   */
+  _validateResponse(response, url, validation) {
+    if (validation === null) return [];
+    const { dataType, currency } = getUrlDataType(url);
+    const labels = { data_type: dataType, mode: validation };
+    let warnings;
     try {
-      response = await this._httpRequest(url, options);
+      warnings = CoindeskAPIHttpResponse.validate(response.data, dataType, currency, validation).warnings;
     } catch (err) {
-      const message = `Could not make request - ${ err.message }`;
-      logger.error(`[CoindeskAPIHttpRequest] Request error: ${ message }`);
-      throw new CoindeskAPIHttpRequestError(message);
+      if (this.metrics !== null) this.metrics.inc('validationFailures', labels);
+      throw err;
+    }
+    if (this.metrics !== null && warnings.length > 0) this.metrics.inc('validationFailures', labels);
+    return warnings;
+  }
+
+  /**
+   * Returns what the requests of the instance depend on besides the url.
+   *
+   * Built-in transports are stateless and keyed by class, any other
+   * transport (functions, custom objects and cassettes) by identity.
+   * Request options (headers, timeout and redirects) and retry policy
+   * settings must be identical, so no instance receives a response its
+   * own settings would not have got. Instances with interceptors,
+   * global or their own, only share requests with the instances running
+   * the same interceptors, so their hooks always run.
+   *
+   * @access   protected
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @function
+   * @param  {Object} options Http request options.
+   * @return {Array}  Coalescing key scope.
+   */
+  _getCoalescingScope(options) {
+    const transport = this.transport;
+    const isBuiltIn = Object.values(transports).includes(transport.constructor);
+    const policy = this.retryPolicy;
+    const retrySettings = ['maxAttempts', 'backoff', 'baseDelay', 'maxDelay', 'multiplier', 'jitter', 'retryableStatuses', 'retryAfter', 'maxRetryAfter', 'deadline'];
+    const scope = [
+      isBuiltIn ? transport.constructor.name : transport,
+      JSON.stringify(options),
+      JSON.stringify(retrySettings.map(setting => policy[setting])),
+      policy.retryableError
+    ];
+    return scope.concat(InterceptorPipeline.global.interceptors, this.interceptors.interceptors);
+  }
+
+  /**
+   * Runs a task with the instance logger and a request correlation id.
+   *
+   * The correlation id is the provided one, the one of the calling
+   * context or a new one, so that every attempt of a call is traced
+   * with the same id.
+   *
+   * @access   protected
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @function
+   * @param  {Function} task   Function to run.
+   * @param  {Object}   fields Log record fields (e.g. correlationId, dataType and url).
+   * @return {*}        Task result.
+   */
+  _runInContext(task, fields = {}) {
+    const correlationId = fields.correlationId || currentContext().correlationId || createCorrelationId();
+    return runWithContext(Object.assign({}, fields, { logger: this.logger, correlationId }), task);
+  }
+
+  /**
+   * Runs a hook of the global and instance interceptors.
+   *
+   * @access   protected
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @function
+   * @param  {String}  hook    Hook (onRequest, onResponse, onError or onRetry).
+   * @param  {*}       value   Request, response, error or retry.
+   * @param  {Object}  context Call context.
+   * @return {Promise} Object with the resulting value, the response ending the hooks (or null) and its interceptor.
+   *
+   * @throws {CoindeskAPIInterceptorError}
+   */
+  _intercept(hook, value, context) {
+    const interceptors = InterceptorPipeline.global.interceptors.concat(this.interceptors.interceptors);
+    return InterceptorPipeline.run(interceptors, hook, value, context);
+  }
+
+  /**
+   * Runs the onError interceptor hooks of a failed call.
+   *
+   * Returns the error to reject the call with, the one returned by the
+   * hooks or the hook failure, or the response recovering the call.
+   *
+   * @access   protected
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @function
+   * @param  {Error}   err     Call error.
+   * @param  {Object}  context Call context.
+   * @return {Promise} Object with the error and the recovery response (or null).
+   */
+  async _interceptError(err, context) {
+    let result;
+    try {
+      result = await this._intercept('onError', err, context);
+    } catch (hookErr) {
+      return { error: hookErr, response: null };
+    }
+    if (result.response === null) return { error: result.value, response: null };
+    logger.warn(`[CoindeskAPIHttpRequest] Request recovered by interceptor ${ result.interceptor }: ${ redactUrls(err.message) }`);
+    return { error: null, response: this._parseResponse(result.response) };
+  }
+
+  /**
+   * Reports schema drifts of a Coindesk API response.
+   *
+   * Drift detection never fails the request, its errors are logged.
+   *
+   * @access   protected
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @function
+   * @param  {String} url      Endpoint with optional query parameters.
+   * @param  {Object} response Http response object with returned data.
+   */
+  _detectDrift(url, response) {
+    if (this.driftDetector === null) return;
+    try {
+      this.driftDetector.inspect(response.data, Object.assign(getUrlDataType(url), { url }));
+    } catch (err) {
+      logger.warn(`[CoindeskAPIHttpRequest] Drift error: ${ err.message }`);
     }
-    this._checkResponseStatus(response);
-    return raw ? response : response.data;
   }
 
   /**
    * Returns http request options and headers.
    *
-   * Returns an object with http request headers and optional parameters
-   * configuration, like response type (json), maximum number of redirects
-   * and timeout.
+   * Returns an object with http request method, headers and optional
+   * parameters configuration, like maximum number of redirects and
+   * timeout, to be provided to the transport.
    *
    * @access   protected
    * @memberof CoindeskAPIHttpRequest
@@ -240,8 +796,8 @@ class CoindeskAPIHttpRequest {
    */
   _getRequestOptions() {
     return {
+      method: 'GET',
       headers: this._getHeaders(),
-      responseType: 'json',
       maxRedirects: this.redirects,
       timeout: this.timeout
     };
@@ -257,53 +813,160 @@ class CoindeskAPIHttpRequest {
    * @return {Object} Http request headers.
    */
   _getHeaders() {
-    const headers = settings.REQUEST_HEADERS;
-    return new Headers(headers);
+    return Object.assign({}, settings.REQUEST_HEADERS);
   }
 
   /**
    * Gets Bitcoin market information from Coindesk API.
    *
    * Makes https request to Coindesk API managing the
-   * internal calls flow.
+   * internal calls flow. Every attempt, retries included, waits
+   * for a rate limiter token. The retry policy decides which failed
+   * attempts are retried, the delay between them and the deadline,
+   * which also caps each attempt timeout. Retry-After delays beyond the
+   * maximum Retry-After or the deadline fail at once with
+   * CoindeskAPIRateLimitError. The onRequest interceptor
+   * hooks receive a copy of each attempt request and may answer it
+   * instead of the transport, and onRetry hooks run before each retry.
+   * 2xx responses which are not json (e.g. html maintenance pages) are
+   * retried as CoindeskAPIContentTypeError when the policy retries it.
+   * The last response is returned whatever its status code, with the
+   * number of the attempt.
    *
    * @access   protected
    * @memberof CoindeskAPIHttpRequest
    *
    * @function
    * @param  {String}  url     Endpoint with optional query parameters.
-   * @param  {Boolean} options Http request options.
+   * @param  {Object}  options Http request options.
+   * @param  {Object}  context Interceptors call context.
    * @return {Promise} Http response object with requested data.
    *
-   * @throws {CoindeskAPIHttpRequestError}
+   * @throws {CoindeskAPINetworkError}
+   * @throws {CoindeskAPIRateLimitError}
+   * @throws {CoindeskAPIInterceptorError}
+   */
+  async _httpRequest(url, options, context = { client: this, url, attempt: 0, state: {} }) {
+    const policy = this.retryPolicy;
+    const startedAt = Date.now();
+    let reason = 'No response';
+    let attempts = 0;
+    let response = null;
+    let error = null;
+    for (let attempt = 1; attempt <= policy.maxAttempts; attempt++) {
+      const attemptedAt = Date.now();
+      try {
+        if (this.rateLimiter !== null) await this.rateLimiter.acquire();
+        const timeout = Math.min(options.timeout || Infinity, policy.getRemaining(startedAt));
+        if (timeout <= 0) {
+          reason = `Retry deadline of ${ policy.deadline } ms exceeded`;
+          error = new CoindeskAPITimeoutError(reason, { url, timeout: policy.deadline });
+          break;
+        }
+        const request = Object.assign({ url }, options, { headers: Object.assign({}, options.headers) }, timeout !== Infinity ? { timeout } : {});
+        attempts++;
+        response = null;
+        error = null;
+        context.attempt = attempt;
+        const intercepted = await this._intercept('onRequest', request, context);
+        if (intercepted.response !== null) {
+          logger.debug(`[CoindeskAPIHttpRequest] Request answered by interceptor ${ intercepted.interceptor }`, { attempt });
+          response = intercepted.response;
+        } else {
+          response = await this.transport.request(intercepted.value);
+        }
+        response = this._parseResponse(response);
+      } catch (err) {
+        if (isPassthroughError(err) || !policy.isRetryableError(err)) throw err;
+        reason = redactUrls(err.message);
+        error = err;
+      }
+      if (response !== null && policy.isRetryableStatus(response.status)) {
+        reason = `Response status code ${ response.status } - ${ response.statusText }`;
+      } else if (response !== null) {
+        const message = response.status >= 200 && response.status < 300 ? getContentTypeError(response) : null;
+        if (message === null) break;
+        error = new CoindeskAPIContentTypeError(message, Object.assign({}, response, { url }));
+        if (!policy.isRetryableError(error)) break;
+        reason = message;
+      }
+      logger.error(`[CoindeskAPIHttpRequest] Attempt ${ attempt } of ${ policy.maxAttempts } failed: ${ reason }`, {
+        attempt,
+        duration: Date.now() - attemptedAt,
+        status: response !== null ? response.status : null,
+        errorCode: error !== null ? error.code || null : response !== null ? getStatusErrorClass(response.status).code : null
+      });
+      if (attempt === policy.maxAttempts) break;
+      const retryAfter = policy.getRetryAfter(response);
+      if (retryAfter !== null && (retryAfter > policy.maxRetryAfter || retryAfter >= policy.getRemaining(startedAt))) {
+        const limit = retryAfter > policy.maxRetryAfter ? `maximum Retry-After of ${ policy.maxRetryAfter } ms` : `retry deadline of ${ policy.deadline } ms`;
+        const message = `Coindesk API asked to retry after ${ retryAfter } ms, beyond the ${ limit }`;
+        logger.error(`[CoindeskAPIHttpRequest] Request error: ${ message }`, { attempt, status: response.status, errorCode: CoindeskAPIRateLimitError.code });
+        throw new CoindeskAPIRateLimitError(message, { url, status: response.status, retryAfter });
+      }
+      const delay = policy.getDelay(attempt, response);
+      if (delay >= policy.getRemaining(startedAt)) {
+        reason = `${ reason }, retry deadline of ${ policy.deadline } ms exceeded`;
+        break;
+      }
+      logger.error(`[CoindeskAPIHttpRequest] Waiting ${ delay } ms`, { attempt, delay });
+      if (this.metrics !== null) this.metrics.inc('retries', { data_type: getUrlDataType(url).dataType });
+      await this._intercept('onRetry', {
+        attempt,
+        delay,
+        reason,
+        status: response !== null ? response.status : null,
+        error: response !== null ? null : error
+      }, context);
+      await this._waitExponentialBackoff(delay);
+    }
+    const duration = Date.now() - startedAt;
+    if (response !== null) return Object.assign(response, { attempt: attempts, duration });
+    const message = `No response from Coindesk API url ${ redactUrl(url) } after ${ attempts } attempts: ${ reason }`;
+    const NetworkError = error instanceof CoindeskAPITimeoutError ? CoindeskAPITimeoutError : CoindeskAPINetworkError;
+    logger.error(`[CoindeskAPIHttpRequest] Request error: No response after ${ attempts } attempts: ${ reason }`, {
+      attempt: attempts,
+      duration,
+      errorCode: NetworkError.code
+    });
+    throw new NetworkError(message, { cause: error !== null ? error : undefined, url, attempts });
+  }
+
+  /**
+   * Returns the transport response with the decoded json body.
+   *
+   * The decoded body is set as the response data property. Bodies
+   * which are not valid json are kept as returned.
+   *
+   * @access   protected
+   * @memberof CoindeskAPIHttpRequest
+   *
+   * @function
+   * @param  {Object} response Transport response with status, statusText, headers and body.
+   * @return {Object} Http response object with requested data.
    */
-  async _httpRequest(url, options) {
-    for (let retry = 1; retry <= this.retries; retry++) {
+  _parseResponse(response) {
+    let data = response.body;
+    if (typeof data === 'string') {
       try {
-        return await axios.get(url, options);
+        data = JSON.parse(data);
       } catch (err) {
-        const timeout = this.backoff ? Math.pow(2, retry) : 0;
-        logger.error(`[CoindeskAPIHttpRequest] Retry ${ retry } request: ${ err.message }`);
-        logger.error(`[CoindeskAPIHttpRequest] Waiting ${ timeout } ms`);
-        await this._waitExponentialBackoff(timeout);
+        logger.warn(`[CoindeskAPIHttpRequest] Response error: Unable to decode JSON body - ${ err.message }`);
       }
     }
-    const message = `No response from Coindesk API url ${ url }`;
-    logger.error(`[CoindeskAPIHttpRequest] Request error: ${ message }`);
-    throw new CoindeskAPIHttpRequestError(message);
+    return Object.assign({}, response, { data });
   }
 
   /**
    * Returns a Promise when timeout expires.
    *
-   * When class property backoff is enabled awaits between request calls
-   * retries in an exponentially incremental rate.
+   * Awaits between request retries the delay given by the retry policy.
    *
    * @access   protected
    * @memberof CoindeskAPIHttpRequest
    *
    * @function
-   * @param  {Number}  timeout Number of miliseconds for request timeout error.
+   * @param  {Number}  timeout Number of miliseconds to wait.
    * @return {Promise} Resolves the promise when timeout is reached.
    */
   _waitExponentialBackoff(timeout) {
@@ -313,30 +976,50 @@ class CoindeskAPIHttpRequest {
   }
 
   /**
-   * Validates Coindesk API response status.
+   * Validates Coindesk API response status and content type.
+   *
+   * Only 2xx responses with a json body are successful. Otherwise
+   * throws, depending on the status code:
+   *
+   *   - 3xx: CoindeskAPIRedirectError (redirects limit reached or no location).
+   *   - 404: CoindeskAPINotFoundError.
+   *   - 429: CoindeskAPITooManyRequestsError.
+   *   - 4xx: CoindeskAPIClientStatusError.
+   *   - 503: CoindeskAPIServiceUnavailableError.
+   *   - 5xx: CoindeskAPIServerStatusError.
+   *   - 2xx with another content type (e.g. html maintenance page) or
+   *     a body which is not json: CoindeskAPIContentTypeError.
+   *   - any other: CoindeskAPIHttpStatusError.
    *
    * @access   protected
    * @memberof CoindeskAPIHttpRequest
    *
    * @function
    * @param {Object} response Http response object with requested data.
+   * @param {String} url      Request url.
    *
-   * @throws {CoindeskAPIHttpRequestError}
+   * @throws {CoindeskAPIHttpStatusError}
    */
-  _checkResponseStatus(response) {
-    const { status: statusCode, statusText } = response;
-    if (statusCode === 403 || statusCode === 404) {
-      const message = `Response status code ${ statusCode } - ${ statusText }`;
-      logger.error(`[CoindeskAPIHttpRequest] Request error: ${ message }`);
-      throw new CoindeskAPIHttpRequestError(message);
-    } else if (statusCode === 500) {
-      const message = `Response status code ${ statusCode } - ${ statusText }`;
-      logger.error(`[CoindeskAPIHttpRequest] Server error: ${ message }`);
-      throw new CoindeskAPIHttpRequestError(message);
-    } else {
-      const message = `Status code ${ statusCode }`;
-      logger.info(`[CoindeskAPIHttpRequest] Request success: ${ message }`);
+  _checkResponseStatus(response, url) {
+    const { status: statusCode, statusText, headers = {} } = response;
+    const details = Object.assign({}, response, { url });
+    const fields = { attempt: response.attempt, duration: response.duration, status: statusCode };
+    if (statusCode < 200 || statusCode >= 300) {
+      let message = `Response status code ${ statusCode } - ${ statusText }`;
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        message = `${ message }, redirect to ${ redactUrls(headers.location) } not followed (maximum ${ this.redirects } redirects)`;
+      }
+      const log = statusCode >= 500 ? 'Server error' : 'Request error';
+      const StatusError = getStatusErrorClass(statusCode);
+      logger.error(`[CoindeskAPIHttpRequest] ${ log }: ${ message }`, Object.assign(fields, { errorCode: StatusError.code }));
+      throw new StatusError(message, details);
+    }
+    const message = getContentTypeError(response);
+    if (message !== null) {
+      logger.error(`[CoindeskAPIHttpRequest] Response error: ${ message }`, Object.assign(fields, { errorCode: CoindeskAPIContentTypeError.code }));
+      throw new CoindeskAPIContentTypeError(message, details);
     }
+    logger.info(`[CoindeskAPIHttpRequest] Request success: Status code ${ statusCode }`, fields);
   }
 }
 
@@ -365,10 +1048,14 @@ class CoindeskAPIClient extends CoindeskAPIHttpRequest {
    * @param  {Number}  redirects Maximum number of request redirects allowed.
    * @param  {Number}  timeout   Number of miliseconds before throw request timeout error.
    * @param  {Boolean} backoff   Enable/disable http request retry backoff.
+   * @param  {Object}  options   Optional settings (transport, cassette, cache, coalesce, rateLimit, circuitBreaker, retryPolicy, validation, drift, metrics, interceptors, logger and baseUrl).
    * @return {CoindeskAPIClient} Class instance.
    */
-  constructor(dataType = null, params = {}, retries = 10, redirects = 5, timeout = 5000, backoff = true) {
-    super(retries, redirects, timeout, backoff);
+  constructor(dataType = null, params = {}, retries = 10, redirects = 5, timeout = 5000, backoff = true, options = {}) {
+    super(retries, redirects, timeout, backoff, options);
+    _private(this).baseUrl = utils.validateBaseUrl(options.baseUrl);
+    _private(this).validation = utils.validateValidation(options.validation);
+    _private(this).warnings = [];
     _private(this).dataType = dataType;
     _private(this).apiEndpoint = this._constructApiEndpoint(dataType, params);
   }
@@ -404,13 +1091,14 @@ class CoindeskAPIClient extends CoindeskAPIHttpRequest {
    * @param  {Number}  redirects Maximum number of request redirects allowed.
    * @param  {Number}  timeout   Number of miliseconds before throw request timeout error.
    * @param  {Boolean} backoff   Enable/disable http request retry backoff.
+   * @param  {Object}  options   Optional settings (transport, cassette, cache, coalesce, rateLimit, circuitBreaker, retryPolicy, validation, drift, metrics, interceptors, logger and baseUrl).
    * @return {CoindeskAPIClient} Class instance.
    */
-  static start(dataType = null, params = {}, retries = 10, redirects = 5, timeout = 5000, backoff = true) {
+  static start(dataType = null, params = {}, retries = 10, redirects = 5, timeout = 5000, backoff = true, options = {}) {
     dataType = utils.validateDataType(dataType);
     params = utils.validateParams(dataType, params);
-    [retries, redirects, timeout, backoff] = this.validate(retries, redirects, timeout, backoff);
-    return new this(dataType, params, retries, redirects, timeout, backoff);
+    [retries, redirects, timeout, backoff, options] = this.validate(retries, redirects, timeout, backoff, options);
+    return new this(dataType, params, retries, redirects, timeout, backoff, options);
   }
 
   /**
@@ -446,9 +1134,7 @@ class CoindeskAPIClient extends CoindeskAPIHttpRequest {
    * @return {String} Url path for Coindesk API endpoint.
    */
   _getApiPath() {
-    const { protocol, host, path } = settings.API_COINDESK_SETUP;
-    const apiPath = `${ protocol }://${ host }${ path }`;
-    return this._cleanApiPath(apiPath);
+    return this._cleanApiPath(this.baseUrl);
   }
 
   /**
@@ -527,6 +1213,61 @@ class CoindeskAPIClient extends CoindeskAPIHttpRequest {
     _private(this).apiEndpoint = this._constructApiEndpoint(dataType, this.params);
   }
 
+  /**
+   * Returns client Coindesk API base url.
+   *
+   * @access   public
+   * @memberof CoindeskAPIClient
+   *
+   * @property {Function}
+   * @return   {String} Coindesk API base url (defaults to https://api.coindesk.com/v1/bpi).
+   */
+  get baseUrl() {
+    return _private(this).baseUrl;
+  }
+
+  /**
+   * Sets client Coindesk API base url keeping data type and params.
+   *
+   * Clients using the default circuit breaker of the previous base url
+   * host move to the one of the new host.
+   *
+   * @access   public
+   * @memberof CoindeskAPIClient
+   *
+   * @property {Function}
+   * @param    {String} baseUrl Coindesk API base url.
+   */
+  set baseUrl(baseUrl) {
+    const params = this.params;
+    const currency = this.dataType === settings.API_CURRENTPRICE_DATA_TYPE ? this._getCurrency() : null;
+    if (currency !== null) params.currency = currency;
+    const isDefaultBreaker = this.circuitBreaker !== null && this.circuitBreaker === utils.validateCircuitBreaker(true, this.baseUrl);
+    _private(this).baseUrl = utils.validateBaseUrl(baseUrl);
+    if (isDefaultBreaker) _private(this).circuitBreaker = utils.validateCircuitBreaker(true, this.baseUrl);
+    _private(this).apiEndpoint = this._constructApiEndpoint(this.dataType, params);
+  }
+
+  /**
+   * Returns the requested currency code.
+   *
+   * Currentprice currency is part of the endpoint path and historical
+   * currency is a query parameter.
+   *
+   * @access   protected
+   * @memberof CoindeskAPIClient
+   *
+   * @function
+   * @return {String} Requested currency code or null when not requested.
+   */
+  _getCurrency() {
+    if (this.dataType === settings.API_CURRENTPRICE_DATA_TYPE) {
+      const currency = this.path.match(/\/([A-Z]{3})\.json$/);
+      return currency !== null ? currency[1] : null;
+    }
+    return this.getParam('currency');
+  }
+
   /**
    * Returns client endpoint to fetch data from.
    *
@@ -676,28 +1417,217 @@ class CoindeskAPIClient extends CoindeskAPIHttpRequest {
   }
 
   /**
-   * Returns valid currency values for the currency query parameters.
+   * Gets Bitcoin historical close prices for a long dates interval.
+   *
+   * Splits the interval in chunks fetched with bounded concurrency
+   * through the request retry logic, merging close prices by date in
+   * a single series. Failed chunks are reported without discarding
+   * the fetched ones.
    *
    * @access   public
    * @memberof CoindeskAPIClient
    *
    * @function
-   * @return {Promise} Object with valid currency values for currency query parameter.
+   * @param  {(String|Date)} start                 Interval start date (YYYY-MM-DD).
+   * @param  {(String|Date)} end                   Interval end date (YYYY-MM-DD).
+   * @param  {Object}        options               Optional range settings.
+   * @param  {String}        options.currency      Currency of close prices.
+   * @param  {String}        options.index         Price index (USD or CNY).
+   * @param  {Number}        options.chunkDays     Maximum number of days for each request.
+   * @param  {Number}        options.concurrency   Maximum number of simultaneous requests.
+   * @param  {String}        options.correlationId Log correlation id shared by every chunk request.
+   * @return {Promise} Object with series, chunks metadata and complete flag.
+   *
+   * @throws {CoindeskAPIClientError}
+   */
+  getHistoricalRange(start, end, options = {}) {
+    return this._runInContext(async () => {
+      const {
+        currency = null,
+        index = null,
+        chunkDays = settings.HISTORICAL_CHUNK_DAYS,
+        concurrency = settings.HISTORICAL_CHUNK_CONCURRENCY
+      } = options;
+      const toDay = date => date instanceof Date ? date.toISOString().slice(0, 10) : date;
+      const params = { start: toDay(start), end: toDay(end) };
+      if (currency !== null) params.currency = currency;
+      if (index !== null) params.index = index;
+      utils.validateParams(settings.API_HISTORICAL_DATA_TYPE, params);
+      utils.validateConcurrency(concurrency);
+      const chunks = utils.getDateChunks(params.start, params.end, chunkDays).map(chunk => {
+        const chunkParams = Object.assign({}, params, chunk);
+        const url = this._constructApiEndpoint(settings.API_HISTORICAL_DATA_TYPE, chunkParams);
+        return Object.assign(chunk, { url: url.href });
+      });
+      const results = await utils.runConcurrently(chunks.map(chunk => {
+        return () => super.get(chunk.url, false);
+      }), concurrency);
+
+      const points = [];
+      const metadata = chunks.map((chunk, i) => {
+        const { status, value, reason } = results[i];
+        if (status === 'rejected') {
+          logger.error(`[CoindeskAPIClient] Chunk error: ${ chunk.start } - ${ chunk.end }: ${ reason.message }`);
+          return Object.assign(chunk, { fetched: false, points: 0, error: reason });
+        }
+        const bpi = value && value.bpi ? value.bpi : {};
+        Object.keys(bpi).forEach(date => points.push({ date, close: bpi[date] }));
+        return Object.assign(chunk, { fetched: true, points: Object.keys(bpi).length, error: null });
+      });
+      const series = new HistoricalSeries({ points, currency: currency || settings.DEFAULT_CURRENCY });
+      const complete = metadata.every(chunk => chunk.fetched);
+      return { series, chunks: metadata, complete };
+    }, { correlationId: options.correlationId });
+  }
+
+  /**
+   * Converts an amount between Bitcoin, satoshi and fiat currencies.
+   *
+   * Uses the Bitcoin price from the provided currentprice snapshot or
+   * fetches it from Coindesk API. When a date is provided the historical
+   * close price for that day is used instead.
+   *
+   * @access   public
+   * @memberof CoindeskAPIClient
+   *
+   * @function
+   * @param  {Number}                amount                Amount to convert.
+   * @param  {String}                from                  Source currency code or Bitcoin unit (BTC or SAT).
+   * @param  {String}                to                    Target currency code or Bitcoin unit (BTC or SAT).
+   * @param  {Object}                options               Optional conversion settings.
+   * @param  {(CurrentPrice|Object)} options.snapshot      Currentprice snapshot to convert with.
+   * @param  {(String|Date)}         options.date          Day to convert with its historical close price.
+   * @param  {String}                options.correlationId Log correlation id shared by every price request.
+   * @return {Promise} Object with amount, from, to, value, rate and time of the price used.
+   *
+   * @throws {CoindeskAPIClientError}
    */
-  async getSupportedCurrencies() {
-    let currencies = null;
-    const apiPath = this._getApiPath();
-    const resource = settings.API_ENDPOINTS[settings.API_SUPPORTED_CURRENCIES_DATA_TYPE];
-    const url = new URL(`${ apiPath }/${ resource }`);
+  convert(amount, from, to, options = {}) {
+    return this._runInContext(async () => {
+      const { snapshot = null, date = null } = options;
+      const conversion = converter.validateConversion(amount, from, to);
+      const prices = {};
+      let time;
+      if (date !== null) {
+        const day = date instanceof Date ? date.toISOString().slice(0, 10) : date;
+        const params = { start: day, end: day };
+        utils.validateParams(settings.API_HISTORICAL_DATA_TYPE, params);
+        for (let currency of conversion.currencies) {
+          const url = this._constructApiEndpoint(settings.API_HISTORICAL_DATA_TYPE, Object.assign({ currency }, params));
+          const series = HistoricalSeries.fromResponse(await this._getConversionData(url.href), currency);
+          if (series.at(params.start) !== null) prices[currency] = series.at(params.start);
+        }
+        time = new Date(params.start);
+      } else {
+        const snapshots = snapshot !== null ? [converter.toSnapshot(snapshot)] : [];
+        for (let currency of snapshot === null ? conversion.currencies : []) {
+          if (snapshots.some(price => price.has(currency))) continue;
+          const params = currency !== settings.DEFAULT_CURRENCY ? { currency } : {};
+          const url = this._constructApiEndpoint(settings.API_CURRENTPRICE_DATA_TYPE, params);
+          snapshots.push(CurrentPrice.fromResponse(await this._getConversionData(url.href)));
+        }
+        snapshots.forEach(price => price.rates.forEach(rate => {
+          if (!prices.hasOwnProperty(rate.code)) prices[rate.code] = rate.value;
+        }));
+        time = snapshots.length > 0 ? snapshots[0].time : new Date();
+      }
+      return converter.convert(conversion, prices, time);
+    }, { correlationId: options.correlationId });
+  }
+
+  /**
+   * Gets Coindesk API data for a conversion.
+   *
+   * @access   private
+   * @memberof CoindeskAPIClient
+   *
+   * @function
+   * @param  {String}  url Coindesk API endpoint.
+   * @return {Promise} Response data.
+   *
+   * @throws {CoindeskAPIClientError}
+   */
+  async _getConversionData(url) {
     try {
-      utils.validateUrl(url.href);
-      currencies = await super.get(url.href, false);
+      return await super.get(url, false);
     } catch (err) {
-      const message = err.message;
-      logger.warn(`[CoindeskAPIClient] Get currencies error: ${ message }`);
+      if (err instanceof BaseError) throw err;
+      const message = `Could not get conversion price. ${ redactUrls(err.message) }`;
+      logger.error(`[CoindeskAPIClient] Conversion error: ${ message }`);
+      throw new CoindeskAPIClientError(message, { cause: err });
     }
-    if (currencies !== null) await utils.validateSupportedCurrencies(currencies);
-    return currencies !== null ? currencies : settings.SUPPORTED_CURRENCIES;
+  }
+
+  /**
+   * Returns valid currency values for the currency query parameters.
+   *
+   * @access   public
+   * @memberof CoindeskAPIClient
+   *
+   * @function
+   * @param  {Object}  options               Optional settings.
+   * @param  {String}  options.correlationId Log correlation id.
+   * @return {Promise} Object with valid currency values for currency query parameter.
+   */
+  getSupportedCurrencies(options = {}) {
+    return this._runInContext(async () => {
+      let currencies = null;
+      const apiPath = this._getApiPath();
+      const resource = settings.API_ENDPOINTS[settings.API_SUPPORTED_CURRENCIES_DATA_TYPE];
+      const url = new URL(`${ apiPath }/${ resource }`);
+      try {
+        utils.validateUrl(url.href);
+        currencies = await super.get(url.href, false);
+      } catch (err) {
+        if (isPassthroughError(err)) throw err;
+        const message = err.message;
+        logger.warn(`[CoindeskAPIClient] Get currencies error: ${ message }`);
+      }
+      if (currencies !== null) await utils.validateSupportedCurrencies(currencies);
+      return currencies !== null ? currencies : supportedCurrencies;
+    }, { correlationId: options.correlationId });
+  }
+
+  /**
+   * Returns instance response validation mode property value.
+   *
+   * @access   public
+   * @memberof CoindeskAPIClient
+   *
+   * @property {Function}
+   * @return   {String}   Validation mode (strict or lenient) or null when disabled.
+   */
+  get validation() {
+    return _private(this).validation;
+  }
+
+  /**
+   * Sets instance response validation mode property value.
+   *
+   * @access   public
+   * @memberof CoindeskAPIClient
+   *
+   * @property {Function}
+   * @param    {(Boolean|String)} validation Validation mode (strict or lenient) or boolean.
+   */
+  set validation(validation) {
+    _private(this).validation = utils.validateValidation(validation);
+  }
+
+  /**
+   * Returns the schema violations of the last call to complete in lenient mode.
+   *
+   * Concurrent calls overwrite each other violations, read those of a
+   * call from its raw response warnings property instead.
+   *
+   * @access   public
+   * @memberof CoindeskAPIClient
+   *
+   * @property {Function}
+   * @return   {Array}    Violations with message, path and type.
+   */
+  get warnings() {
+    return _private(this).warnings.slice();
   }
 
   /**
@@ -705,25 +1635,40 @@ class CoindeskAPIClient extends CoindeskAPIHttpRequest {
    *
    * Makes https request to Coindesk API for the constructed url.
    * The response could be the raw response or just a json object
-   * with the data.
+   * with the data. When validation is enabled the response data is
+   * validated against the data type and currency schema before being
+   * cached: strict mode rejects it with every violation and lenient
+   * mode returns it. Raw responses carry the violations of the call in
+   * their warnings property, the client warnings property keeps those
+   * of the last call to complete. Log records of
+   * every attempt carry the same correlation id, the provided one or
+   * a new one.
    *
    * @access   public
    * @memberof CoindeskAPIHttpRequest
    *
    * @function
-   * @param  {Boolean} raw Enable/disable raw response.
+   * @param  {Boolean} raw                   Enable/disable raw response.
+   * @param  {Object}  options               Optional settings.
+   * @param  {String}  options.correlationId Log correlation id.
    * @return {Promise} Http response object with requested data.
    *
    * @throws {CoindeskAPIHttpRequestError}
+   * @throws {CoindeskAPISchemaError}
    */
-  async get(raw = false) {
-    try {
-      return await super.get(this.url.href, raw);
-    } catch (err) {
-      const message = `Could not get response. ${ err.message }`;
-      logger.error(`[CoindeskAPIClient] API call error: ${ message }`);
-      throw new CoindeskAPIClientError(message);
-    }
+  get(raw = false, options = {}) {
+    return this._runInContext(async () => {
+      try {
+        const response = await super.get(this.url.href, true, this.validation);
+        _private(this).warnings = response.warnings;
+        return raw ? response : response.data;
+      } catch (err) {
+        if (err instanceof BaseError) throw err;
+        const message = `Could not get response. ${ redactUrls(err.message) }`;
+        logger.error(`[CoindeskAPIClient] API call error: ${ message }`);
+        throw new CoindeskAPIClientError(message, { cause: err });
+      }
+    }, { correlationId: options.correlationId });
   }
 }
 
@@ -766,21 +1711,68 @@ class CoindeskAPIHttpResponse {
   }
 
    /**
-   * Validates returned response data and constructs a CoindeskAPIHttpResponse class instance.
+   * Validates returned response data and constructs the corresponding model.
+   *
+   * Currentprice responses are returned as a CurrentPrice snapshot and
+   * historical responses as a HistoricalSeries of close prices.
    *
    * @access     public
-   * @constructs CoindeskAPIHttpResponse
    * @static
    *
    * @function
    * @param  {Object} response Http response object with returned data
    * @param  {String} dataType Type of data to fetch from Coindesk API (currentprice or historical).
    * @param  {String} currency Code for the currency in which returned data is fetched.
-   * @return {CoindeskAPIHttpResponse} Class instance.
+   * @return {(CurrentPrice|HistoricalSeries)} Model instance for the data type.
+   *
+   * @throws {CoindeskAPISchemaError}
    */
   static parse(response, dataType, currency = null) {
     this._validate(response, dataType, currency);
-    return new this(response);
+    switch (dataType) {
+      case settings.API_CURRENTPRICE_DATA_TYPE:
+        return CurrentPrice.fromResponse(response);
+      case settings.API_HISTORICAL_DATA_TYPE:
+        return HistoricalSeries.fromResponse(response, currency || settings.DEFAULT_CURRENCY);
+      default:
+        return new this(response);
+    }
+  }
+
+  /**
+   * Validates returned response data against the data type and currency schema.
+   *
+   * Every violation is reported, not just the first one. Strict mode
+   * throws them all in a CoindeskAPISchemaError and lenient mode returns
+   * them as warnings along with the data.
+   *
+   * @access     public
+   * @static
+   *
+   * @function
+   * @param  {Object} response Http response object with returned data
+   * @param  {String} dataType Type of data to fetch from Coindesk API (currentprice or historical).
+   * @param  {String} currency Code for the currency in which returned data is fetched.
+   * @param  {String} mode     Validation mode (strict or lenient).
+   * @return {Object} Object with data and warnings (violations with message, path and type).
+   *
+   * @throws {CoindeskAPIValidationError}
+   * @throws {CoindeskAPISchemaError}
+   */
+  static validate(response, dataType, currency = null, mode = settings.VALIDATION_STRICT_MODE) {
+    mode = utils.validateValidation(mode) || settings.VALIDATION_STRICT_MODE;
+    const schema = utils.getResponseSchema(dataType, currency);
+    const { error } = schema.validate(response, { abortEarly: false, convert: false });
+    const warnings = error ? error.details.map(({ message, path, type }) => ({ message, path, type })) : [];
+    if (warnings.length > 0) {
+      const message = `Response does not match ${ dataType } schema (${ warnings.length } violations): ${ warnings.map(warning => warning.message).join(', ') }.`;
+      if (mode === settings.VALIDATION_STRICT_MODE) {
+        logger.error(`[CoindeskAPIHttpResponse] Validation error: ${ message }`);
+        throw new CoindeskAPISchemaError(message, { dataType, currency, details: warnings });
+      }
+      logger.warn(`[CoindeskAPIHttpResponse] Validation warning: ${ message }`);
+    }
+    return { data: response, warnings };
   }
 
   /**
@@ -796,16 +1788,10 @@ class CoindeskAPIHttpResponse {
    * @param  {String} currency Code for the currency in which returned data is fetched.
    * @return {CoindeskAPIHttpResponse} Class instance.
    *
-   * @throws {CoindeskAPIHttpResponseError}
+   * @throws {CoindeskAPISchemaError}
    */
   static _validate(response, dataType, currency) {
-    const schema = utils.getResponseSchema(dataType, currency);
-    const { errors } = schema.validate(response);
-    if (errors) {
-      const message = error.message;
-      logger.error(`[CoindeskAPIHttpResponse] Validation error: ${ message }`);
-      throw new CoindeskAPIHttpResponseError(message);
-    }
+    this.validate(response, dataType, currency, settings.VALIDATION_STRICT_MODE);
   }
 
   /**
@@ -838,7 +1824,7 @@ class CoindeskAPIHttpResponse {
     } catch (err) {
       const message = `Unable to decode JSON response. ${ err.message }`;
       logger.error(`[CoindeskAPIHttpResponse] Response error: ${ message }`);
-      throw new CoindeskAPIHttpResponseError(message);
+      throw new CoindeskAPIHttpResponseError(message, { cause: err });
     }
   }
 
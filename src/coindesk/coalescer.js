@@ -0,0 +1,201 @@
+/**
+ * Coindesk API in-flight request coalescing.
+ *
+ * Concurrent identical requests share a single pending promise, and
+ * so a single retry sequence, instead of hitting Coindesk API once each.
+ *
+ * @file Defines RequestCoalescer class.
+ */
+
+const { _private } = require('./weakmap');
+const { getLogger, currentContext, redactUrl } = require('../logger/service');
+
+const logger = getLogger(__filename);
+
+const scopeIds = new WeakMap();
+let lastScopeId = 0;
+
+/**
+ * Returns the key of a request scope item.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {(String|Object)} item Scope string or object.
+ * @return {String} String or object identity key.
+ */
+let getScopeId = (item) => {
+  if (item === null || (typeof item !== 'object' && typeof item !== 'function')) return JSON.stringify(item);
+  if (!scopeIds.has(item)) scopeIds.set(item, `#${ ++lastScopeId }`);
+  return scopeIds.get(item);
+};
+
+/**
+ * Returns the method and redacted url of a request key for logs.
+ *
+ * The scope is left out, as it may hold request headers.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {String} key Request key.
+ * @return {String} Request description.
+ */
+let describeKey = (key) => {
+  const [method, url] = key.split(' ');
+  return `${ method } ${ redactUrl(url) }`;
+};
+
+/**
+ * Constructs an instance of RequestCoalescer class.
+ *
+ * Keeps the pending requests by method and url. Callers joining a
+ * pending request receive their own copy of its result, so one caller
+ * mutating the data does not affect the others. Every client shares the
+ * process default instance unless another one is provided.
+ *
+ * @access public
+ * @class
+ */
+class RequestCoalescer {
+
+  /**
+   * Constructs an instance of RequestCoalescer class.
+   *
+   * @access     public
+   * @constructs RequestCoalescer
+   *
+   * @constructor
+   * @return {RequestCoalescer} Class instance.
+   */
+  constructor() {
+    _private(this).pending = new Map();
+    _private(this).stats = { requests: 0, coalesced: 0 };
+  }
+
+  /**
+   * Returns instance string representation.
+   *
+   * @access   public
+   * @memberof RequestCoalescer
+   *
+   * @function
+   * @return {String} RequestCoalescer class instance string representation.
+   */
+  toString() {
+    const { requests, coalesced, inFlight } = this.stats;
+    return `Coindesk API Request Coalescer -
+      Class:     ${ this.constructor.name },
+      Requests:  ${ requests },
+      Coalesced: ${ coalesced },
+      In flight: ${ inFlight }`;
+  }
+
+  /**
+   * Returns the process default request coalescer.
+   *
+   * @access   public
+   * @memberof RequestCoalescer
+   * @static
+   *
+   * @property {Function}
+   * @return   {RequestCoalescer} Request coalescer shared by default.
+   */
+  static get default() {
+    if (defaultCoalescer === null) defaultCoalescer = new RequestCoalescer();
+    return defaultCoalescer;
+  }
+
+  /**
+   * Returns the pending request key.
+   *
+   * The scope tells apart requests to the same url which are not
+   * interchangeable, e.g. made through different transports or with
+   * different headers. Objects in the scope are keyed by identity.
+   *
+   * @access   public
+   * @memberof RequestCoalescer
+   * @static
+   *
+   * @function
+   * @param  {String} method Http method.
+   * @param  {String} url    Request url.
+   * @param  {Array}  scope  Strings and objects the request depends on.
+   * @return {String} Request key.
+   */
+  static key(method, url, scope = []) {
+    const key = `${ method.toUpperCase() } ${ url }`;
+    return scope.length > 0 ? `${ key } ${ scope.map(getScopeId).join(' ') }` : key;
+  }
+
+  /**
+   * Returns the coalescing counters.
+   *
+   * @access   public
+   * @memberof RequestCoalescer
+   *
+   * @property {Function}
+   * @return   {Object} Number of requests made, requests coalesced into a pending one and requests in flight.
+   */
+  get stats() {
+    const { requests, coalesced } = _private(this).stats;
+    return { requests, coalesced, inFlight: _private(this).pending.size };
+  }
+
+  /**
+   * Resets the coalescing counters.
+   *
+   * Pending requests are kept.
+   *
+   * @access   public
+   * @memberof RequestCoalescer
+   *
+   * @function
+   */
+  resetStats() {
+    _private(this).stats = { requests: 0, coalesced: 0 };
+  }
+
+  /**
+   * Runs the task unless a request with the same key is pending.
+   *
+   * The task runs in the log context of the first caller. Callers
+   * joining it log the join in their own context, along with the
+   * correlation id of the request they joined.
+   *
+   * @access   public
+   * @memberof RequestCoalescer
+   *
+   * @function
+   * @param  {String}   key  Request key.
+   * @param  {Function} task Function making the request and returning a Promise.
+   * @return {Promise}  Copy of the task result.
+   */
+  async run(key, task) {
+    const pending = _private(this).pending;
+    let request = pending.get(key);
+    if (request !== undefined) {
+      _private(this).stats.coalesced++;
+      logger.debug(`[RequestCoalescer] Coalesced request: ${ describeKey(key) }`, { coalescedWith: request.correlationId });
+    } else {
+      _private(this).stats.requests++;
+      request = {
+        correlationId: currentContext().correlationId || null,
+        promise: (async () => {
+          try {
+            return JSON.stringify(await task());
+          } finally {
+            pending.delete(key);
+          }
+        })()
+      };
+      pending.set(key, request);
+    }
+    const result = await request.promise;
+    return result !== undefined ? JSON.parse(result) : undefined;
+  }
+}
+
+let defaultCoalescer = null;
+
+module.exports = { RequestCoalescer };
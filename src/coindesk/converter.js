@@ -0,0 +1,113 @@
+/**
+ * Coindesk API currency conversion.
+ *
+ * Converts amounts between Bitcoin (BTC), satoshi (SAT) and fiat
+ * currencies using Bitcoin price rates by currency code.
+ *
+ * @file Defines currency conversion helpers for CoindeskAPIClient.
+ */
+
+const { getLogger } = require('../logger/service');
+const { CoindeskAPIClientError } = require('../errors');
+const { CoindeskAPIValidationError } = require('../errors');
+const { CurrentPrice } = require('./models');
+const utils = require('./utils');
+const settings = require('../settings');
+
+const logger = getLogger(__filename);
+
+/**
+ * Returns the number of bitcoins in one unit of a Bitcoin unit.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {String} unit Currency code or Bitcoin unit.
+ * @return {Number} Bitcoins per unit or null for fiat currencies.
+ */
+let getBitcoinFactor = (unit) => {
+  if (unit === settings.BITCOIN_UNIT) return 1;
+  if (unit === settings.SATOSHI_UNIT) return 1 / settings.SATOSHIS_PER_BITCOIN;
+  return null;
+};
+
+/**
+ * Validates a conversion request.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIClient
+ *
+ * @function
+ * @param  {Number} amount Amount to convert.
+ * @param  {String} from   Source currency code or Bitcoin unit (BTC or SAT).
+ * @param  {String} to     Target currency code or Bitcoin unit (BTC or SAT).
+ * @return {Object} Validated amount, units and fiat currency codes involved.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let validateConversion = (amount, from, to) => {
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+    const message = `Amount ${ amount } must be finite number.`;
+    logger.error(`[CoindeskAPIClient] Conversion error: ${ message }`);
+    throw new CoindeskAPIValidationError(message, { param: 'amount', value: amount });
+  }
+  if (typeof from !== 'string' || typeof to !== 'string') {
+    const message = `Currencies ${ from } and ${ to } must be currency codes or ${ settings.BITCOIN_UNIT }, ${ settings.SATOSHI_UNIT }.`;
+    logger.error(`[CoindeskAPIClient] Conversion error: ${ message }`);
+    throw new CoindeskAPIValidationError(message, { param: typeof from !== 'string' ? 'from' : 'to', value: typeof from !== 'string' ? from : to });
+  }
+  [from, to] = [from.toUpperCase(), to.toUpperCase()];
+  const currencies = [from, to].filter(unit => getBitcoinFactor(unit) === null);
+  currencies.forEach(currency => utils.validateCurrency(currency));
+  return { amount, from, to, currencies: Array.from(new Set(currencies)) };
+};
+
+/**
+ * Returns the snapshot model for a currentprice snapshot value.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIClient
+ *
+ * @function
+ * @param  {(CurrentPrice|Object)} snapshot CurrentPrice, its plain object or a currentprice response.
+ * @return {CurrentPrice} Snapshot model.
+ */
+let toSnapshot = (snapshot) => {
+  if (snapshot instanceof CurrentPrice) return snapshot;
+  return snapshot.bpi !== undefined ? CurrentPrice.fromResponse(snapshot) : CurrentPrice.fromJSON(snapshot);
+};
+
+/**
+ * Converts an amount with the provided Bitcoin prices.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIClient
+ *
+ * @function
+ * @param  {Object} conversion Validated conversion as returned by validateConversion.
+ * @param  {Object} prices     Bitcoin price by currency code.
+ * @param  {Date}   time       Time of the prices used.
+ * @return {Object} Conversion result with value, rate and time.
+ *
+ * @throws {CoindeskAPIClientError}
+ */
+let convert = ({ amount, from, to }, prices, time) => {
+  const toBitcoin = unit => {
+    const factor = getBitcoinFactor(unit);
+    if (factor !== null) return factor;
+    if (!prices.hasOwnProperty(unit) || !(prices[unit] > 0)) {
+      const message = `Missing Bitcoin price for currency ${ unit }.`;
+      logger.error(`[CoindeskAPIClient] Conversion error: ${ message }`);
+      throw new CoindeskAPIClientError(message);
+    }
+    return 1 / prices[unit];
+  };
+  const rate = toBitcoin(from) / toBitcoin(to);
+  return { amount, from, to, value: amount * rate, rate, time };
+};
+
+module.exports = {
+  validateConversion,
+  toSnapshot,
+  convert
+};
@@ -0,0 +1,420 @@
+/**
+ * Coindesk API response schema drift detector.
+ *
+ * @file Defines DriftDetector class.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { _private } = require('./weakmap');
+const { getLogger } = require('../logger/service');
+const { CoindeskAPIValidationError } = require('../errors');
+const { CoindeskAPIDriftError } = require('../errors');
+const schemas = require('./schemas');
+const settings = require('../settings');
+const supportedCurrencies = require('../currencies.json').SUPPORTED_CURRENCIES;
+
+const logger = getLogger(__filename);
+
+const UNKNOWN_FIELD = 'unknown-field';
+const MISSING_FIELD = 'missing-field';
+const TYPE_CHANGE = 'type-change';
+const CURRENCY_CHANGE = 'currency-change';
+
+/**
+ * Returns the type name of a response value.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {*}      value Response value.
+ * @return {String} Value type (array, null or typeof value).
+ */
+let getType = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+/**
+ * Returns a response path with dates replaced by a wildcard.
+ *
+ * Historical close prices are keyed by date, so the same drift is
+ * reported once for every date.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Array}  keys Response path keys.
+ * @return {String} Dotted response path.
+ */
+let getPath = (keys) => {
+  return keys.map(key => /^\d{4}-\d{2}-\d{2}$/.test(key) ? '*' : key).join('.');
+};
+
+/**
+ * Constructs an instance of DriftDetector class.
+ *
+ * Compares Coindesk API responses against the known schemas of their
+ * data type and reports:
+ *
+ *   - unknown-field:   fields not present in the schema.
+ *   - missing-field:   required fields not returned.
+ *   - type-change:     values of another type or format (e.g. rate as number).
+ *   - currency-change: currencies added or removed compared to currencies.json.
+ *
+ * Each drift is reported once per detector, emitting a drift event and
+ * rewriting the json report file when a report path is provided. Every
+ * client shares the process default instance when drift detection is
+ * enabled with true, and the process instance of the settings when
+ * enabled with an object, so a drift is not reported by every client.
+ *
+ * @access public
+ * @class
+ */
+class DriftDetector extends EventEmitter {
+
+  /**
+   * Constructs an instance of DriftDetector class.
+   *
+   * @access     public
+   * @constructs DriftDetector
+   *
+   * @constructor
+   * @param  {Object} detector            Drift detector settings.
+   * @param  {String} detector.reportPath Path of the json report file (no file by default).
+   * @param  {Array}  detector.currencies Known currency codes (currencies.json by default).
+   * @param  {Number} detector.maxEntries Maximum number of drifts kept.
+   * @return {DriftDetector} Class instance.
+   *
+   * @throws {CoindeskAPIValidationError}
+   */
+  constructor({
+    reportPath = null,
+    currencies = supportedCurrencies.map(currency => currency.currency),
+    maxEntries = settings.DRIFT_MAX_ENTRIES
+  } = {}) {
+    super();
+    if (reportPath !== null && (typeof reportPath !== 'string' || reportPath === '')) {
+      const message = `Drift report path ${ reportPath } must be non empty string.`;
+      logger.error(`[DriftDetector] Drift error: ${ message }`);
+      throw new CoindeskAPIValidationError(message, { param: 'reportPath', value: reportPath });
+    }
+    if (!Array.isArray(currencies)) {
+      const message = 'Drift currencies must be an array of currency codes.';
+      logger.error(`[DriftDetector] Drift error: ${ message }`);
+      throw new CoindeskAPIValidationError(message, { param: 'currencies', value: currencies });
+    }
+    if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+      const message = `Drift max entries ${ maxEntries } must be positive integer number.`;
+      logger.error(`[DriftDetector] Drift error: ${ message }`);
+      throw new CoindeskAPIValidationError(message, { param: 'maxEntries', value: maxEntries });
+    }
+    _private(this).reportPath = reportPath;
+    _private(this).currencies = new Set(currencies);
+    _private(this).maxEntries = maxEntries;
+    _private(this).seen = new Set();
+    _private(this).drifts = [];
+    _private(this).inspected = 0;
+    _private(this).dropped = 0;
+    _private(this).writing = Promise.resolve();
+  }
+
+  /**
+   * Returns instance string representation.
+   *
+   * @access   public
+   * @memberof DriftDetector
+   *
+   * @function
+   * @return {String} DriftDetector class instance string representation.
+   */
+  toString() {
+    return `Coindesk API Drift Detector -
+      Class:     ${ this.constructor.name },
+      Inspected: ${ this.inspected },
+      Drifts:    ${ this.drifts.length },
+      Report:    ${ this.reportPath }`;
+  }
+
+  /**
+   * Returns the process default drift detector.
+   *
+   * @access   public
+   * @memberof DriftDetector
+   * @static
+   *
+   * @property {Function}
+   * @return   {DriftDetector} Drift detector shared by default.
+   */
+  static get default() {
+    if (defaultDetector === null) defaultDetector = new DriftDetector();
+    return defaultDetector;
+  }
+
+  /**
+   * Replaces the process default drift detector.
+   *
+   * Clients started afterwards share the new default.
+   *
+   * @access   public
+   * @memberof DriftDetector
+   * @static
+   *
+   * @property {Function}
+   * @param    {(DriftDetector|Object)} detector Drift detector instance or settings.
+   */
+  static set default(detector) {
+    defaultDetector = detector instanceof DriftDetector ? detector : new DriftDetector(detector);
+  }
+
+  /**
+   * Returns the process drift detector of the settings, creating it when missing.
+   *
+   * Empty settings return the process default drift detector. Up to
+   * DRIFT_MAX_SHARED detectors are shared, evicting the least recently
+   * used one; clients already using an evicted detector keep it.
+   *
+   * @access   public
+   * @memberof DriftDetector
+   * @static
+   *
+   * @function
+   * @param  {Object}        detector Drift detector settings (reportPath, currencies and maxEntries).
+   * @return {DriftDetector} Drift detector shared by the clients with the same settings.
+   *
+   * @throws {CoindeskAPIValidationError}
+   */
+  static shared({ reportPath, currencies, maxEntries } = {}) {
+    const key = JSON.stringify({ reportPath, currencies, maxEntries });
+    if (key === '{}') return DriftDetector.default;
+    let detector = sharedDetectors.get(key);
+    if (detector !== undefined) {
+      sharedDetectors.delete(key);
+    } else {
+      detector = new DriftDetector({ reportPath, currencies, maxEntries });
+      if (sharedDetectors.size >= settings.DRIFT_MAX_SHARED) sharedDetectors.delete(sharedDetectors.keys().next().value);
+    }
+    sharedDetectors.set(key, detector);
+    return detector;
+  }
+
+  get reportPath() {
+    return _private(this).reportPath;
+  }
+
+  get inspected() {
+    return _private(this).inspected;
+  }
+
+  /**
+   * Returns the drifts reported so far.
+   *
+   * @access   public
+   * @memberof DriftDetector
+   *
+   * @property {Function}
+   * @return   {Array}    Drifts with kind, dataType, currency, path, expected, actual, message, url and detectedAt.
+   */
+  get drifts() {
+    return _private(this).drifts.slice();
+  }
+
+  /**
+   * Returns the drift report written to the report file.
+   *
+   * @access   public
+   * @memberof DriftDetector
+   *
+   * @property {Function}
+   * @return   {Object}   Report with generatedAt, inspected responses and drifts.
+   */
+  get report() {
+    return { generatedAt: new Date().toISOString(), inspected: this.inspected, drifts: this.drifts };
+  }
+
+  /**
+   * Compares a response against the known schema of its data type.
+   *
+   * Responses of unknown data types are ignored.
+   *
+   * @access   public
+   * @memberof DriftDetector
+   *
+   * @function
+   * @param  {Object} data              Response data.
+   * @param  {Object} response          Response settings.
+   * @param  {String} response.dataType Type of data (currentprice, historical or supported-currencies).
+   * @param  {String} response.currency Requested currency code or null.
+   * @param  {String} response.url      Response url or null.
+   * @return {Array}  Drifts not reported before.
+   */
+  inspect(data, { dataType, currency = null, url = null } = {}) {
+    const schema = schemas.getSchema(dataType, currency);
+    if (schema === null) return [];
+    _private(this).inspected++;
+    const context = { dataType, currency, url };
+    const { error } = schema.validate(data, { abortEarly: false, convert: false });
+    const drifts = (error ? error.details : []).map(detail => this._getSchemaDrift(detail, data, context));
+    drifts.push(...this._getCurrencyDrifts(data, context));
+    return drifts.filter(drift => this._add(drift));
+  }
+
+  /**
+   * Waits for the report file to be written.
+   *
+   * @access   public
+   * @memberof DriftDetector
+   *
+   * @function
+   * @return {Promise} Resolves when pending report writes finish.
+   */
+  flush() {
+    return _private(this).writing;
+  }
+
+  /**
+   * Forgets the drifts reported so far.
+   *
+   * @access   public
+   * @memberof DriftDetector
+   *
+   * @function
+   */
+  reset() {
+    _private(this).seen.clear();
+    _private(this).drifts = [];
+    _private(this).inspected = 0;
+    _private(this).dropped = 0;
+  }
+
+  /**
+   * Returns the drift of a Joi validation error detail.
+   *
+   * @access   protected
+   * @memberof DriftDetector
+   *
+   * @function
+   * @param  {Object} detail  Joi validation error detail.
+   * @param  {Object} data    Response data.
+   * @param  {Object} context Response data type, currency and url.
+   * @return {Object} Drift.
+   */
+  _getSchemaDrift({ message, path: keys, type }, data, context) {
+    const value = keys.reduce((parent, key) => parent !== null && parent !== undefined ? parent[key] : undefined, data);
+    let kind = TYPE_CHANGE;
+    if (type === 'object.unknown') kind = UNKNOWN_FIELD;
+    if (type === 'any.required') kind = MISSING_FIELD;
+    return Object.assign({
+      kind,
+      path: getPath(keys),
+      expected: kind === UNKNOWN_FIELD ? null : type,
+      actual: kind === MISSING_FIELD ? null : getType(value),
+      message
+    }, context);
+  }
+
+  /**
+   * Returns the currencies added or removed compared to the known ones.
+   *
+   * Currentprice rates are checked against the known currencies and
+   * supported currencies responses against the whole list.
+   *
+   * @access   protected
+   * @memberof DriftDetector
+   *
+   * @function
+   * @param  {Object} data    Response data.
+   * @param  {Object} context Response data type, currency and url.
+   * @return {Array}  Currency drifts.
+   */
+  _getCurrencyDrifts(data, context) {
+    const known = _private(this).currencies;
+    if (context.dataType === settings.API_CURRENTPRICE_DATA_TYPE) {
+      const bpi = data !== null && typeof data === 'object' && data.bpi !== null && typeof data.bpi === 'object' ? data.bpi : {};
+      return Object.keys(bpi).filter(code => !known.has(code)).map(code => Object.assign({
+        kind: CURRENCY_CHANGE,
+        path: `bpi.${ code }`,
+        expected: null,
+        actual: code,
+        added: [code],
+        removed: [],
+        message: `Currency ${ code } not in supported currencies.`
+      }, context));
+    }
+    if (context.dataType !== settings.API_SUPPORTED_CURRENCIES_DATA_TYPE || !Array.isArray(data)) return [];
+    const returned = new Set(data.map(currency => currency !== null && typeof currency === 'object' ? currency.currency : undefined));
+    const added = [...returned].filter(code => typeof code === 'string' && !known.has(code)).sort();
+    const removed = [...known].filter(code => !returned.has(code)).sort();
+    if (added.length === 0 && removed.length === 0) return [];
+    return [Object.assign({
+      kind: CURRENCY_CHANGE,
+      path: '',
+      expected: null,
+      actual: null,
+      added,
+      removed,
+      message: `Supported currencies changed: ${ added.length } added (${ added.join(', ') }), ${ removed.length } removed (${ removed.join(', ') }).`
+    }, context)];
+  }
+
+  /**
+   * Keeps a drift unless already reported, emitting it and writing the report.
+   *
+   * @access   protected
+   * @memberof DriftDetector
+   *
+   * @function
+   * @param  {Object}  drift Drift.
+   * @return {Boolean} Whether the drift is new.
+   */
+  _add(drift) {
+    const { kind, dataType, path: keyPath, expected, added = [], removed = [] } = drift;
+    const key = [kind, dataType, keyPath, expected, added.join(), removed.join()].join('|');
+    if (_private(this).seen.has(key)) return false;
+    if (_private(this).drifts.length >= _private(this).maxEntries) {
+      if (_private(this).dropped++ === 0) {
+        logger.warn(`[DriftDetector] Drift error: maximum of ${ _private(this).maxEntries } drifts reached, ignoring new ones`);
+      }
+      return false;
+    }
+    _private(this).seen.add(key);
+    drift.detectedAt = new Date().toISOString();
+    _private(this).drifts.push(drift);
+    logger.warn(`[DriftDetector] ${ dataType } ${ kind } ${ keyPath }: ${ drift.message }`);
+    this.emit('drift', drift);
+    this._write();
+    return true;
+  }
+
+  /**
+   * Rewrites the report file with every drift reported so far.
+   *
+   * Writes are serialized. Failures are logged and emitted as error
+   * events when listened.
+   *
+   * @access   protected
+   * @memberof DriftDetector
+   *
+   * @function
+   */
+  _write() {
+    const reportPath = this.reportPath;
+    if (reportPath === null) return;
+    const report = this.report;
+    _private(this).writing = _private(this).writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(path.resolve(reportPath)), { recursive: true });
+      await fs.promises.writeFile(reportPath, JSON.stringify(report, null, 2));
+    }).catch(err => {
+      const message = `Could not write drift report ${ reportPath }. ${ err.message }`;
+      logger.error(`[DriftDetector] Drift error: ${ message }`);
+      if (this.listenerCount('error') > 0) this.emit('error', new CoindeskAPIDriftError(message, { cause: err, reportPath }));
+    });
+  }
+}
+
+let defaultDetector = null;
+const sharedDetectors = new Map();
+
+module.exports = { DriftDetector };
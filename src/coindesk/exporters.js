@@ -0,0 +1,458 @@
+/**
+ * Coindesk API price data exporters.
+ *
+ * Exporters serialise rows built from historical series and current
+ * price snapshots into delimited text (csv, tsv) or newline-delimited
+ * json, as a string, to a writable stream or appended to a file
+ * skipping rows already present.
+ *
+ * @file Defines DelimitedExporter, CsvExporter, TsvExporter and NdjsonExporter classes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { _private } = require('./weakmap');
+const { getLogger } = require('../logger/service');
+const { CoindeskAPIExportError } = require('../errors');
+const { CurrentPrice, HistoricalSeries } = require('./models');
+const settings = require('../settings');
+
+const logger = getLogger(__filename);
+
+const HISTORICAL_COLUMNS = ['date', 'close', 'currency', 'index'];
+const CURRENTPRICE_COLUMNS = ['timestamp', 'code', 'rate', 'rate_float', 'description'];
+
+/**
+ * Returns export rows for historical close prices.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {(HistoricalSeries|Object)} series         Historical series, its plain object or a historical response.
+ * @param  {Object}                    options        Optional settings.
+ * @param  {String}                    options.currency Currency of close prices (defaults to the series currency).
+ * @param  {String}                    options.index    Price index (USD or CNY).
+ * @return {Array}  Rows with date, close, currency and index.
+ */
+let historicalRows = (series, { currency = null, index = settings.DEFAULT_CURRENCY } = {}) => {
+  if (!(series instanceof HistoricalSeries)) {
+    series = series.bpi !== undefined ? HistoricalSeries.fromResponse(series, currency || undefined) : HistoricalSeries.fromJSON(series);
+  }
+  currency = currency || series.currency;
+  return series.points.map(({ date, close }) => ({ date, close, currency, index }));
+};
+
+/**
+ * Returns export rows for one or many current price snapshots.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {(CurrentPrice|Object|Array)} snapshots CurrentPrice instances, plain objects or currentprice responses.
+ * @return {Array}  Rows with timestamp, code, rate, rate_float and description.
+ */
+let currentpriceRows = (snapshots) => {
+  return (Array.isArray(snapshots) ? snapshots : [snapshots]).reduce((rows, snapshot) => {
+    if (!(snapshot instanceof CurrentPrice)) {
+      snapshot = snapshot.bpi !== undefined ? CurrentPrice.fromResponse(snapshot) : CurrentPrice.fromJSON(snapshot);
+    }
+    return rows.concat(snapshot.rates.map(rate => ({
+      timestamp: snapshot.time,
+      code: rate.code,
+      rate: rate.rate,
+      rate_float: rate.value,
+      description: rate.description
+    })));
+  }, []);
+};
+
+/**
+ * Constructs an instance of DelimitedExporter class.
+ *
+ * Serialises rows into delimited text lines.
+ *
+ * @access public
+ * @class
+ */
+class DelimitedExporter {
+
+  /**
+   * Constructs an instance of DelimitedExporter class.
+   *
+   * @access     public
+   * @constructs DelimitedExporter
+   *
+   * @constructor
+   * @param  {Object}   exporter              Exporter settings.
+   * @param  {Array}    exporter.columns      Column names in output order (defaults to the first row keys).
+   * @param  {Array}    exporter.key          Columns identifying a row when appending (inferred by default).
+   * @param  {String}   exporter.delimiter    Fields delimiter.
+   * @param  {Boolean}  exporter.header       Enable/disable header line.
+   * @param  {Number}   exporter.decimals     Number of decimals for numbers (all by default).
+   * @param  {Function} exporter.formatNumber Function formatting numbers (value, column) => String.
+   * @param  {Function} exporter.formatDate   Function formatting Date values (value, column) => String.
+   * @return {DelimitedExporter} Class instance.
+   */
+  constructor({
+    columns = null,
+    key = null,
+    delimiter = ',',
+    header = true,
+    decimals = null,
+    formatNumber = null,
+    formatDate = null
+  } = {}) {
+    if (typeof delimiter !== 'string' || delimiter.length === 0 || /["\r\n]/.test(delimiter)) {
+      const message = `Delimiter ${ JSON.stringify(delimiter) } must be a non empty string without quotes or line breaks.`;
+      logger.error(`[${ this.constructor.name }] Export error: ${ message }`);
+      throw new CoindeskAPIExportError(message);
+    }
+    _private(this).columns = columns;
+    _private(this).key = key;
+    _private(this).delimiter = delimiter;
+    _private(this).header = header;
+    _private(this).numberFormat = formatNumber !== null || decimals !== null;
+    _private(this).formatNumber = formatNumber || (value => decimals !== null ? value.toFixed(decimals) : String(value));
+    _private(this).formatDate = formatDate || (value => value.toISOString());
+  }
+
+  get delimiter() {
+    return _private(this).delimiter;
+  }
+
+  get header() {
+    return _private(this).header;
+  }
+
+  /**
+   * Returns the export columns for the rows.
+   *
+   * @access   public
+   * @memberof DelimitedExporter
+   *
+   * @function
+   * @param  {Array} rows Rows to export.
+   * @return {Array} Column names in output order.
+   */
+  getColumns(rows = []) {
+    if (_private(this).columns !== null) return _private(this).columns;
+    return rows.length > 0 ? Object.keys(rows[0]) : [];
+  }
+
+  /**
+   * Returns the columns identifying a row when appending to a file.
+   *
+   * Historical rows are identified by date, currency and index and
+   * current price rows by timestamp and code.
+   *
+   * @access   public
+   * @memberof DelimitedExporter
+   *
+   * @function
+   * @param  {Array} columns Column names in output order.
+   * @return {Array} Key column names.
+   */
+  getKey(columns) {
+    if (_private(this).key !== null) return _private(this).key;
+    const inferred = columns.includes('date') ? ['date', 'currency', 'index'] : columns.includes('timestamp') ? ['timestamp', 'code'] : columns;
+    return inferred.filter(column => columns.includes(column));
+  }
+
+  /**
+   * Returns the formatted value of a field.
+   *
+   * @access   public
+   * @memberof DelimitedExporter
+   *
+   * @function
+   * @param  {*}      value  Field value.
+   * @param  {String} column Column name.
+   * @return {String} Formatted value.
+   */
+  formatValue(value, column) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return _private(this).formatDate(value, column);
+    if (typeof value === 'number') return _private(this).formatNumber(value, column);
+    return String(value);
+  }
+
+  formatHeader(columns) {
+    return columns.map(column => this._escape(column)).join(this.delimiter);
+  }
+
+  formatRow(row, columns) {
+    return columns.map(column => this._escape(this.formatValue(row[column], column))).join(this.delimiter);
+  }
+
+  /**
+   * Parses a line written by the exporter.
+   *
+   * @access   public
+   * @memberof DelimitedExporter
+   *
+   * @function
+   * @param  {String} line    Exported line.
+   * @param  {Array}  columns Column names in output order.
+   * @return {Object} Formatted values by column.
+   */
+  parseRow(line, columns) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted && char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = !quoted;
+      } else if (!quoted && line.startsWith(this.delimiter, i)) {
+        fields.push(field);
+        field = '';
+        i += this.delimiter.length - 1;
+      } else {
+        field += char;
+      }
+    }
+    fields.push(field);
+    return columns.reduce((row, column, i) => Object.assign(row, { [column]: fields[i] }), {});
+  }
+
+  /**
+   * Returns the rows serialised as text.
+   *
+   * @access   public
+   * @memberof DelimitedExporter
+   *
+   * @function
+   * @param  {Array}  rows Rows to export.
+   * @return {String} Exported text with a trailing line break.
+   */
+  format(rows) {
+    const columns = this.getColumns(rows);
+    const lines = rows.map(row => this.formatRow(row, columns));
+    if (this.header) lines.unshift(this.formatHeader(columns));
+    return lines.length > 0 ? `${ lines.join('\n') }\n` : '';
+  }
+
+  /**
+   * Writes the rows to a writable stream honouring backpressure.
+   *
+   * @access   public
+   * @memberof DelimitedExporter
+   *
+   * @function
+   * @param  {Iterable} rows          Rows to export (array, iterable or async iterable).
+   * @param  {Object}   stream        Writable stream.
+   * @param  {Object}   options       Optional settings.
+   * @param  {Boolean}  options.header Write the header line (defaults to the exporter setting).
+   * @return {Promise}  Number of rows written.
+   */
+  async write(rows, stream, { header = this.header } = {}) {
+    let columns = _private(this).columns;
+    let count = 0;
+    for await (const row of rows) {
+      if (columns === null) columns = Object.keys(row);
+      if (count === 0 && header) await writeLine(stream, this.formatHeader(columns));
+      await writeLine(stream, this.formatRow(row, columns));
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Appends the rows to a file skipping rows already present.
+   *
+   * The header line is only written when the file is missing or empty.
+   *
+   * @access   public
+   * @memberof DelimitedExporter
+   *
+   * @function
+   * @param  {Array}   rows     Rows to export.
+   * @param  {String}  filePath Path to the exported file.
+   * @return {Promise} Number of rows appended.
+   */
+  async append(rows, filePath) {
+    const columns = this.getColumns(rows);
+    const key = this.getKey(columns);
+    const existing = await readLines(filePath);
+    const lines = this.header ? existing.slice(1) : existing;
+    const keyOf = values => JSON.stringify(key.map(column => values[column]));
+    const present = new Set(lines.map(line => keyOf(this.parseRow(line, columns))));
+    const added = rows.filter(row => {
+      const rowKey = keyOf(key.reduce((values, column) => {
+        return Object.assign(values, { [column]: this.formatValue(row[column], column) });
+      }, {}));
+      if (present.has(rowKey)) return false;
+      present.add(rowKey);
+      return true;
+    });
+    const output = added.map(row => this.formatRow(row, columns));
+    if (this.header && existing.length === 0 && output.length > 0) output.unshift(this.formatHeader(columns));
+    if (output.length > 0) {
+      await fs.promises.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+      await fs.promises.appendFile(filePath, `${ output.join('\n') }\n`);
+    }
+    return added.length;
+  }
+
+  /**
+   * Returns the field quoted when it contains the delimiter, quotes or line breaks.
+   *
+   * @access   protected
+   * @memberof DelimitedExporter
+   *
+   * @function
+   * @param  {String} field Formatted field.
+   * @return {String} Escaped field.
+   */
+  _escape(field) {
+    field = String(field);
+    const needsQuotes = field.includes(this.delimiter) || /["\r\n]/.test(field);
+    return needsQuotes ? `"${ field.replace(/"/g, '""') }"` : field;
+  }
+}
+
+/**
+ * Constructs an instance of CsvExporter class.
+ *
+ * Comma-separated values exporter.
+ *
+ * @access public
+ * @class
+ */
+class CsvExporter extends DelimitedExporter {
+  constructor(options = {}) {
+    super(Object.assign({ delimiter: ',' }, options));
+  }
+}
+
+/**
+ * Constructs an instance of TsvExporter class.
+ *
+ * Tab-separated values exporter.
+ *
+ * @access public
+ * @class
+ */
+class TsvExporter extends DelimitedExporter {
+  constructor(options = {}) {
+    super(Object.assign({ delimiter: '\t' }, options));
+  }
+}
+
+/**
+ * Constructs an instance of NdjsonExporter class.
+ *
+ * Newline-delimited json exporter writing a json object per row.
+ *
+ * @access public
+ * @class
+ */
+class NdjsonExporter extends DelimitedExporter {
+
+  /**
+   * Constructs an instance of NdjsonExporter class.
+   *
+   * @access     public
+   * @constructs NdjsonExporter
+   *
+   * @constructor
+   * @param  {Object} options Exporter settings (header and delimiter are ignored).
+   * @return {NdjsonExporter} Class instance.
+   */
+  constructor(options = {}) {
+    super(Object.assign({}, options, { delimiter: ',', header: false }));
+  }
+
+  /**
+   * Returns the formatted value of a field.
+   *
+   * Numbers are kept as numbers unless a number format is provided.
+   *
+   * @access   public
+   * @memberof NdjsonExporter
+   *
+   * @function
+   * @param  {*}      value  Field value.
+   * @param  {String} column Column name.
+   * @return {*}      Formatted value.
+   */
+  formatValue(value, column) {
+    if (typeof value === 'number' && !_private(this).numberFormat) return value;
+    return value === null || value === undefined ? null : super.formatValue(value, column);
+  }
+
+  formatRow(row, columns) {
+    return JSON.stringify(columns.reduce((obj, column) => {
+      return Object.assign(obj, { [column]: this.formatValue(row[column], column) });
+    }, {}));
+  }
+
+  parseRow(line, columns) {
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      return {};
+    }
+  }
+}
+
+/**
+ * Writes a line to a stream waiting for drain when its buffer is full.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Object}  stream Writable stream.
+ * @param  {String}  line   Line without line break.
+ * @return {Promise} Resolves when the stream accepts more data.
+ */
+let writeLine = (stream, line) => {
+  return new Promise((resolve, reject) => {
+    if (stream.write(`${ line }\n`)) return resolve();
+    const onDrain = () => {
+      stream.removeListener('error', onError);
+      resolve();
+    };
+    const onError = err => {
+      stream.removeListener('drain', onDrain);
+      reject(err);
+    };
+    stream.once('drain', onDrain);
+    stream.once('error', onError);
+  });
+};
+
+/**
+ * Returns the non empty lines of a file.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {String}  filePath Path to the file.
+ * @return {Promise} Lines or an empty array when the file is missing.
+ */
+let readLines = async (filePath) => {
+  try {
+    const data = await fs.promises.readFile(filePath, 'utf8');
+    return data.split(/\r?\n/).filter(line => line !== '');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    const message = `Unable to read export file ${ filePath } - ${ err.message }`;
+    logger.error(`[DelimitedExporter] File error: ${ message }`);
+    throw new CoindeskAPIExportError(message, { cause: err });
+  }
+};
+
+module.exports = {
+  HISTORICAL_COLUMNS,
+  CURRENTPRICE_COLUMNS,
+  historicalRows,
+  currentpriceRows,
+  DelimitedExporter,
+  CsvExporter,
+  TsvExporter,
+  NdjsonExporter
+};
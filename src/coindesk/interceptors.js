@@ -0,0 +1,265 @@
+/**
+ * Coindesk API request and response interceptors.
+ *
+ * @file Defines InterceptorPipeline class.
+ */
+
+const { _private } = require('./weakmap');
+const { getLogger } = require('../logger/service');
+const { CoindeskAPIValidationError } = require('../errors');
+const { CoindeskAPIInterceptorError } = require('../errors');
+const { Transport } = require('./transports');
+const settings = require('../settings');
+
+const logger = getLogger(__filename);
+
+const HOOK_RESULTS = {
+  onRequest: { isValid: value => value !== null && typeof value === 'object', expected: 'a request or response object' },
+  onResponse: { isValid: value => isResponse(value), expected: 'a response object' },
+  onError: { isValid: value => value instanceof Error, expected: 'an error or response object' }
+};
+
+/**
+ * Returns whether a hook result is a response.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {*}       value Hook result.
+ * @return {Boolean} Whether it has an integer status code.
+ */
+let isResponse = (value) => {
+  return value !== null && typeof value === 'object' && Number.isInteger(value.status);
+};
+
+/**
+ * Returns a hook response with the transport response shape.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Object} response Response with status, statusText, headers and body (json string or object).
+ * @return {Object} Transport response.
+ */
+let normalizeResponse = (response) => {
+  return Object.assign({ statusText: '', body: '' }, response, {
+    headers: Transport.normalizeHeaders(response.headers)
+  });
+};
+
+/**
+ * Returns the name of an interceptor for logs and errors.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Object} interceptor Interceptor.
+ * @param  {Number} index       Interceptor position in the pipeline.
+ * @return {String} Interceptor name.
+ */
+let getName = (interceptor, index) => {
+  return typeof interceptor.name === 'string' && interceptor.name !== '' ? interceptor.name : `#${ index }`;
+};
+
+/**
+ * Constructs an instance of InterceptorPipeline class.
+ *
+ * Keeps an ordered list of interceptors, objects with an optional name
+ * and any of these hooks, sync or async, called with a value and the
+ * call context (client, url, dataType, correlationId, attempt and a
+ * state object shared by the hooks of the call):
+ *
+ *   - onRequest(request, context):   before each attempt. Returns nothing to keep the
+ *                                    request (mutated or not), a new request or a response
+ *                                    ({ status, headers, body }) to skip the transport.
+ *   - onResponse(response, context): once the attempts end, before the status check.
+ *                                    Returns nothing or a new response.
+ *   - onError(error, context):       when the call fails. Returns nothing, another error
+ *                                    or a response to recover the call with.
+ *   - onRetry(retry, context):       before waiting for a retry (attempt, delay, reason,
+ *                                    status and error).
+ *
+ * Hooks run in order, global interceptors first, and a response
+ * returned by onRequest or onError stops the remaining ones. Hook
+ * failures are rejected with CoindeskAPIInterceptorError naming the
+ * interceptor and hook, without retrying the request.
+ *
+ * @access public
+ * @class
+ */
+class InterceptorPipeline {
+
+  /**
+   * Constructs an instance of InterceptorPipeline class.
+   *
+   * @access     public
+   * @constructs InterceptorPipeline
+   *
+   * @constructor
+   * @param  {Array} interceptors Interceptors in running order.
+   * @return {InterceptorPipeline} Class instance.
+   *
+   * @throws {CoindeskAPIValidationError}
+   */
+  constructor(interceptors = []) {
+    if (!Array.isArray(interceptors)) {
+      const message = 'Interceptors must be an array of interceptor objects.';
+      logger.error(`[InterceptorPipeline] Interceptor error: ${ message }`);
+      throw new CoindeskAPIValidationError(message, { param: 'interceptors', value: interceptors });
+    }
+    _private(this).interceptors = [];
+    interceptors.forEach(interceptor => this.use(interceptor));
+  }
+
+  /**
+   * Returns instance string representation.
+   *
+   * @access   public
+   * @memberof InterceptorPipeline
+   *
+   * @function
+   * @return {String} InterceptorPipeline class instance string representation.
+   */
+  toString() {
+    return `Coindesk API Interceptor Pipeline -
+      Class:        ${ this.constructor.name },
+      Interceptors: ${ this.interceptors.map(getName).join(', ') }`;
+  }
+
+  /**
+   * Returns the global interceptor pipeline.
+   *
+   * Its interceptors run for every client before the client ones.
+   *
+   * @access   public
+   * @memberof InterceptorPipeline
+   * @static
+   *
+   * @property {Function}
+   * @return   {InterceptorPipeline} Global interceptor pipeline.
+   */
+  static get global() {
+    if (globalPipeline === null) globalPipeline = new InterceptorPipeline();
+    return globalPipeline;
+  }
+
+  /**
+   * Runs a hook of the interceptors in order.
+   *
+   * @access   public
+   * @memberof InterceptorPipeline
+   * @static
+   *
+   * @function
+   * @param  {Array}   interceptors Interceptors in running order.
+   * @param  {String}  hook         Hook (onRequest, onResponse, onError or onRetry).
+   * @param  {*}       value        Request, response, error or retry.
+   * @param  {Object}  context      Call context.
+   * @return {Promise} Object with the resulting value, the response ending the
+   *                   hooks (or null) and the name of the interceptor returning it.
+   *
+   * @throws {CoindeskAPIInterceptorError}
+   */
+  static async run(interceptors, hook, value, context) {
+    for (let index = 0; index < interceptors.length; index++) {
+      const interceptor = interceptors[index];
+      if (typeof interceptor[hook] !== 'function') continue;
+      const name = getName(interceptor, index);
+      let result;
+      try {
+        result = await interceptor[hook](value, context);
+      } catch (err) {
+        const message = `Interceptor ${ name } ${ hook } hook failed: ${ err.message }`;
+        logger.error(`[InterceptorPipeline] Interceptor error: ${ message }`);
+        throw new CoindeskAPIInterceptorError(message, { cause: err, interceptor: name, hook });
+      }
+      if (result === undefined || !HOOK_RESULTS.hasOwnProperty(hook)) continue;
+      if (hook !== 'onResponse' && isResponse(result)) {
+        return { value, response: normalizeResponse(result), interceptor: name };
+      }
+      if (!HOOK_RESULTS[hook].isValid(result)) {
+        const message = `Interceptor ${ name } ${ hook } hook must return nothing or ${ HOOK_RESULTS[hook].expected }.`;
+        logger.error(`[InterceptorPipeline] Interceptor error: ${ message }`);
+        throw new CoindeskAPIInterceptorError(message, { interceptor: name, hook });
+      }
+      value = result;
+    }
+    return { value, response: null, interceptor: null };
+  }
+
+  /**
+   * Returns the interceptors in running order.
+   *
+   * @access   public
+   * @memberof InterceptorPipeline
+   *
+   * @property {Function}
+   * @return   {Array}    Interceptors.
+   */
+  get interceptors() {
+    return _private(this).interceptors.slice();
+  }
+
+  get size() {
+    return _private(this).interceptors.length;
+  }
+
+  /**
+   * Adds an interceptor at the end of the pipeline.
+   *
+   * @access   public
+   * @memberof InterceptorPipeline
+   *
+   * @function
+   * @param  {Object}              interceptor Object with name and onRequest, onResponse, onError and onRetry hooks.
+   * @return {InterceptorPipeline} Instance, for chaining.
+   *
+   * @throws {CoindeskAPIValidationError}
+   */
+  use(interceptor) {
+    const hooks = settings.INTERCEPTOR_HOOKS;
+    const isInterceptor = interceptor !== null && typeof interceptor === 'object' &&
+      hooks.some(hook => interceptor[hook] !== undefined) &&
+      hooks.every(hook => interceptor[hook] === undefined || typeof interceptor[hook] === 'function');
+    if (!isInterceptor) {
+      const message = `Interceptor must be an object with ${ hooks.join(', ') } hook functions.`;
+      logger.error(`[InterceptorPipeline] Interceptor error: ${ message }`);
+      throw new CoindeskAPIValidationError(message, { param: 'interceptor', value: interceptor, allowed: hooks });
+    }
+    _private(this).interceptors.push(interceptor);
+    return this;
+  }
+
+  /**
+   * Removes an interceptor from the pipeline.
+   *
+   * @access   public
+   * @memberof InterceptorPipeline
+   *
+   * @function
+   * @param  {Object}  interceptor Interceptor added before.
+   * @return {Boolean} Whether the interceptor was in the pipeline.
+   */
+  remove(interceptor) {
+    const index = _private(this).interceptors.indexOf(interceptor);
+    if (index === -1) return false;
+    _private(this).interceptors.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Removes every interceptor from the pipeline.
+   *
+   * @access   public
+   * @memberof InterceptorPipeline
+   *
+   * @function
+   */
+  clear() {
+    _private(this).interceptors = [];
+  }
+}
+
+let globalPipeline = null;
+
+module.exports = { InterceptorPipeline };
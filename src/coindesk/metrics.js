@@ -0,0 +1,389 @@
+/**
+ * Coindesk API client metrics registry.
+ *
+ * @file Defines MetricsRegistry class.
+ */
+
+const { _private } = require('./weakmap');
+const { getLogger } = require('../logger/service');
+const { CoindeskAPIValidationError } = require('../errors');
+const settings = require('../settings');
+
+const logger = getLogger(__filename);
+
+const COUNTER = 'counter';
+const HISTOGRAM = 'histogram';
+
+const METRICS = {
+  requests: {
+    name: 'requests_total',
+    type: COUNTER,
+    help: 'Coindesk API requests by data type and outcome.',
+    labels: ['data_type', 'outcome']
+  },
+  errors: {
+    name: 'request_errors_total',
+    type: COUNTER,
+    help: 'Coindesk API failed requests by data type and error code.',
+    labels: ['data_type', 'code']
+  },
+  duration: {
+    name: 'request_duration_seconds',
+    type: HISTOGRAM,
+    help: 'Coindesk API request duration in seconds, retries included.',
+    labels: ['data_type']
+  },
+  retries: {
+    name: 'retries_total',
+    type: COUNTER,
+    help: 'Coindesk API request retries by data type.',
+    labels: ['data_type']
+  },
+  cacheHits: {
+    name: 'cache_hits_total',
+    type: COUNTER,
+    help: 'Coindesk API responses returned from cache by data type.',
+    labels: ['data_type']
+  },
+  cacheMisses: {
+    name: 'cache_misses_total',
+    type: COUNTER,
+    help: 'Coindesk API responses not found in cache by data type.',
+    labels: ['data_type']
+  },
+  validationFailures: {
+    name: 'validation_failures_total',
+    type: COUNTER,
+    help: 'Coindesk API responses not matching their schema by data type and validation mode.',
+    labels: ['data_type', 'mode']
+  }
+};
+
+/**
+ * Returns a Prometheus label value with backslashes, quotes and new lines escaped.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {String} value Label value.
+ * @return {String} Escaped label value.
+ */
+let escapeLabel = (value) => {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+};
+
+/**
+ * Returns a Prometheus sample value.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Number} value Sample value.
+ * @return {String} Formatted sample value.
+ */
+let formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+/**
+ * Returns a Prometheus sample line.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {String} name   Sample name.
+ * @param  {Object} labels Sample labels.
+ * @param  {Number} value  Sample value.
+ * @return {String} Sample line.
+ */
+let formatSample = (name, labels, value) => {
+  const pairs = Object.keys(labels).map(key => `${ key }="${ escapeLabel(labels[key]) }"`);
+  return `${ name }${ pairs.length > 0 ? `{${ pairs.join(',') }}` : '' } ${ formatValue(value) }`;
+};
+
+/**
+ * Constructs an instance of MetricsRegistry class.
+ *
+ * Collects Coindesk API client metrics updated by the clients using it:
+ *
+ *   - requests_total:            requests by data type and outcome (success or error).
+ *   - request_errors_total:      failed requests by data type and error code.
+ *   - request_duration_seconds:  request duration histogram by data type.
+ *   - retries_total:             request retries by data type.
+ *   - cache_hits_total:          cached responses by data type.
+ *   - cache_misses_total:        responses not cached by data type.
+ *   - validation_failures_total: schema validation failures by data type and mode.
+ *
+ * Requests are counted once per call reaching Coindesk API, retries
+ * included, and not for cache hits or coalesced calls. Metrics are
+ * available as a snapshot object or rendered in Prometheus text
+ * format. Every client shares the process default instance when
+ * metrics are enabled with true.
+ *
+ * @access public
+ * @class
+ */
+class MetricsRegistry {
+
+  /**
+   * Constructs an instance of MetricsRegistry class.
+   *
+   * @access     public
+   * @constructs MetricsRegistry
+   *
+   * @constructor
+   * @param  {Object} registry         Metrics registry settings.
+   * @param  {String} registry.prefix  Metric names prefix.
+   * @param  {Array}  registry.buckets Duration histogram bucket upper bounds in seconds.
+   * @return {MetricsRegistry} Class instance.
+   *
+   * @throws {CoindeskAPIValidationError}
+   */
+  constructor({ prefix = settings.METRICS_PREFIX, buckets = settings.METRICS_BUCKETS } = {}) {
+    if (typeof prefix !== 'string' || !/^([a-zA-Z_:][a-zA-Z0-9_:]*)?$/.test(prefix)) {
+      const message = `Metrics prefix ${ prefix } must be a valid Prometheus metric name prefix.`;
+      logger.error(`[MetricsRegistry] Metrics error: ${ message }`);
+      throw new CoindeskAPIValidationError(message, { param: 'prefix', value: prefix });
+    }
+    const isBuckets = Array.isArray(buckets) && buckets.length > 0 &&
+      buckets.every((bound, index) => Number.isFinite(bound) && bound > 0 && (index === 0 || bound > buckets[index - 1]));
+    if (!isBuckets) {
+      const message = 'Metrics buckets must be a non empty array of increasing positive numbers.';
+      logger.error(`[MetricsRegistry] Metrics error: ${ message }`);
+      throw new CoindeskAPIValidationError(message, { param: 'buckets', value: buckets });
+    }
+    _private(this).prefix = prefix;
+    _private(this).buckets = buckets.slice();
+    _private(this).series = new Map(Object.keys(METRICS).map(metric => [metric, new Map()]));
+  }
+
+  /**
+   * Returns instance string representation.
+   *
+   * @access   public
+   * @memberof MetricsRegistry
+   *
+   * @function
+   * @return {String} MetricsRegistry class instance string representation.
+   */
+  toString() {
+    return `Coindesk API Metrics Registry -
+      Class:   ${ this.constructor.name },
+      Prefix:  ${ this.prefix },
+      Buckets: ${ this.buckets.join(', ') }`;
+  }
+
+  /**
+   * Returns the process default metrics registry.
+   *
+   * @access   public
+   * @memberof MetricsRegistry
+   * @static
+   *
+   * @property {Function}
+   * @return   {MetricsRegistry} Metrics registry shared by default.
+   */
+  static get default() {
+    if (defaultRegistry === null) defaultRegistry = new MetricsRegistry();
+    return defaultRegistry;
+  }
+
+  /**
+   * Replaces the process default metrics registry.
+   *
+   * Clients started afterwards share the new default.
+   *
+   * @access   public
+   * @memberof MetricsRegistry
+   * @static
+   *
+   * @property {Function}
+   * @param    {(MetricsRegistry|Object)} registry Metrics registry instance or settings.
+   */
+  static set default(registry) {
+    defaultRegistry = registry instanceof MetricsRegistry ? registry : new MetricsRegistry(registry);
+  }
+
+  /**
+   * Returns the content type of the Prometheus text format.
+   *
+   * @access   public
+   * @memberof MetricsRegistry
+   * @static
+   *
+   * @property {Function}
+   * @return   {String}   Content type header value.
+   */
+  static get contentType() {
+    return settings.METRICS_CONTENT_TYPE;
+  }
+
+  get prefix() {
+    return _private(this).prefix;
+  }
+
+  get buckets() {
+    return _private(this).buckets.slice();
+  }
+
+  /**
+   * Increments a counter.
+   *
+   * @access   public
+   * @memberof MetricsRegistry
+   *
+   * @function
+   * @param  {String} metric Metric (requests, errors, retries, cacheHits, cacheMisses or validationFailures).
+   * @param  {Object} labels Metric label values.
+   * @param  {Number} value  Increment.
+   *
+   * @throws {CoindeskAPIValidationError}
+   */
+  inc(metric, labels = {}, value = 1) {
+    const series = this._getSeries(metric, COUNTER, labels);
+    series.value += value;
+  }
+
+  /**
+   * Records a histogram observation.
+   *
+   * @access   public
+   * @memberof MetricsRegistry
+   *
+   * @function
+   * @param  {String} metric Metric (duration).
+   * @param  {Object} labels Metric label values.
+   * @param  {Number} value  Observed value (seconds for durations).
+   *
+   * @throws {CoindeskAPIValidationError}
+   */
+  observe(metric, labels = {}, value = 0) {
+    const series = this._getSeries(metric, HISTOGRAM, labels);
+    const buckets = _private(this).buckets;
+    let index = 0;
+    while (index < buckets.length && value > buckets[index]) index++;
+    series.counts[index]++;
+    series.count++;
+    series.sum += value;
+  }
+
+  /**
+   * Returns the current metric values.
+   *
+   * Histogram buckets are cumulative counts ordered by their upper
+   * bound (le), +Inf included.
+   *
+   * @access   public
+   * @memberof MetricsRegistry
+   *
+   * @function
+   * @return {Object} Metrics by name with type, help and values by labels.
+   */
+  snapshot() {
+    const bounds = _private(this).buckets.map(formatValue).concat('+Inf');
+    return Object.keys(METRICS).reduce((snapshot, metric) => {
+      const { name, type, help } = METRICS[metric];
+      const values = [..._private(this).series.get(metric).values()].map(series => {
+        const labels = Object.assign({}, series.labels);
+        if (type === COUNTER) return { labels, value: series.value };
+        let cumulative = 0;
+        const buckets = bounds.map((le, index) => {
+          cumulative += series.counts[index];
+          return { le, count: cumulative };
+        });
+        return { labels, count: series.count, sum: series.sum, buckets };
+      });
+      snapshot[`${ this.prefix }${ name }`] = { type, help, values };
+      return snapshot;
+    }, {});
+  }
+
+  /**
+   * Returns the current metric values in Prometheus text format.
+   *
+   * @access   public
+   * @memberof MetricsRegistry
+   *
+   * @function
+   * @return {String} Prometheus text exposition (see MetricsRegistry.contentType).
+   */
+  render() {
+    const snapshot = this.snapshot();
+    const lines = [];
+    Object.keys(snapshot).forEach(name => {
+      const { type, help, values } = snapshot[name];
+      lines.push(`# HELP ${ name } ${ help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n') }`);
+      lines.push(`# TYPE ${ name } ${ type }`);
+      values.forEach(series => {
+        if (type === COUNTER) {
+          lines.push(formatSample(name, series.labels, series.value));
+          return;
+        }
+        series.buckets.forEach(({ le, count }) => {
+          lines.push(formatSample(`${ name }_bucket`, Object.assign({}, series.labels, { le }), count));
+        });
+        lines.push(formatSample(`${ name }_sum`, series.labels, series.sum));
+        lines.push(formatSample(`${ name }_count`, series.labels, series.count));
+      });
+    });
+    return `${ lines.join('\n') }\n`;
+  }
+
+  /**
+   * Forgets every metric value.
+   *
+   * @access   public
+   * @memberof MetricsRegistry
+   *
+   * @function
+   */
+  reset() {
+    _private(this).series.forEach(series => series.clear());
+  }
+
+  /**
+   * Returns the series of a metric for the label values, creating it when missing.
+   *
+   * @access   protected
+   * @memberof MetricsRegistry
+   *
+   * @function
+   * @param  {String} metric Metric.
+   * @param  {String} type   Expected metric type.
+   * @param  {Object} labels Metric label values.
+   * @return {Object} Metric series.
+   *
+   * @throws {CoindeskAPIValidationError}
+   */
+  _getSeries(metric, type, labels) {
+    const definition = METRICS.hasOwnProperty(metric) ? METRICS[metric] : null;
+    if (definition === null || definition.type !== type) {
+      const allowed = Object.keys(METRICS).filter(key => METRICS[key].type === type);
+      const message = `Metric ${ metric } must be ${ allowed.join(', ') }.`;
+      logger.error(`[MetricsRegistry] Metrics error: ${ message }`);
+      throw new CoindeskAPIValidationError(message, { param: 'metric', value: metric, allowed });
+    }
+    const values = definition.labels.map(label => labels[label] === undefined || labels[label] === null ? 'unknown' : String(labels[label]));
+    const key = values.join('\u0000');
+    const metricSeries = _private(this).series.get(metric);
+    let series = metricSeries.get(key);
+    if (series === undefined) {
+      series = { labels: definition.labels.reduce((pairs, label, index) => Object.assign(pairs, { [label]: values[index] }), {}) };
+      if (type === COUNTER) {
+        series.value = 0;
+      } else {
+        series.counts = new Array(_private(this).buckets.length + 1).fill(0);
+        series.count = 0;
+        series.sum = 0;
+      }
+      metricSeries.set(key, series);
+    }
+    return series;
+  }
+}
+
+let defaultRegistry = null;
+
+module.exports = { MetricsRegistry };
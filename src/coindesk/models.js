@@ -0,0 +1,826 @@
+/**
+ * Coindesk API response models.
+ *
+ * @file Defines Rate, CurrentPrice and HistoricalSeries immutable domain models.
+ */
+
+const { _private } = require('./weakmap');
+const { getLogger } = require('../logger/service');
+const { CoindeskAPIModelError } = require('../errors');
+const { isCalendarDate } = require('./utils');
+const settings = require('../settings');
+
+const logger = getLogger(__filename);
+
+/**
+ * Returns a date instance from a date, string or timestamp value.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {(Date|String|Number)} value Date representation.
+ * @param  {String}               model Model name requesting the conversion.
+ * @return {Date}   Parsed date instance.
+ *
+ * @throws {CoindeskAPIModelError}
+ */
+let toDate = (value, model) => {
+  const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+  if (value === null || value === undefined || isNaN(date.getTime())) {
+    const message = `Unvalid date ${ value } for ${ model } model.`;
+    logger.error(`[${ model }] Model error: ${ message }`);
+    throw new CoindeskAPIModelError(message);
+  }
+  return date;
+};
+
+/**
+ * Returns the YYYY-MM-DD day string for a date, string or timestamp value.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {(Date|String|Number)} value Date representation.
+ * @param  {String}               model Model name requesting the conversion.
+ * @return {String} Day string in YYYY-MM-DD format.
+ *
+ * @throws {CoindeskAPIModelError}
+ */
+let toDay = (value, model) => {
+  const match = typeof value === 'string' ? /^(\d{4})-(\d{2})-(\d{2})$/.exec(value) : null;
+  if (match === null) return toDate(value, model).toISOString().slice(0, 10);
+  if (!isCalendarDate(match[1], match[2], match[3])) {
+    const message = `Unvalid date ${ value } for ${ model } model.`;
+    logger.error(`[${ model }] Model error: ${ message }`);
+    throw new CoindeskAPIModelError(message);
+  }
+  return value;
+};
+
+/**
+ * Returns a finite number from a number or numeric string value.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {(Number|String)} value Numeric value.
+ * @param  {String}          model Model name requesting the conversion.
+ * @return {Number} Parsed number.
+ *
+ * @throws {CoindeskAPIModelError}
+ */
+let toNumber = (value, model) => {
+  const number = typeof value === 'string' ? parseFloat(value.replace(/,/g, '')) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    const message = `Unvalid number ${ value } for ${ model } model.`;
+    logger.error(`[${ model }] Model error: ${ message }`);
+    throw new CoindeskAPIModelError(message);
+  }
+  return number;
+};
+
+/**
+ * Constructs an instance of Rate class.
+ *
+ * Represents the Bitcoin price in a single currency.
+ *
+ * @access public
+ * @class
+ */
+class Rate {
+
+  /**
+   * Constructs an instance of Rate class.
+   *
+   * @access     public
+   * @constructs Rate
+   *
+   * @constructor
+   * @param  {Object} rate             Plain object with rate properties.
+   * @param  {String} rate.code        Currency code.
+   * @param  {String} rate.symbol      Currency html symbol (optional).
+   * @param  {String} rate.description Currency description.
+   * @param  {Number} rate.value       Bitcoin price in the currency.
+   * @param  {String} rate.rate        Formatted Bitcoin price (optional).
+   * @return {Rate}   Class instance.
+   *
+   * @throws {CoindeskAPIModelError}
+   */
+  constructor({ code, symbol = null, description = null, value, rate = null } = {}) {
+    if (typeof code !== 'string' || code === '') {
+      const message = `Unvalid currency code ${ code }.`;
+      logger.error(`[Rate] Model error: ${ message }`);
+      throw new CoindeskAPIModelError(message);
+    }
+    _private(this).code = code;
+    _private(this).symbol = symbol;
+    _private(this).description = description;
+    _private(this).value = toNumber(value, 'Rate');
+    _private(this).rate = rate;
+    Object.freeze(this);
+  }
+
+  /**
+   * Constructs a Rate instance from a Coindesk API bpi item.
+   *
+   * @access     public
+   * @constructs Rate
+   * @static
+   *
+   * @function
+   * @param  {Object} item Coindesk API bpi item for a single currency.
+   * @return {Rate}   Class instance.
+   */
+  static fromResponse(item) {
+    const { code, symbol, description, rate, rate_float: value } = item;
+    return new this({ code, symbol, description, rate, value });
+  }
+
+  /**
+   * Constructs a Rate instance from a plain object.
+   *
+   * @access     public
+   * @constructs Rate
+   * @static
+   *
+   * @function
+   * @param  {Object} obj Plain object as returned by toJSON.
+   * @return {Rate}   Class instance.
+   */
+  static fromJSON(obj) {
+    return obj instanceof this ? obj : new this(obj);
+  }
+
+  /**
+   * Returns instance string representation.
+   *
+   * @access   public
+   * @memberof Rate
+   *
+   * @function
+   * @return {String} Rate class instance string representation.
+   */
+  toString() {
+    return `${ this.code } ${ this.value }`;
+  }
+
+  /**
+   * Returns rate currency code.
+   *
+   * @access   public
+   * @memberof Rate
+   *
+   * @property {Function}
+   * @return   {String} Currency code.
+   */
+  get code() {
+    return _private(this).code;
+  }
+
+  /**
+   * Returns rate currency symbol.
+   *
+   * @access   public
+   * @memberof Rate
+   *
+   * @property {Function}
+   * @return   {String} Currency html symbol or null.
+   */
+  get symbol() {
+    return _private(this).symbol;
+  }
+
+  /**
+   * Returns rate currency description.
+   *
+   * @access   public
+   * @memberof Rate
+   *
+   * @property {Function}
+   * @return   {String} Currency description or null.
+   */
+  get description() {
+    return _private(this).description;
+  }
+
+  /**
+   * Returns rate Bitcoin price.
+   *
+   * @access   public
+   * @memberof Rate
+   *
+   * @property {Function}
+   * @return   {Number} Bitcoin price in the currency.
+   */
+  get value() {
+    return _private(this).value;
+  }
+
+  /**
+   * Returns rate formatted Bitcoin price.
+   *
+   * @access   public
+   * @memberof Rate
+   *
+   * @property {Function}
+   * @return   {String} Formatted Bitcoin price or null.
+   */
+  get rate() {
+    return _private(this).rate;
+  }
+
+  /**
+   * Returns instance plain object representation.
+   *
+   * @access   public
+   * @memberof Rate
+   *
+   * @function
+   * @return {Object} Serialisable rate properties.
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      symbol: this.symbol,
+      description: this.description,
+      rate: this.rate,
+      value: this.value
+    };
+  }
+}
+
+/**
+ * Constructs an instance of ResponseModel class.
+ *
+ * Keeps the accessors of the parsed response object returned by
+ * CoindeskAPIResponse.parse before it returned models. They are
+ * deprecated and read the Coindesk API response rebuilt from the model.
+ *
+ * @access private
+ * @class
+ */
+class ResponseModel {
+
+  /**
+   * Returns the Coindesk API response rebuilt from the model.
+   *
+   * @access     public
+   * @memberof   ResponseModel
+   * @deprecated Use the model properties instead.
+   *
+   * @property {Function}
+   * @return   {Object} Coindesk API response data.
+   */
+  get response() {
+    logger.warn(`[${ this.constructor.name }] Deprecation warning: response is deprecated, use the model properties.`);
+    return this._toResponse();
+  }
+
+  /**
+   * Returns the Coindesk API response rebuilt from the model in json format.
+   *
+   * @access     public
+   * @memberof   ResponseModel
+   * @deprecated Use JSON.stringify(model) instead.
+   *
+   * @property {Function}
+   * @return   {String} Coindesk API response data in json format.
+   */
+  get JSONresponse() {
+    logger.warn(`[${ this.constructor.name }] Deprecation warning: JSONresponse is deprecated, use JSON.stringify(model).`);
+    return JSON.stringify(this._toResponse());
+  }
+
+  /**
+   * Returns the Coindesk API response properties.
+   *
+   * @access     public
+   * @memberof   ResponseModel
+   * @deprecated Use the model properties instead.
+   *
+   * @property {Function}
+   * @return   {Array} Coindesk API response property names.
+   */
+  get responseItems() {
+    logger.warn(`[${ this.constructor.name }] Deprecation warning: responseItems is deprecated, use the model properties.`);
+    return Object.keys(this._toResponse());
+  }
+
+  /**
+   * Returns a Coindesk API response property.
+   *
+   * @access     public
+   * @memberof   ResponseModel
+   * @deprecated Use the model properties instead.
+   *
+   * @function
+   * @param  {String} item Response property name.
+   * @return {*}      Response property value or null if not included.
+   */
+  getResponseItem(item) {
+    logger.warn(`[${ this.constructor.name }] Deprecation warning: getResponseItem is deprecated, use the model properties.`);
+    const response = this._toResponse();
+    if (!response.hasOwnProperty(item)) {
+      const message = `Unvalid provided response item ${ item }`;
+      logger.error(`[${ this.constructor.name }] Response item error: ${ message }`);
+      return null;
+    }
+    return response[item];
+  }
+}
+
+/**
+ * Constructs an instance of CurrentPrice class.
+ *
+ * Represents a Bitcoin current price snapshot in one or
+ * several currencies.
+ *
+ * @access public
+ * @class
+ */
+class CurrentPrice extends ResponseModel {
+
+  /**
+   * Constructs an instance of CurrentPrice class.
+   *
+   * @access     public
+   * @constructs CurrentPrice
+   *
+   * @constructor
+   * @param  {Object}          snapshot            Plain object with snapshot properties.
+   * @param  {(Date|String)}   snapshot.time       Snapshot update time.
+   * @param  {Array}           snapshot.rates      Rate instances or plain objects.
+   * @param  {String}          snapshot.disclaimer Coindesk API disclaimer (optional).
+   * @param  {String}          snapshot.chartName  Coindesk API chart name (optional).
+   * @return {CurrentPrice}    Class instance.
+   */
+  constructor({ time, rates = [], disclaimer = null, chartName = null } = {}) {
+    super();
+    const parsedRates = new Map();
+    rates.forEach(rate => {
+      rate = Rate.fromJSON(rate);
+      parsedRates.set(rate.code, rate);
+    });
+    _private(this).time = toDate(time, 'CurrentPrice');
+    _private(this).rates = parsedRates;
+    _private(this).disclaimer = disclaimer;
+    _private(this).chartName = chartName;
+    Object.freeze(this);
+  }
+
+  /**
+   * Constructs a CurrentPrice instance from a Coindesk API currentprice response.
+   *
+   * @access     public
+   * @constructs CurrentPrice
+   * @static
+   *
+   * @function
+   * @param  {Object}       response Coindesk API currentprice response data.
+   * @return {CurrentPrice} Class instance.
+   */
+  static fromResponse(response) {
+    const { time = {}, bpi = {}, disclaimer, chartName } = response;
+    const rates = Object.keys(bpi).map(code => Rate.fromResponse(bpi[code]));
+    return new this({ time: time.updatedISO, rates, disclaimer, chartName });
+  }
+
+  /**
+   * Constructs a CurrentPrice instance from a plain object.
+   *
+   * @access     public
+   * @constructs CurrentPrice
+   * @static
+   *
+   * @function
+   * @param  {Object}       obj Plain object as returned by toJSON.
+   * @return {CurrentPrice} Class instance.
+   */
+  static fromJSON(obj) {
+    return obj instanceof this ? obj : new this(obj);
+  }
+
+  /**
+   * Returns instance string representation.
+   *
+   * @access   public
+   * @memberof CurrentPrice
+   *
+   * @function
+   * @return {String} CurrentPrice class instance string representation.
+   */
+  toString() {
+    return `Coindesk Current Price -
+      Class: ${ this.constructor.name },
+      Time:  ${ this.time.toISOString() },
+      Rates: ${ this.rates.map(rate => rate.toString()).join(', ') }`;
+  }
+
+  /**
+   * Returns snapshot update time.
+   *
+   * @access   public
+   * @memberof CurrentPrice
+   *
+   * @property {Function}
+   * @return   {Date} Copy of the snapshot update time.
+   */
+  get time() {
+    return new Date(_private(this).time.getTime());
+  }
+
+  /**
+   * Returns snapshot disclaimer.
+   *
+   * @access   public
+   * @memberof CurrentPrice
+   *
+   * @property {Function}
+   * @return   {String} Coindesk API disclaimer or null.
+   */
+  get disclaimer() {
+    return _private(this).disclaimer;
+  }
+
+  /**
+   * Returns snapshot chart name.
+   *
+   * @access   public
+   * @memberof CurrentPrice
+   *
+   * @property {Function}
+   * @return   {String} Coindesk API chart name or null.
+   */
+  get chartName() {
+    return _private(this).chartName;
+  }
+
+  /**
+   * Returns snapshot currency codes.
+   *
+   * @access   public
+   * @memberof CurrentPrice
+   *
+   * @property {Function}
+   * @return   {Array} Currency codes included in the snapshot.
+   */
+  get codes() {
+    return Array.from(_private(this).rates.keys());
+  }
+
+  /**
+   * Returns snapshot rates.
+   *
+   * @access   public
+   * @memberof CurrentPrice
+   *
+   * @property {Function}
+   * @return   {Array} Rate instances included in the snapshot.
+   */
+  get rates() {
+    return Array.from(_private(this).rates.values());
+  }
+
+  /**
+   * Returns whether the snapshot includes the currency code.
+   *
+   * @access   public
+   * @memberof CurrentPrice
+   *
+   * @function
+   * @param  {String}  code Currency code.
+   * @return {Boolean} True if the currency rate is included.
+   */
+  has(code) {
+    return _private(this).rates.has(code);
+  }
+
+  /**
+   * Returns the rate for the currency code.
+   *
+   * @access   public
+   * @memberof CurrentPrice
+   *
+   * @function
+   * @param  {String} code Currency code.
+   * @return {Rate}   Currency rate or null if not included.
+   */
+  getRate(code) {
+    return this.has(code) ? _private(this).rates.get(code) : null;
+  }
+
+  /**
+   * Returns instance plain object representation.
+   *
+   * @access   public
+   * @memberof CurrentPrice
+   *
+   * @function
+   * @return {Object} Serialisable snapshot properties.
+   */
+  toJSON() {
+    return {
+      time: this.time.toISOString(),
+      disclaimer: this.disclaimer,
+      chartName: this.chartName,
+      rates: this.rates.map(rate => rate.toJSON())
+    };
+  }
+
+  /**
+   * Returns the Coindesk API currentprice response data of the snapshot.
+   *
+   * @access   protected
+   * @memberof CurrentPrice
+   *
+   * @function
+   * @return {Object} Currentprice response with time, disclaimer, chartName and bpi.
+   */
+  _toResponse() {
+    const bpi = {};
+    this.rates.forEach(({ code, symbol, rate, description, value }) => {
+      bpi[code] = { code, symbol, rate, description, rate_float: value };
+    });
+    return { time: { updatedISO: this.time.toISOString() }, disclaimer: this.disclaimer, chartName: this.chartName, bpi };
+  }
+}
+
+/**
+ * Constructs an instance of HistoricalSeries class.
+ *
+ * Represents Bitcoin close prices ordered by date.
+ *
+ * @access public
+ * @class
+ */
+class HistoricalSeries extends ResponseModel {
+
+  /**
+   * Constructs an instance of HistoricalSeries class.
+   *
+   * @access     public
+   * @constructs HistoricalSeries
+   *
+   * @constructor
+   * @param  {Object}        series            Plain object with series properties.
+   * @param  {Array}         series.points     Points with date and close properties.
+   * @param  {String}        series.currency   Currency code of close prices.
+   * @param  {(Date|String)} series.time       Series update time (optional).
+   * @param  {String}        series.disclaimer Coindesk API disclaimer (optional).
+   * @return {HistoricalSeries} Class instance.
+   */
+  constructor({ points = [], currency = settings.DEFAULT_CURRENCY, time = null, disclaimer = null } = {}) {
+    super();
+    const byDate = new Map();
+    points.forEach(({ date, close }) => {
+      date = toDay(date, 'HistoricalSeries');
+      byDate.set(date, Object.freeze({ date, close: toNumber(close, 'HistoricalSeries') }));
+    });
+    const sortedDates = Array.from(byDate.keys()).sort();
+    _private(this).points = Object.freeze(sortedDates.map(date => byDate.get(date)));
+    _private(this).index = byDate;
+    _private(this).currency = currency;
+    _private(this).time = time !== null ? toDate(time, 'HistoricalSeries') : null;
+    _private(this).disclaimer = disclaimer;
+    Object.freeze(this);
+  }
+
+  /**
+   * Constructs a HistoricalSeries instance from a Coindesk API historical response.
+   *
+   * @access     public
+   * @constructs HistoricalSeries
+   * @static
+   *
+   * @function
+   * @param  {Object} response Coindesk API historical response data.
+   * @param  {String} currency Currency code of close prices.
+   * @return {HistoricalSeries} Class instance.
+   */
+  static fromResponse(response, currency = settings.DEFAULT_CURRENCY) {
+    const { time = {}, bpi = {}, disclaimer } = response;
+    const points = Object.keys(bpi).map(date => ({ date, close: bpi[date] }));
+    return new this({ points, currency, time: time.updatedISO || null, disclaimer });
+  }
+
+  /**
+   * Constructs a HistoricalSeries instance from a plain object.
+   *
+   * @access     public
+   * @constructs HistoricalSeries
+   * @static
+   *
+   * @function
+   * @param  {Object} obj Plain object as returned by toJSON.
+   * @return {HistoricalSeries} Class instance.
+   */
+  static fromJSON(obj) {
+    return obj instanceof this ? obj : new this(obj);
+  }
+
+  /**
+   * Returns instance string representation.
+   *
+   * @access   public
+   * @memberof HistoricalSeries
+   *
+   * @function
+   * @return {String} HistoricalSeries class instance string representation.
+   */
+  toString() {
+    const first = this.first ? this.first.date : null;
+    const last = this.last ? this.last.date : null;
+    return `Coindesk Historical Series -
+      Class:    ${ this.constructor.name },
+      Currency: ${ this.currency },
+      Length:   ${ this.length },
+      Range:    ${ first } - ${ last }`;
+  }
+
+  /**
+   * Returns series currency code.
+   *
+   * @access   public
+   * @memberof HistoricalSeries
+   *
+   * @property {Function}
+   * @return   {String} Currency code of close prices.
+   */
+  get currency() {
+    return _private(this).currency;
+  }
+
+  /**
+   * Returns series update time.
+   *
+   * @access   public
+   * @memberof HistoricalSeries
+   *
+   * @property {Function}
+   * @return   {Date} Copy of the series update time or null.
+   */
+  get time() {
+    const time = _private(this).time;
+    return time !== null ? new Date(time.getTime()) : null;
+  }
+
+  /**
+   * Returns series disclaimer.
+   *
+   * @access   public
+   * @memberof HistoricalSeries
+   *
+   * @property {Function}
+   * @return   {String} Coindesk API disclaimer or null.
+   */
+  get disclaimer() {
+    return _private(this).disclaimer;
+  }
+
+  /**
+   * Returns series points ordered by date.
+   *
+   * @access   public
+   * @memberof HistoricalSeries
+   *
+   * @property {Function}
+   * @return   {Array} Frozen points with date and close properties.
+   */
+  get points() {
+    return _private(this).points;
+  }
+
+  /**
+   * Returns series dates in ascending order.
+   *
+   * @access   public
+   * @memberof HistoricalSeries
+   *
+   * @property {Function}
+   * @return   {Array} Days in YYYY-MM-DD format.
+   */
+  get dates() {
+    return this.points.map(point => point.date);
+  }
+
+  /**
+   * Returns series close prices ordered by date.
+   *
+   * @access   public
+   * @memberof HistoricalSeries
+   *
+   * @property {Function}
+   * @return   {Array} Close prices.
+   */
+  get values() {
+    return this.points.map(point => point.close);
+  }
+
+  /**
+   * Returns series number of points.
+   *
+   * @access   public
+   * @memberof HistoricalSeries
+   *
+   * @property {Function}
+   * @return   {Number} Number of points.
+   */
+  get length() {
+    return this.points.length;
+  }
+
+  /**
+   * Returns series earliest point.
+   *
+   * @access   public
+   * @memberof HistoricalSeries
+   *
+   * @property {Function}
+   * @return   {Object} First point with date and close properties or null.
+   */
+  get first() {
+    return this.length > 0 ? this.points[0] : null;
+  }
+
+  /**
+   * Returns series latest point.
+   *
+   * @access   public
+   * @memberof HistoricalSeries
+   *
+   * @property {Function}
+   * @return   {Object} Last point with date and close properties or null.
+   */
+  get last() {
+    return this.length > 0 ? this.points[this.length - 1] : null;
+  }
+
+  /**
+   * Returns the close price for the provided date.
+   *
+   * @access   public
+   * @memberof HistoricalSeries
+   *
+   * @function
+   * @param  {(Date|String)} date Day to get the close price for.
+   * @return {Number} Close price or null if the date is not in the series.
+   */
+  at(date) {
+    const point = _private(this).index.get(toDay(date, 'HistoricalSeries'));
+    return point !== undefined ? point.close : null;
+  }
+
+  /**
+   * Returns an iterator over the series points ordered by date.
+   *
+   * @access   public
+   * @memberof HistoricalSeries
+   *
+   * @function
+   * @return {Iterator} Points with date and close properties.
+   */
+  [Symbol.iterator]() {
+    return this.points[Symbol.iterator]();
+  }
+
+  /**
+   * Returns instance plain object representation.
+   *
+   * @access   public
+   * @memberof HistoricalSeries
+   *
+   * @function
+   * @return {Object} Serialisable series properties.
+   */
+  toJSON() {
+    const time = this.time;
+    return {
+      currency: this.currency,
+      time: time !== null ? time.toISOString() : null,
+      disclaimer: this.disclaimer,
+      points: this.points.map(({ date, close }) => ({ date, close }))
+    };
+  }
+
+  /**
+   * Returns the Coindesk API historical response data of the series.
+   *
+   * @access   protected
+   * @memberof HistoricalSeries
+   *
+   * @function
+   * @return {Object} Historical response with bpi, disclaimer and time.
+   */
+  _toResponse() {
+    const bpi = {};
+    this.points.forEach(({ date, close }) => { bpi[date] = close; });
+    const time = this.time;
+    return { bpi, disclaimer: this.disclaimer, time: time !== null ? { updatedISO: time.toISOString() } : {} };
+  }
+}
+
+module.exports = {
+  Rate,
+  CurrentPrice,
+  HistoricalSeries
+};
@@ -0,0 +1,254 @@
+/**
+ * Coindesk API client-side rate limiting.
+ *
+ * @file Defines RateLimiter class.
+ */
+
+const { _private } = require('./weakmap');
+const { getLogger } = require('../logger/service');
+const { CoindeskAPIValidationError } = require('../errors');
+const { CoindeskAPIRateLimitError } = require('../errors');
+const settings = require('../settings');
+
+const logger = getLogger(__filename);
+
+/**
+ * Constructs an instance of RateLimiter class.
+ *
+ * Token bucket allowing a number of requests per interval with bursts
+ * up to the bucket size. Callers beyond the limit are queued and served
+ * in arrival order. When a maximum wait is set, callers waiting longer
+ * fail with CoindeskAPIRateLimitError. Clients are not rate limited
+ * unless they are given an instance, or true to share the process
+ * default one.
+ *
+ * @access public
+ * @class
+ */
+class RateLimiter {
+
+  /**
+   * Constructs an instance of RateLimiter class.
+   *
+   * @access     public
+   * @constructs RateLimiter
+   *
+   * @constructor
+   * @param  {Object} limiter          Rate limiter settings.
+   * @param  {Number} limiter.requests Number of requests allowed per interval.
+   * @param  {Number} limiter.interval Number of miliseconds of the interval.
+   * @param  {Number} limiter.burst    Maximum number of requests made at once (bucket size).
+   * @param  {Number} limiter.maxWait  Maximum number of miliseconds queued before failing (unlimited by default).
+   * @return {RateLimiter} Class instance.
+   *
+   * @throws {CoindeskAPIValidationError}
+   */
+  constructor({
+    requests = settings.RATE_LIMIT_REQUESTS,
+    interval = settings.RATE_LIMIT_INTERVAL,
+    burst = settings.RATE_LIMIT_BURST,
+    maxWait = null
+  } = {}) {
+    [['requests', requests], ['interval', interval], ['burst', burst]].forEach(([name, value]) => {
+      if (!Number.isInteger(value) || value < 1) {
+        const message = `Rate limit ${ name } ${ value } must be positive integer number.`;
+        logger.error(`[RateLimiter] Rate limit error: ${ message }`);
+        throw new CoindeskAPIValidationError(message, { param: name, value });
+      }
+    });
+    if (maxWait !== null && (!Number.isInteger(maxWait) || maxWait < 0)) {
+      const message = `Rate limit maxWait ${ maxWait } must be non negative integer number.`;
+      logger.error(`[RateLimiter] Rate limit error: ${ message }`);
+      throw new CoindeskAPIValidationError(message, { param: 'maxWait', value: maxWait });
+    }
+    _private(this).requests = requests;
+    _private(this).interval = interval;
+    _private(this).burst = burst;
+    _private(this).maxWait = maxWait;
+    _private(this).tokens = burst;
+    _private(this).refilledAt = Date.now();
+    _private(this).queue = [];
+    _private(this).timer = null;
+    _private(this).stats = { acquired: 0, delayed: 0, rejected: 0 };
+  }
+
+  /**
+   * Returns instance string representation.
+   *
+   * @access   public
+   * @memberof RateLimiter
+   *
+   * @function
+   * @return {String} RateLimiter class instance string representation.
+   */
+  toString() {
+    return `Coindesk API Rate Limiter -
+      Class:    ${ this.constructor.name },
+      Requests: ${ this.requests },
+      Interval: ${ this.interval },
+      Burst:    ${ this.burst },
+      Waiting:  ${ _private(this).queue.length }`;
+  }
+
+  /**
+   * Returns the process default rate limiter.
+   *
+   * @access   public
+   * @memberof RateLimiter
+   * @static
+   *
+   * @property {Function}
+   * @return   {RateLimiter} Rate limiter shared by default.
+   */
+  static get default() {
+    if (defaultLimiter === null) defaultLimiter = new RateLimiter();
+    return defaultLimiter;
+  }
+
+  /**
+   * Replaces the process default rate limiter.
+   *
+   * Clients started afterwards share the new default.
+   *
+   * @access   public
+   * @memberof RateLimiter
+   * @static
+   *
+   * @property {Function}
+   * @param    {(RateLimiter|Object)} limiter Rate limiter instance or settings.
+   */
+  static set default(limiter) {
+    defaultLimiter = limiter instanceof RateLimiter ? limiter : new RateLimiter(limiter);
+  }
+
+  get requests() {
+    return _private(this).requests;
+  }
+
+  get interval() {
+    return _private(this).interval;
+  }
+
+  get burst() {
+    return _private(this).burst;
+  }
+
+  get maxWait() {
+    return _private(this).maxWait;
+  }
+
+  /**
+   * Returns the rate limiting counters.
+   *
+   * @access   public
+   * @memberof RateLimiter
+   *
+   * @property {Function}
+   * @return   {Object} Number of tokens acquired, acquired after waiting, rejected, waiting and available.
+   */
+  get stats() {
+    this._refill();
+    const { acquired, delayed, rejected } = _private(this).stats;
+    return { acquired, delayed, rejected, waiting: _private(this).queue.length, tokens: Math.floor(_private(this).tokens) };
+  }
+
+  /**
+   * Waits for a token to make a request.
+   *
+   * @access   public
+   * @memberof RateLimiter
+   *
+   * @function
+   * @return {Promise} Resolves when the request can be made.
+   *
+   * @throws {CoindeskAPIRateLimitError}
+   */
+  acquire() {
+    this._refill();
+    if (_private(this).queue.length === 0 && _private(this).tokens >= 1) {
+      _private(this).tokens -= 1;
+      _private(this).stats.acquired++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject, timer: null };
+      if (this.maxWait !== null) {
+        entry.timer = setTimeout(() => this._reject(entry), this.maxWait);
+        entry.timer.unref();
+      }
+      _private(this).queue.push(entry);
+      this._drain();
+    });
+  }
+
+  /**
+   * Adds the tokens earned since the last refill.
+   *
+   * @access   protected
+   * @memberof RateLimiter
+   *
+   * @function
+   */
+  _refill() {
+    const now = Date.now();
+    const earned = (now - _private(this).refilledAt) * this.requests / this.interval;
+    _private(this).tokens = Math.min(this.burst, _private(this).tokens + earned);
+    _private(this).refilledAt = now;
+  }
+
+  /**
+   * Serves queued callers while tokens are available.
+   *
+   * Schedules the next drain when the next token is earned. The drain
+   * timer keeps the process alive while callers wait for a token.
+   *
+   * @access   protected
+   * @memberof RateLimiter
+   *
+   * @function
+   */
+  _drain() {
+    this._refill();
+    const queue = _private(this).queue;
+    while (queue.length > 0 && _private(this).tokens >= 1) {
+      const entry = queue.shift();
+      _private(this).tokens -= 1;
+      _private(this).stats.acquired++;
+      _private(this).stats.delayed++;
+      clearTimeout(entry.timer);
+      entry.resolve();
+    }
+    clearTimeout(_private(this).timer);
+    _private(this).timer = null;
+    if (queue.length > 0) {
+      const wait = Math.ceil((1 - _private(this).tokens) * this.interval / this.requests);
+      logger.debug(`[RateLimiter] ${ queue.length } requests waiting ${ wait } ms for a token`);
+      _private(this).timer = setTimeout(() => this._drain(), wait);
+    }
+  }
+
+  /**
+   * Removes a caller waiting longer than the maximum wait from the queue.
+   *
+   * @access   protected
+   * @memberof RateLimiter
+   *
+   * @function
+   * @param  {Object} entry Queued caller.
+   */
+  _reject(entry) {
+    _private(this).queue = _private(this).queue.filter(item => item !== entry);
+    _private(this).stats.rejected++;
+    const message = `Rate limit of ${ this.requests } requests per ${ this.interval } ms exceeded waiting ${ this.maxWait } ms.`;
+    logger.warn(`[RateLimiter] Rate limit error: ${ message }`);
+    entry.reject(new CoindeskAPIRateLimitError(message, { requests: this.requests, interval: this.interval, maxWait: this.maxWait }));
+    if (_private(this).queue.length === 0) {
+      clearTimeout(_private(this).timer);
+      _private(this).timer = null;
+    }
+  }
+}
+
+let defaultLimiter = null;
+
+module.exports = { RateLimiter };
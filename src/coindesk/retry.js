@@ -0,0 +1,312 @@
+/**
+ * Coindesk API request retry policy.
+ *
+ * @file Defines RetryPolicy class.
+ */
+
+const { _private } = require('./weakmap');
+const { getLogger } = require('../logger/service');
+const { BaseError } = require('../errors');
+const { CoindeskAPIValidationError } = require('../errors');
+const settings = require('../settings');
+
+const logger = getLogger(__filename);
+
+/**
+ * Returns whether a transport error is retried by default.
+ *
+ * Library errors are retried when retryable (e.g. network errors and
+ * timeouts). Other errors, such as those of function transports, are.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Error}   err Transport or content type error.
+ * @return {Boolean} Whether the attempt is retried.
+ */
+let isRetryableError = (err) => {
+  return !(err instanceof BaseError) || err.isRetryable;
+};
+
+/**
+ * Constructs an instance of RetryPolicy class.
+ *
+ * Decides whether a failed request attempt is retried and how long to
+ * wait before the next one:
+ *
+ *   - responses with a retryable status code (e.g. 429 and 5xx), and
+ *     transport errors and 2xx responses which are not json accepted by
+ *     the retryable error predicate are retried. Other responses, such
+ *     as 404, are returned at once.
+ *   - the delay grows exponentially from the base delay by the multiplier
+ *     up to the maximum delay, with full (0 to delay), equal (half delay
+ *     plus 0 to half delay) or no jitter. No delay when backoff is disabled.
+ *   - the Retry-After header of 429 and 503 responses, in seconds or as
+ *     http date, replaces the computed delay. Requests asked to wait
+ *     longer than the maximum Retry-After or the deadline fail at once
+ *     with CoindeskAPIRateLimitError instead of retrying early.
+ *   - no attempt starts once the deadline since the first attempt would
+ *     be exceeded.
+ *
+ * Instances are immutable, use the with method to derive a new policy.
+ *
+ * @access public
+ * @class
+ */
+class RetryPolicy {
+
+  /**
+   * Constructs an instance of RetryPolicy class.
+   *
+   * @access     public
+   * @constructs RetryPolicy
+   *
+   * @constructor
+   * @param  {Object}   policy                   Retry policy settings.
+   * @param  {Number}   policy.maxAttempts       Maximum number of request attempts before failing.
+   * @param  {Boolean}  policy.backoff           Enable/disable waiting between attempts.
+   * @param  {Number}   policy.baseDelay         Number of miliseconds to wait before the second attempt.
+   * @param  {Number}   policy.maxDelay          Maximum number of miliseconds to wait between attempts.
+   * @param  {Number}   policy.multiplier        Delay growth factor between attempts.
+   * @param  {String}   policy.jitter            Delay jitter (full, equal or none).
+   * @param  {Array}    policy.retryableStatuses Response status codes retried.
+   * @param  {Function} policy.retryableError    Function returning whether a transport or content type error is retried.
+   * @param  {Boolean}  policy.retryAfter        Enable/disable honouring Retry-After header.
+   * @param  {Number}   policy.maxRetryAfter     Maximum number of miliseconds of Retry-After waited.
+   * @param  {Number}   policy.deadline          Maximum number of miliseconds across attempts (unlimited by default).
+   * @return {RetryPolicy} Class instance.
+   *
+   * @throws {CoindeskAPIValidationError}
+   */
+  constructor({
+    maxAttempts = settings.REQUEST_MAX_RETRIES,
+    backoff = true,
+    baseDelay = settings.RETRY_BASE_DELAY,
+    maxDelay = settings.RETRY_MAX_DELAY,
+    multiplier = settings.RETRY_MULTIPLIER,
+    jitter = settings.RETRY_JITTER,
+    retryableStatuses = settings.RETRY_STATUSES,
+    retryableError = isRetryableError,
+    retryAfter = true,
+    maxRetryAfter = settings.RETRY_MAX_RETRY_AFTER,
+    deadline = null
+  } = {}) {
+    const fail = (param, value, message, allowed = null) => {
+      logger.error(`[RetryPolicy] Retry policy error: ${ message }`);
+      throw new CoindeskAPIValidationError(message, { param, value, allowed });
+    };
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+      fail('maxAttempts', maxAttempts, `Retry maxAttempts ${ maxAttempts } must be positive integer number.`);
+    }
+    [['baseDelay', baseDelay], ['maxDelay', maxDelay], ['maxRetryAfter', maxRetryAfter]].forEach(([name, value]) => {
+      if (!Number.isInteger(value) || value < 0) fail(name, value, `Retry ${ name } ${ value } must be non negative integer number.`);
+    });
+    if (typeof multiplier !== 'number' || !(multiplier >= 1)) {
+      fail('multiplier', multiplier, `Retry multiplier ${ multiplier } must be number greater than or equal to 1.`);
+    }
+    if (!settings.VALID_RETRY_JITTERS.includes(jitter)) {
+      fail('jitter', jitter, `Retry jitter ${ jitter } must be one of ${ settings.VALID_RETRY_JITTERS.join(', ') }.`, settings.VALID_RETRY_JITTERS);
+    }
+    if (!Array.isArray(retryableStatuses) || !retryableStatuses.every(Number.isInteger)) {
+      fail('retryableStatuses', retryableStatuses, 'Retry retryableStatuses must be an array of status codes.');
+    }
+    if (typeof retryableError !== 'function') fail('retryableError', retryableError, 'Retry retryableError must be a function.');
+    [['backoff', backoff], ['retryAfter', retryAfter]].forEach(([name, value]) => {
+      if (typeof value !== 'boolean') fail(name, value, `Retry ${ name } type ${ typeof value } must be 'boolean'.`);
+    });
+    if (deadline !== null && (!Number.isInteger(deadline) || deadline < 1)) {
+      fail('deadline', deadline, `Retry deadline ${ deadline } must be positive integer number.`);
+    }
+    Object.assign(_private(this), {
+      maxAttempts,
+      backoff,
+      baseDelay,
+      maxDelay,
+      multiplier,
+      jitter,
+      retryableStatuses: retryableStatuses.slice(),
+      retryableError,
+      retryAfter,
+      maxRetryAfter,
+      deadline
+    });
+  }
+
+  /**
+   * Returns instance string representation.
+   *
+   * @access   public
+   * @memberof RetryPolicy
+   *
+   * @function
+   * @return {String} RetryPolicy class instance string representation.
+   */
+  toString() {
+    return `Coindesk API Retry Policy -
+      Class:        ${ this.constructor.name },
+      Max attempts: ${ this.maxAttempts },
+      Backoff:      ${ this.backoff },
+      Delay:        ${ this.baseDelay }-${ this.maxDelay } x${ this.multiplier } (${ this.jitter } jitter),
+      Deadline:     ${ this.deadline }`;
+  }
+
+  /**
+   * Returns the retry policy of the retries and backoff request arguments.
+   *
+   * @access   public
+   * @memberof RetryPolicy
+   * @static
+   *
+   * @function
+   * @param  {Number}  retries Maximum number of request attempts before failing.
+   * @param  {Boolean} backoff Enable/disable waiting between attempts.
+   * @param  {Object}  policy  Retry policy settings overriding the defaults.
+   * @return {RetryPolicy} Retry policy.
+   */
+  static from(retries, backoff, policy = {}) {
+    return new RetryPolicy(Object.assign({ maxAttempts: Math.max(retries, 1), backoff }, policy));
+  }
+
+  get maxAttempts() {
+    return _private(this).maxAttempts;
+  }
+
+  get backoff() {
+    return _private(this).backoff;
+  }
+
+  get baseDelay() {
+    return _private(this).baseDelay;
+  }
+
+  get maxDelay() {
+    return _private(this).maxDelay;
+  }
+
+  get multiplier() {
+    return _private(this).multiplier;
+  }
+
+  get jitter() {
+    return _private(this).jitter;
+  }
+
+  get retryableStatuses() {
+    return _private(this).retryableStatuses.slice();
+  }
+
+  get retryableError() {
+    return _private(this).retryableError;
+  }
+
+  get retryAfter() {
+    return _private(this).retryAfter;
+  }
+
+  get maxRetryAfter() {
+    return _private(this).maxRetryAfter;
+  }
+
+  get deadline() {
+    return _private(this).deadline;
+  }
+
+  /**
+   * Returns a new retry policy with some settings replaced.
+   *
+   * @access   public
+   * @memberof RetryPolicy
+   *
+   * @function
+   * @param  {Object} policy Retry policy settings to replace.
+   * @return {RetryPolicy} New retry policy.
+   */
+  with(policy) {
+    return new RetryPolicy(Object.assign({}, _private(this), policy));
+  }
+
+  /**
+   * Returns whether a response status code is retried.
+   *
+   * @access   public
+   * @memberof RetryPolicy
+   *
+   * @function
+   * @param  {Number}  status Response status code.
+   * @return {Boolean} Whether the attempt is retried.
+   */
+  isRetryableStatus(status) {
+    return _private(this).retryableStatuses.includes(status);
+  }
+
+  /**
+   * Returns whether a transport error (e.g. timeout or connection reset) is retried.
+   *
+   * @access   public
+   * @memberof RetryPolicy
+   *
+   * @function
+   * @param  {Error}   err Transport error.
+   * @return {Boolean} Whether the attempt is retried.
+   */
+  isRetryableError(err) {
+    return Boolean(_private(this).retryableError(err));
+  }
+
+  /**
+   * Returns the number of miliseconds to wait before the next attempt.
+   *
+   * @access   public
+   * @memberof RetryPolicy
+   *
+   * @function
+   * @param  {Number} attempt  Number of the failed attempt, starting at 1.
+   * @param  {Object} response Failed attempt response or null on transport error.
+   * @return {Number} Number of miliseconds to wait.
+   */
+  getDelay(attempt, response = null) {
+    const retryAfter = this.getRetryAfter(response);
+    if (retryAfter !== null) return retryAfter;
+    if (!this.backoff) return 0;
+    const delay = Math.min(this.baseDelay * Math.pow(this.multiplier, attempt - 1), this.maxDelay);
+    if (this.jitter === 'full') return Math.round(Math.random() * delay);
+    if (this.jitter === 'equal') return Math.round(delay / 2 + Math.random() * delay / 2);
+    return Math.round(delay);
+  }
+
+  /**
+   * Returns the number of miliseconds left before the deadline.
+   *
+   * @access   public
+   * @memberof RetryPolicy
+   *
+   * @function
+   * @param  {Number} startedAt Timestamp in miliseconds of the first attempt.
+   * @return {Number} Number of miliseconds left or Infinity without deadline.
+   */
+  getRemaining(startedAt) {
+    if (this.deadline === null) return Infinity;
+    return Math.max(startedAt + this.deadline - Date.now(), 0);
+  }
+
+  /**
+   * Returns the Retry-After header delay of 429 and 503 responses.
+   *
+   * @access   public
+   * @memberof RetryPolicy
+   *
+   * @function
+   * @param  {Object} response Failed attempt response.
+   * @return {Number} Number of miliseconds or null when not available or not honoured.
+   */
+  getRetryAfter(response) {
+    if (!this.retryAfter || response === null || !settings.RETRY_AFTER_STATUSES.includes(response.status)) return null;
+    const header = (response.headers || {})['retry-after'];
+    if (header === undefined || String(header).trim() === '') return null;
+    if (/^\d+$/.test(String(header).trim())) return parseInt(header, 10) * 1000;
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+  }
+}
+
+module.exports = { RetryPolicy };
@@ -1,77 +1,169 @@
 /**
  * Coindesk API response schemas.
  *
+ * Schemas are generated per data type and, for currentprice, per
+ * requested currency:
+ *
+ *   - currentprice:            USD, GBP and EUR rates with symbol.
+ *   - currentprice/:currency:  USD and requested currency rates.
+ *   - historical:              close prices by YYYY-MM-DD date.
+ *   - supported-currencies:    currency codes and countries.
+ *
+ * Schemas describe the json data as returned, so they are meant to be
+ * validated without type conversion.
+ *
  * @file This file defines Coindesk API response schemas.
  */
 
 const Joi = require('@hapi/joi');
+const settings = require('../settings');
 
-const currentpriceSchema = Joi.object().keys({
-  time: Joi.object().keys({
-    updated: Joi.date().required(),
-    updatedISO: Joi.date().iso().required(),
-    updateduk: Joi.string().required()
-  }).required(),
-  chartName: Joi.string().alphanum().required(),
-  disclaimer: Joi.string().required(),
-  bpi: Joi.object().keys({
-    USD: Joi.object().keys({
-      code: Joi.string().regex(/^USD$/).required(),
-      symbol: Joi.string().regex(/^\$|&#36;$/).required(),
-      rate: Joi.string().regex(/^[0-9.,]$/).required(),
-      description: Joi.string().alphanum().required(),
-      rate_float: Joi.number().positive().required()
-    }).required(),
-    GBP: Joi.object().keys({
-      code: Joi.string().regex(/^GBP$/).required(),
-      symbol: Joi.string().regex(/^\£|&pound;$/).required(),
-      rate: Joi.string().regex(/^[0-9.,]$/).required(),
-      description: Joi.string().alphanum().required(),
-      rate_float: Joi.number().positive().required()
-    }).required(),
-    EUR: Joi.object().keys({
-      code: Joi.string().regex(/^GBP$/).required(),
-      symbol: Joi.string().regex(/^\€|&euro;$/).required(),
-      rate: Joi.string().regex(/^[0-9.,]$/).required(),
-      description: Joi.string().alphanum().required(),
-      rate_float: Joi.number().positive().required()
-    }).required()
-  }).required()
+const RATE_PATTERN = /^\d{1,3}(,\d{3})*(\.\d+)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const SYMBOLS = {
+  USD: ['&#36;', '$'],
+  GBP: ['&pound;', '£'],
+  EUR: ['&euro;', '€']
+};
+
+const timeSchema = Joi.object().keys({
+  updated: Joi.string().required(),
+  updatedISO: Joi.string().isoDate().required(),
+  updateduk: Joi.string()
 }).required();
 
-const currentpriceCurrencySchema = Joi.object().keys({
-  time: Joi.object().keys({
-    updated: Joi.date().required(),
-    updatedISO: Joi.date().iso().required(),
-    updateduk: Joi.string().required()
-  }).required(),
+/**
+ * Returns the schema of a currency rate.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {String}  code          Currency code or null for any code.
+ * @param  {Boolean} symbolMissing Whether the rate may come without symbol.
+ * @return {Object}  Rate schema.
+ */
+let getRateSchema = (code, symbolMissing) => {
+  let symbol = SYMBOLS.hasOwnProperty(code) ? Joi.string().valid(...SYMBOLS[code]) : Joi.string();
+  if (!symbolMissing) symbol = symbol.required();
+  return Joi.object().keys({
+    code: code !== null ? Joi.string().valid(code).required() : Joi.string().regex(CURRENCY_PATTERN).required(),
+    symbol,
+    rate: Joi.string().regex(RATE_PATTERN).required(),
+    description: Joi.string().required(),
+    rate_float: Joi.number().positive().required()
+  }).required();
+};
+
+const currentpriceSchema = Joi.object().keys({
+  time: timeSchema,
   disclaimer: Joi.string().required(),
+  chartName: Joi.string().required(),
   bpi: Joi.object().keys({
-    USD: Joi.object().keys({
-      code: Joi.string().regex(/^USD$/).required(),
-      rate: Joi.string().regex(/^[0-9.,]$/).required(),
-      description: Joi.string().alphanum().required(),
-      rate_float: Joi.number().positive().required()
-    }).pattern(/^[A-Z]$/, Joi.object().keys({
-      code: Joi.string().regex(/^[A-Z]$/).required(),
-      rate: Joi.string().regex(/^[0-9.,]$/).required(),
-      description: Joi.string().alphanum().required(),
-      rate_float: Joi.number().positive().required()
-    }).required())
+    USD: getRateSchema('USD', false),
+    GBP: getRateSchema('GBP', false),
+    EUR: getRateSchema('EUR', false)
   }).required()
 }).required();
 
 const historicalSchema = Joi.object().keys({
-  time: Joi.object().keys({
-    updated: Joi.date().required(),
-    updatedISO: Joi.date().iso().required()
-  }).required(),
+  time: timeSchema,
   disclaimer: Joi.string().required(),
-  bpi: Joi.object().pattern(/^\d{4}-\d{2}-\d{2}$/, Joi.number().positive())
+  bpi: Joi.object().pattern(DATE_PATTERN, Joi.number().positive()).required()
 }).required();
 
+const supportedCurrenciesSchema = Joi.array().items(Joi.object().keys({
+  currency: Joi.string().regex(CURRENCY_PATTERN).required(),
+  country: Joi.string().required()
+})).required();
+
+const currencySchemas = new Map();
+
+/**
+ * Returns the currentprice response schema for a requested currency.
+ *
+ * Coindesk API returns the USD rate along with the requested currency
+ * one, both of them without symbol.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {String} currency Requested currency code or null for every currency.
+ * @return {Object} Response schema.
+ */
+let getCurrentpriceSchema = (currency = null) => {
+  if (currency === null) return currentpriceSchema;
+  currency = currency.toUpperCase();
+  if (!currencySchemas.has(currency)) {
+    const rates = { [settings.DEFAULT_CURRENCY]: getRateSchema(settings.DEFAULT_CURRENCY, true) };
+    rates[currency] = getRateSchema(currency, true);
+    currencySchemas.set(currency, Joi.object().keys({
+      time: timeSchema,
+      disclaimer: Joi.string().required(),
+      chartName: Joi.string(),
+      bpi: Joi.object().keys(rates).required()
+    }).required());
+  }
+  return currencySchemas.get(currency);
+};
+
+/**
+ * Returns the historical response schema.
+ *
+ * Close prices are returned in the requested currency with the same
+ * response shape for every currency.
+ *
+ * @access public
+ *
+ * @function
+ * @return {Object} Response schema.
+ */
+let getHistoricalSchema = () => {
+  return historicalSchema;
+};
+
+/**
+ * Returns the supported currencies response schema.
+ *
+ * @access public
+ *
+ * @function
+ * @return {Object} Response schema.
+ */
+let getSupportedCurrenciesSchema = () => {
+  return supportedCurrenciesSchema;
+};
+
+/**
+ * Returns the response schema for a data type and requested currency.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {String} dataType Type of data (currentprice, historical or supported-currencies).
+ * @param  {String} currency Requested currency code or null.
+ * @return {Object} Response schema or null for unknown data types.
+ */
+let getSchema = (dataType, currency = null) => {
+  switch (dataType) {
+    case settings.API_CURRENTPRICE_DATA_TYPE:
+      return getCurrentpriceSchema(currency);
+    case settings.API_HISTORICAL_DATA_TYPE:
+      return getHistoricalSchema();
+    case settings.API_SUPPORTED_CURRENCIES_DATA_TYPE:
+      return getSupportedCurrenciesSchema();
+    default:
+      return null;
+  }
+};
+
 module.exports = {
   currentpriceSchema,
-  currentpriceCurrencySchema,
-  historicalSchema
+  historicalSchema,
+  supportedCurrenciesSchema,
+  getCurrentpriceSchema,
+  getHistoricalSchema,
+  getSupportedCurrenciesSchema,
+  getSchema
 };
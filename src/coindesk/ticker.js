@@ -0,0 +1,268 @@
+/**
+ * Coindesk API live price ticker.
+ *
+ * @file Defines PriceTicker class polling Bitcoin current price.
+ */
+
+const EventEmitter = require('events');
+const { _private } = require('./weakmap');
+const { getLogger } = require('../logger/service');
+const { CoindeskAPIValidationError } = require('../errors');
+const { CoindeskAPIClient } = require('./client');
+const { CurrentPrice } = require('./models');
+const utils = require('./utils');
+const settings = require('../settings');
+
+const logger = getLogger(__filename);
+
+/**
+ * Constructs an instance of PriceTicker class.
+ *
+ * Polls Coindesk API current price for one or many currencies at a
+ * fixed interval and emits events:
+ *
+ *   - update: (snapshot, currency) when the snapshot update time advances.
+ *   - change: ({ currency, previous, current, change, percent, time }) when the price changes.
+ *   - error:  (err, currency) when polling fails or an update or change
+ *             listener throws. Polling goes on.
+ *   - start and stop when the ticker is started or stopped.
+ *
+ * The polling timer does not keep the process alive on its own.
+ *
+ * @access public
+ * @class
+ */
+class PriceTicker extends EventEmitter {
+
+  /**
+   * Constructs an instance of PriceTicker class.
+   *
+   * @access     public
+   * @constructs PriceTicker
+   *
+   * @constructor
+   * @param  {Object}          ticker            Ticker settings.
+   * @param  {(String|Array)}  ticker.currencies Currency codes to follow.
+   * @param  {Number}          ticker.interval   Number of miliseconds between polls.
+   * @param  {Number}          ticker.retries    Maximum number of request attempts before failing.
+   * @param  {Number}          ticker.redirects  Maximum number of request redirects allowed.
+   * @param  {Number}          ticker.timeout    Number of miliseconds before throw request timeout error.
+   * @param  {Boolean}         ticker.backoff    Enable/disable http request retry backoff.
+   * @param  {Object}          ticker.options    Optional client settings.
+   * @return {PriceTicker}     Class instance.
+   *
+   * @throws {CoindeskAPIValidationError}
+   */
+  constructor({
+    currencies = [settings.DEFAULT_CURRENCY],
+    interval = settings.TICKER_INTERVAL,
+    retries = 3,
+    redirects = 5,
+    timeout = 5000,
+    backoff = true,
+    options = {}
+  } = {}) {
+    super();
+    currencies = Array.from(new Set(Array.isArray(currencies) ? currencies : [currencies]));
+    if (!Number.isInteger(interval) || interval < settings.TICKER_MIN_INTERVAL) {
+      const message = `Interval ${ interval } must be integer number of at least ${ settings.TICKER_MIN_INTERVAL } ms.`;
+      logger.error(`[PriceTicker] Interval error: ${ message }`);
+      throw new CoindeskAPIValidationError(message, { param: 'interval', value: interval });
+    }
+    const clients = new Map();
+    currencies.forEach(currency => {
+      utils.validateCurrency(currency);
+      const params = currency !== settings.DEFAULT_CURRENCY ? { currency } : {};
+      const client = CoindeskAPIClient.start(settings.API_CURRENTPRICE_DATA_TYPE, params, retries, redirects, timeout, backoff, options);
+      clients.set(currency, client);
+    });
+    _private(this).clients = clients;
+    _private(this).interval = interval;
+    _private(this).snapshots = new Map();
+    _private(this).timer = null;
+    _private(this).running = false;
+    _private(this).generation = 0;
+  }
+
+  /**
+   * Returns instance string representation.
+   *
+   * @access   public
+   * @memberof PriceTicker
+   *
+   * @function
+   * @return {String} PriceTicker class instance string representation.
+   */
+  toString() {
+    return `Coindesk API Price Ticker -
+      Class:      ${ this.constructor.name },
+      Currencies: ${ this.currencies.join(', ') },
+      Interval:   ${ this.interval },
+      Running:    ${ this.running }`;
+  }
+
+  get currencies() {
+    return Array.from(_private(this).clients.keys());
+  }
+
+  get interval() {
+    return _private(this).interval;
+  }
+
+  get running() {
+    return _private(this).running;
+  }
+
+  /**
+   * Returns the last snapshot fetched for the currency.
+   *
+   * @access   public
+   * @memberof PriceTicker
+   *
+   * @function
+   * @param  {String}       currency Currency code.
+   * @return {CurrentPrice} Last snapshot or null if none fetched yet.
+   */
+  getSnapshot(currency = settings.DEFAULT_CURRENCY) {
+    return _private(this).snapshots.get(currency) || null;
+  }
+
+  /**
+   * Starts polling current prices, fetching them immediately.
+   *
+   * @access   public
+   * @memberof PriceTicker
+   *
+   * @function
+   * @return {PriceTicker} Class instance.
+   */
+  start() {
+    if (this.running) return this;
+    _private(this).running = true;
+    _private(this).generation++;
+    this.emit('start');
+    this._tick(_private(this).generation);
+    return this;
+  }
+
+  /**
+   * Stops polling current prices.
+   *
+   * Pending timers are cleared and responses of in-flight polls
+   * are discarded.
+   *
+   * @access   public
+   * @memberof PriceTicker
+   *
+   * @function
+   * @return {PriceTicker} Class instance.
+   */
+  stop() {
+    if (!this.running) return this;
+    _private(this).running = false;
+    clearTimeout(_private(this).timer);
+    _private(this).timer = null;
+    this.emit('stop');
+    return this;
+  }
+
+  /**
+   * Polls every currency and schedules the next poll.
+   *
+   * Polls belonging to a previous start are discarded so restarting
+   * the ticker never runs two polling loops. The next poll is scheduled
+   * even when an event listener throws.
+   *
+   * @access   protected
+   * @memberof PriceTicker
+   *
+   * @function
+   * @param  {Number}  generation Start counter the poll belongs to.
+   * @return {Promise} Resolves when the poll finishes.
+   */
+  async _tick(generation) {
+    try {
+      await Promise.all(this.currencies.map(currency => this._poll(currency, generation)));
+    } catch (err) {
+      logger.error(`[PriceTicker] Listener error: ${ err.message }`);
+    } finally {
+      if (this._isCurrent(generation)) {
+        _private(this).timer = setTimeout(() => this._tick(generation), this.interval);
+        _private(this).timer.unref();
+      }
+    }
+  }
+
+  /**
+   * Returns whether the poll belongs to the running ticker start.
+   *
+   * @access   protected
+   * @memberof PriceTicker
+   *
+   * @function
+   * @param  {Number}  generation Start counter the poll belongs to.
+   * @return {Boolean} True if the ticker is running for the same start.
+   */
+  _isCurrent(generation) {
+    return this.running && _private(this).generation === generation;
+  }
+
+  /**
+   * Fetches the currency snapshot emitting update and change events.
+   *
+   * @access   protected
+   * @memberof PriceTicker
+   *
+   * @function
+   * @param  {String}  currency   Currency code.
+   * @param  {Number}  generation Start counter the poll belongs to.
+   * @return {Promise} Resolves when the snapshot is processed.
+   */
+  async _poll(currency, generation) {
+    let snapshot;
+    try {
+      snapshot = CurrentPrice.fromResponse(await _private(this).clients.get(currency).get());
+    } catch (err) {
+      if (this._isCurrent(generation)) this._emitError(err, currency);
+      return;
+    }
+    if (!this._isCurrent(generation)) return;
+    const previous = this.getSnapshot(currency);
+    if (previous !== null && snapshot.time <= previous.time) return;
+    _private(this).snapshots.set(currency, snapshot);
+    try {
+      this.emit('update', snapshot, currency);
+      const [before, after] = [previous, snapshot].map(price => price && price.getRate(currency));
+      if (before && after && before.value !== after.value) {
+        this.emit('change', {
+          currency,
+          previous: before.value,
+          current: after.value,
+          change: after.value - before.value,
+          percent: (after.value - before.value) / before.value * 100,
+          time: snapshot.time
+        });
+      }
+    } catch (err) {
+      this._emitError(err, currency);
+    }
+  }
+
+  /**
+   * Logs polling and listener errors and emits them without throwing
+   * when nobody listens.
+   *
+   * @access   protected
+   * @memberof PriceTicker
+   *
+   * @function
+   * @param {Error}  err      Polling or listener error.
+   * @param {String} currency Currency code.
+   */
+  _emitError(err, currency) {
+    logger.error(`[PriceTicker] Poll error: ${ currency } - ${ err.message }`);
+    if (this.listenerCount('error') > 0) this.emit('error', err, currency);
+  }
+}
+
+module.exports = { PriceTicker };
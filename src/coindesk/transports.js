@@ -0,0 +1,363 @@
+/**
+ * Coindesk API http transports.
+ *
+ * Transports receive a request object with method, url, headers,
+ * timeout and maxRedirects properties and resolve to a response
+ * object with status, statusText, headers and body properties.
+ * Redirects are followed up to maxRedirects, after which the last
+ * redirect response is resolved.
+ *
+ * @file Defines Transport, AxiosTransport, FetchTransport and HttpTransport classes.
+ */
+
+const http = require('http');
+const https = require('https');
+const { getLogger, redactUrl, redactUrls } = require('../logger/service');
+const { BaseError } = require('../errors');
+const { CoindeskAPIHttpRequestError } = require('../errors');
+const { CoindeskAPINetworkError } = require('../errors');
+const { CoindeskAPITimeoutError } = require('../errors');
+
+const logger = getLogger(__filename);
+
+/**
+ * Returns the library error for a failed http request.
+ *
+ * Timeouts, node-fetch request and body timeouts included, become
+ * CoindeskAPITimeoutError and any other failure (connection refused
+ * or reset, dns...) CoindeskAPINetworkError, both keeping the original
+ * error as cause.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Error}  err     Http client error.
+ * @param  {String} url     Request url.
+ * @param  {Number} timeout Number of miliseconds of the request timeout.
+ * @return {Error}  Library error.
+ */
+let getNetworkError = (err, url, timeout) => {
+  if (err instanceof BaseError) return err;
+  const isTimeout = ['ECONNABORTED', 'ETIMEDOUT'].includes(err.code) ||
+    ['AbortError', 'TimeoutError'].includes(err.name) ||
+    ['request-timeout', 'body-timeout'].includes(err.type);
+  if (isTimeout) {
+    return new CoindeskAPITimeoutError(`Timeout of ${ timeout } ms exceeded for url ${ redactUrl(url) }`, { cause: err, url, timeout });
+  }
+  return new CoindeskAPINetworkError(`Network error for url ${ redactUrl(url) } - ${ redactUrls(err.message) }`, { cause: err, url });
+};
+
+/**
+ * Constructs an instance of Transport class.
+ *
+ * Base class for http transports. Subclasses must implement
+ * the request method.
+ *
+ * @access public
+ * @class
+ */
+class Transport {
+
+  /**
+   * Returns instance string representation.
+   *
+   * @access   public
+   * @memberof Transport
+   *
+   * @function
+   * @return {String} Transport class instance string representation.
+   */
+  toString() {
+    return `Coindesk API Transport -
+      Class: ${ this.constructor.name }`;
+  }
+
+  /**
+   * Makes an http request.
+   *
+   * @access   public
+   * @memberof Transport
+   *
+   * @function
+   * @param  {Object}  request              Http request description.
+   * @param  {String}  request.method       Http method.
+   * @param  {String}  request.url          Request url.
+   * @param  {Object}  request.headers      Request headers.
+   * @param  {Number}  request.timeout      Number of miliseconds before throw request timeout error.
+   * @param  {Number}  request.maxRedirects Maximum number of request redirects allowed.
+   * @return {Promise} Response object with status, statusText, headers and body.
+   *
+   * @throws {CoindeskAPIHttpRequestError}
+   */
+  async request(request) {
+    const message = `Transport ${ this.constructor.name } must implement request method.`;
+    logger.error(`[Transport] Transport error: ${ message }`);
+    throw new CoindeskAPIHttpRequestError(message);
+  }
+
+  /**
+   * Returns a plain headers object with lower case names.
+   *
+   * @access   protected
+   * @memberof Transport
+   * @static
+   *
+   * @function
+   * @param  {Object} headers Headers object, Map-like or plain.
+   * @return {Object} Plain headers object.
+   */
+  static normalizeHeaders(headers) {
+    const normalized = {};
+    if (!headers) return normalized;
+    if (typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+      headers.forEach((value, name) => normalized[name.toLowerCase()] = String(value));
+      return normalized;
+    }
+    Object.keys(headers).forEach(name => {
+      const value = headers[name];
+      normalized[name.toLowerCase()] = Array.isArray(value) ? value.join(', ') : String(value);
+    });
+    return normalized;
+  }
+}
+
+/**
+ * Constructs an instance of AxiosTransport class.
+ *
+ * Makes http requests through axios.
+ *
+ * @access public
+ * @class
+ */
+class AxiosTransport extends Transport {
+
+  /**
+   * Makes an http request through axios.
+   *
+   * @access   public
+   * @memberof AxiosTransport
+   *
+   * @function
+   * @param  {Object}  request Http request description.
+   * @return {Promise} Response object with status, statusText, headers and body.
+   *
+   * @throws {CoindeskAPINetworkError}
+   */
+  async request({ method = 'GET', url, headers = {}, timeout = 0, maxRedirects = 5 }) {
+    const axios = require('axios');
+    for (let redirect = 0; ; redirect++) {
+      let response;
+      try {
+        response = await axios.request({
+          method,
+          url,
+          headers,
+          timeout,
+          maxRedirects: 0,
+          responseType: 'text',
+          transformResponse: [data => data],
+          validateStatus: () => true
+        });
+      } catch (err) {
+        throw getNetworkError(err, url, timeout);
+      }
+      const location = response.headers.location;
+      if (response.status < 300 || response.status >= 400 || !location || redirect >= maxRedirects) {
+        return {
+          status: response.status,
+          statusText: response.statusText,
+          headers: Transport.normalizeHeaders(response.headers),
+          body: response.data
+        };
+      }
+      url = new URL(location, url).href;
+    }
+  }
+}
+
+/**
+ * Constructs an instance of FetchTransport class.
+ *
+ * Makes http requests through the native fetch function, falling
+ * back to node-fetch when it is not available.
+ *
+ * @access public
+ * @class
+ */
+class FetchTransport extends Transport {
+
+  /**
+   * Makes an http request through fetch.
+   *
+   * @access   public
+   * @memberof FetchTransport
+   *
+   * @function
+   * @param  {Object}  request Http request description.
+   * @return {Promise} Response object with status, statusText, headers and body.
+   *
+   * @throws {CoindeskAPINetworkError}
+   */
+  async request({ method = 'GET', url, headers = {}, timeout = 0, maxRedirects = 5 }) {
+    const fetch = typeof global.fetch === 'function' ? global.fetch : require('node-fetch');
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const timer = controller && timeout > 0 ? setTimeout(() => controller.abort(), timeout) : null;
+    try {
+      for (let redirect = 0; ; redirect++) {
+        const response = await fetch(url, {
+          method,
+          headers,
+          redirect: 'manual',
+          timeout,
+          signal: controller ? controller.signal : undefined
+        });
+        const location = response.headers.get('location');
+        const body = await response.text();
+        if (response.status < 300 || response.status >= 400 || !location || redirect >= maxRedirects) {
+          return {
+            status: response.status,
+            statusText: response.statusText,
+            headers: Transport.normalizeHeaders(response.headers),
+            body
+          };
+        }
+        url = new URL(location, url).href;
+      }
+    } catch (err) {
+      throw getNetworkError(err, url, timeout);
+    } finally {
+      if (timer !== null) clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Constructs an instance of HttpTransport class.
+ *
+ * Makes http requests through the node http and https modules.
+ *
+ * @access public
+ * @class
+ */
+class HttpTransport extends Transport {
+
+  /**
+   * Makes an http request through node http and https modules.
+   *
+   * @access   public
+   * @memberof HttpTransport
+   *
+   * @function
+   * @param  {Object}  request Http request description.
+   * @return {Promise} Response object with status, statusText, headers and body.
+   *
+   * @throws {CoindeskAPINetworkError}
+   */
+  async request({ method = 'GET', url, headers = {}, timeout = 0, maxRedirects = 5 }) {
+    for (let redirect = 0; ; redirect++) {
+      const response = await this._send(method, url, headers, timeout);
+      const location = response.headers.location;
+      if (response.status < 300 || response.status >= 400 || !location || redirect >= maxRedirects) return response;
+      url = new URL(location, url).href;
+    }
+  }
+
+  /**
+   * Sends a single http request without following redirects.
+   *
+   * @access   protected
+   * @memberof HttpTransport
+   *
+   * @function
+   * @param  {String}  method  Http method.
+   * @param  {String}  url     Request url.
+   * @param  {Object}  headers Request headers.
+   * @param  {Number}  timeout Number of miliseconds before throw request timeout error.
+   * @return {Promise} Response object with status, statusText, headers and body.
+   *
+   * @throws {CoindeskAPINetworkError}
+   */
+  _send(method, url, headers, timeout) {
+    return new Promise((resolve, reject) => {
+      const client = url.startsWith('https:') ? https : http;
+      const req = client.request(url, { method, headers }, res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('error', err => reject(getNetworkError(err, url, timeout)));
+        res.on('end', () => resolve({
+          status: res.statusCode,
+          statusText: res.statusMessage,
+          headers: Transport.normalizeHeaders(res.headers),
+          body: Buffer.concat(chunks).toString('utf8')
+        }));
+      });
+      if (timeout > 0) {
+        req.setTimeout(timeout, () => {
+          const message = `Timeout of ${ timeout } ms exceeded for url ${ redactUrl(url) }`;
+          req.destroy(new CoindeskAPITimeoutError(message, { url, timeout }));
+        });
+      }
+      req.on('error', err => reject(getNetworkError(err, url, timeout)));
+      req.end();
+    });
+  }
+}
+
+/**
+ * Constructs an instance of FunctionTransport class.
+ *
+ * Wraps a function receiving the request object and returning
+ * the response object, useful for in-memory transports.
+ *
+ * @access public
+ * @class
+ */
+class FunctionTransport extends Transport {
+
+  /**
+   * Constructs an instance of FunctionTransport class.
+   *
+   * @access     public
+   * @constructs FunctionTransport
+   *
+   * @constructor
+   * @param  {Function} handler Function returning a response object or a promise of it.
+   * @return {FunctionTransport} Class instance.
+   */
+  constructor(handler) {
+    super();
+    this.handler = handler;
+  }
+
+  /**
+   * Makes an http request through the wrapped function.
+   *
+   * @access   public
+   * @memberof FunctionTransport
+   *
+   * @function
+   * @param  {Object}  request Http request description.
+   * @return {Promise} Response object with status, statusText, headers and body.
+   */
+  async request(request) {
+    const response = await this.handler(request);
+    return Object.assign({ statusText: '', body: '' }, response, {
+      headers: Transport.normalizeHeaders(response.headers)
+    });
+  }
+}
+
+const transports = {
+  axios: AxiosTransport,
+  fetch: FetchTransport,
+  http: HttpTransport
+};
+
+module.exports = {
+  Transport,
+  AxiosTransport,
+  FetchTransport,
+  HttpTransport,
+  FunctionTransport,
+  transports
+};
@@ -5,16 +5,29 @@
  */
 
 const fs = require('fs');
+const path = require('path');
 const { getLogger } = require('../logger/service');
+const logService = require('../logger/service');
 const { CoindeskAPIClientError } = require('../errors');
-const { CoindeskAPIHttpRequestError } = require('../errors');
 const { CoindeskAPIHttpResponseError } = require('../errors');
+const { CoindeskAPIValidationError } = require('../errors');
 const schemas = require('./schemas');
+const { Transport, FunctionTransport, transports } = require('./transports');
+const { MemoryCacheBackend, FileCacheBackend, ResponseCache } = require('./cache');
+const { RequestCoalescer } = require('./coalescer');
+const { RateLimiter } = require('./ratelimiter');
+const { CircuitBreaker } = require('./breaker');
+const { RetryPolicy } = require('./retry');
+const { DriftDetector } = require('./drift');
+const { MetricsRegistry } = require('./metrics');
+const { InterceptorPipeline } = require('./interceptors');
 const settings = require('../settings');
 const supportedCurrencies = require('../currencies.json').SUPPORTED_CURRENCIES;
 
 const logger = getLogger(__filename);
 
+const currenciesFilePath = path.join(__dirname, '..', 'currencies.json');
+
 /**
  * Validates data type argument to constructor Coindesk API endpoint.
  *
@@ -25,13 +38,13 @@ const logger = getLogger(__filename);
  * @param  {String} dataType Type of data to fetch from Coindesk API (currentprice or historical).
  * @return {String} Validated dataType parameters.
  *
- * @throws {CoindeskAPIClientError}
+ * @throws {CoindeskAPIValidationError}
  */
 let validateDataType = (dataType) => {
   if (!settings.VALID_DATA_TYPES.includes(dataType)) {
     const message = `Data type must be ${ settings.VALID_DATA_TYPES.join(', ') }.`;
     logger.error(`[CoindeskAPIClient] Data type error: ${ message }`);
-    throw new CoindeskAPIClientError(message);
+    throw new CoindeskAPIValidationError(message, { param: 'dataType', value: dataType, allowed: settings.VALID_DATA_TYPES });
   }
   return dataType;
 };
@@ -47,7 +60,7 @@ let validateDataType = (dataType) => {
  * @param  {Object} params   Optional query parameters for corresponding endpoint.
  * @return {Object} Validated query parameters.
  *
- * @throws {CoindeskAPIClientError}
+ * @throws {CoindeskAPIValidationError}
  */
 let validateParams = (dataType, params) => {
   if (dataType === settings.API_CURRENTPRICE_DATA_TYPE) {
@@ -55,7 +68,7 @@ let validateParams = (dataType, params) => {
       if (!settings.VALID_CURRENTPRICE_PARAMS.includes(param)) {
         const message = `Unvalid param ${ param } for ${ dataType } data type.`;
         logger.error(`[CoindeskAPIClient] Param error: ${ message }`);
-        throw new CoindeskAPIClientError(message);
+        throw new CoindeskAPIValidationError(message, { param, value: params[param], allowed: settings.VALID_CURRENTPRICE_PARAMS });
       }
     }
     if (params.hasOwnProperty(settings.CURRENCY_PARAM)) {
@@ -66,7 +79,7 @@ let validateParams = (dataType, params) => {
       if (!settings.VALID_HISTORICAL_PARAMS.includes(param)) {
         const message = `Unvalid param ${ param } for ${ dataType } data type.`;
         logger.error(`[CoindeskAPIClient] Param error: ${ message }`);
-        throw new CoindeskAPIClientError(message);
+        throw new CoindeskAPIValidationError(message, { param, value: params[param], allowed: settings.VALID_HISTORICAL_PARAMS });
       }
     }
     if (params.hasOwnProperty(settings.INDEX_PARAM)) {
@@ -76,10 +89,10 @@ let validateParams = (dataType, params) => {
       validateCurrency(params[settings.CURRENCY_PARAM]);
     }
     if (params.hasOwnProperty(settings.START_PARAM)) {
-      validateDate(params[settings.START_PARAM]);
+      validateDate(params, settings.START_PARAM);
     }
     if (params.hasOwnProperty(settings.END_PARAM)) {
-      validateDate(params[settings.END_PARAM]);
+      validateDate(params, settings.END_PARAM);
     }
     if (params.hasOwnProperty(settings.FOR_PARAM)) {
       validateFor(params[settings.FOR_PARAM]);
@@ -87,7 +100,7 @@ let validateParams = (dataType, params) => {
   } else {
     const message = `Unable to validate params for data type ${ dataType }.`;
     logger.error(`[CoindeskAPIClient] Data type error: ${ message }`);
-    throw new CoindeskAPIClientError(message);
+    throw new CoindeskAPIValidationError(message, { param: 'dataType', value: dataType, allowed: settings.VALID_DATA_TYPES });
   }
   return params;
 };
@@ -101,13 +114,13 @@ let validateParams = (dataType, params) => {
  * @function
  * @param {String} index Query parameter whose values can be either 'USD' or 'CNY'.
  *
- * @throws {CoindeskAPIClientError}
+ * @throws {CoindeskAPIValidationError}
  */
 let validateIndex = (index) => {
   if (!settings.VALID_INDEX.includes(index)) {
     const message = `'Index' must be ${ settings.VALID_INDEX.join(', ') }.`;
     logger.error(`[CoindeskAPIClient] Index error: ${ message }`);
-    throw new CoindeskAPIClientError(message);
+    throw new CoindeskAPIValidationError(message, { param: settings.INDEX_PARAM, value: index, allowed: settings.VALID_INDEX });
   }
 };
 
@@ -120,14 +133,14 @@ let validateIndex = (index) => {
  * @function
  * @param {String} currency Determine which currency data must be returned in.
  *
- * @throws {CoindeskAPIClientError}
+ * @throws {CoindeskAPIValidationError}
  */
 let validateCurrency = (currency) => {
   const currencies = supportedCurrencies.map(currency => currency.currency);
   if (currency !== null && !currencies.includes(currency)) {
     const message = `Unvalid provided currency ${ currency }.`;
     logger.error(`[CoindeskAPIClient] Currency error: ${ message }`);
-    throw new CoindeskAPIClientError(message);
+    throw new CoindeskAPIValidationError(message, { param: settings.CURRENCY_PARAM, value: currency, allowed: currencies });
   }
 };
 
@@ -141,27 +154,48 @@ let validateCurrency = (currency) => {
  * @param {Object} params Optional query paremters object.
  * @param {String} flag   Determines which date to validate ('start' or 'end').
  *
- * @throws {CoindeskAPIClientError}
+ * @throws {CoindeskAPIValidationError}
  */
 let validateDate = (params, flag) => {
-  const date = params[flag];
+  const date = String(params[flag]);
   const match = date.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
-  if (match) {
+  if (match && !isCalendarDate(match[1], match[2], match[3])) {
+    const message = `${ flag } ${ date } is not a valid calendar date.`;
+    logger.error(`[CoindeskAPIClient] Date error: ${ message }`);
+    throw new CoindeskAPIValidationError(message, { param: flag, value: date });
+  } else if (match) {
     try {
-      const parsedDate = new Date(match[1], match[2] - 1, match[3]).toISOString();
+      const parsedDate = new Date(Date.UTC(match[1], match[2] - 1, match[3])).toISOString();
       params[flag] = parsedDate.slice(0, parsedDate.indexOf('T'));
     } catch (err) {
       const message = err.message;
       logger.error(`[CoindeskAPIClient] Date error: ${ message }.`);
-      throw new CoindeskAPIClientError(message);
+      throw new CoindeskAPIValidationError(message, { param: flag, value: date, cause: err });
     }
   } else {
     const message = `${ flag } must fullfill the pattern YYYY-MM-DD.`;
     logger.error(`[CoindeskAPIClient] Date error: ${ message }`);
-    throw new CoindeskAPIClientError(message);
+    throw new CoindeskAPIValidationError(message, { param: flag, value: date });
   }
 };
 
+/**
+ * Returns whether year, month and day values make an existing calendar date.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIClient
+ *
+ * @function
+ * @param  {String}  year  Four digits year.
+ * @param  {String}  month Month number (1 to 12).
+ * @param  {String}  day   Day of month number.
+ * @return {Boolean} True if the date exists.
+ */
+let isCalendarDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === Number(year) && date.getUTCMonth() === month - 1 && date.getUTCDate() === Number(day);
+};
+
 /**
  * Validates for optional query parameter.
  *
@@ -171,13 +205,13 @@ let validateDate = (params, flag) => {
  * @function
  * @param {String} forParam Takes the value 'yesterday'. Overwrites 'start' and 'end' params.
  *
- * @throws {CoindeskAPIClientError}
+ * @throws {CoindeskAPIValidationError}
  */
 let validateFor = (forParam) => {
   if (!settings.VALID_FOR.includes(forParam)) {
     const message = `For must be ${ settings.VALID_FOR.join(', ') }.`;
     logger.error(`[CoindeskAPIClient] For error: ${ message }`);
-    throw new CoindeskAPIClientError(message);
+    throw new CoindeskAPIValidationError(message, { param: settings.FOR_PARAM, value: forParam, allowed: settings.VALID_FOR });
   }
 };
 
@@ -191,13 +225,13 @@ let validateFor = (forParam) => {
  * @param  {Number} retries Maximum number of request attempts before failing.
  * @return {Number} Validated retries value.
  *
- * @throws {CoindeskAPIHttpRequestError}
+ * @throws {CoindeskAPIValidationError}
  */
 let validateRetries = (retries) => {
   if (typeof retries !== 'number' || !Number.isInteger(retries) || retries < 0) {
     const message = `Retries type ${ typeof retries } must be positive integer number.`;
     logger.error(`[CoindeskAPIHttpRequest] Retries error: ${ message }`);
-    throw new CoindeskAPIHttpRequestError(message);
+    throw new CoindeskAPIValidationError(message, { param: 'retries', value: retries });
   }
   const maxRetries = parseInt(Math.min(retries, settings.REQUEST_MAX_RETRIES));
   if (maxRetries < retries) {
@@ -216,13 +250,13 @@ let validateRetries = (retries) => {
  * @param  {Number} redirects Maximum number of request redirects allowed.
  * @return {Number} Validated redirects value.
  *
- * @throws {CoindeskAPIHttpRequestError}
+ * @throws {CoindeskAPIValidationError}
  */
 let validateRedirects = (redirects) => {
   if (typeof redirects !== 'number' || !Number.isInteger(redirects) || redirects < 0) {
     const message = `Redirects type ${ typeof redirects } must be positive integer number.`;
     logger.error(`[CoindeskAPIHttpRequest] Redirects error: ${ message }`);
-    throw new CoindeskAPIHttpRequestError(message);
+    throw new CoindeskAPIValidationError(message, { param: 'redirects', value: redirects });
   }
   const maxRedirects = parseInt(Math.min(redirects, settings.REQUEST_MAX_REDIRECTS));
   if (maxRedirects < redirects) {
@@ -241,13 +275,13 @@ let validateRedirects = (redirects) => {
  * @param  {Number} timeout Number of miliseconds before throw request timeout error.
  * @return {Number} Validated timeout value.
  *
- * @throws {CoindeskAPIHttpRequestError}
+ * @throws {CoindeskAPIValidationError}
  */
 let validateTimeout = (timeout) => {
   if (typeof timeout !== 'number' || !Number.isInteger(timeout) || timeout < 0) {
     const message = `Timeout type ${ typeof timeout } must be positive integer number.`;
     logger.error(`[CoindeskAPIHttpRequest] Timeout error: ${ message }`);
-    throw new CoindeskAPIHttpRequestError(message);
+    throw new CoindeskAPIValidationError(message, { param: 'timeout', value: timeout });
   }
   const maxTimeout = parseInt(Math.min(timeout, settings.REQUEST_MAX_TIMEOUT));
   if (maxTimeout < timeout) {
@@ -266,17 +300,537 @@ let validateTimeout = (timeout) => {
  * @param  {Boolean} backoff Enable/disable http request retry backoff.
  * @return {Boolean} Validated backoff value.
  *
- * @throws {CoindeskAPIHttpRequestError}
+ * @throws {CoindeskAPIValidationError}
  */
 let validateBackoff = (backoff) => {
   if (typeof backoff !== 'boolean') {
     const message = `Backoff type ${ typeof backoff } must be 'boolean'.`;
     logger.error(`[CoindeskAPIHttpRequest] Backoff error: ${ message }`);
-    throw new CoindeskAPIHttpRequestError(message);
+    throw new CoindeskAPIValidationError(message, { param: 'backoff', value: backoff, allowed: [true, false] });
   }
   return backoff;
 };
 
+/**
+ * Validates http transport Coindesk API request property value.
+ *
+ * The transport can be the name of a bundled transport (axios, fetch
+ * or http), an object implementing a request method or a function
+ * receiving the request and returning the response.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIHttpRequest
+ *
+ * @function
+ * @param  {(String|Object|Function)} transport Http transport name, instance or function.
+ * @return {Transport} Validated transport instance.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let validateTransport = (transport = settings.DEFAULT_TRANSPORT) => {
+  if (typeof transport === 'string' && transports.hasOwnProperty(transport)) {
+    return new transports[transport]();
+  } else if (transport instanceof Transport) {
+    return transport;
+  } else if (typeof transport === 'function') {
+    return new FunctionTransport(transport);
+  } else if (transport !== null && typeof transport === 'object' && typeof transport.request === 'function') {
+    return transport;
+  }
+  const message = `Transport must be ${ Object.keys(transports).join(', ') }, a function or an object with request method.`;
+  logger.error(`[CoindeskAPIHttpRequest] Transport error: ${ message }`);
+  throw new CoindeskAPIValidationError(message, { param: 'transport', value: transport, allowed: Object.keys(transports) });
+};
+
+/**
+ * Validates record/replay cassette Coindesk API request option value.
+ *
+ * The cassette can be a mode string (off, record or replay) or an
+ * object with mode and path properties. When not provided the mode
+ * and path are read from COINDESK_CASSETTE_MODE and COINDESK_CASSETTE_PATH
+ * environment variables.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIHttpRequest
+ *
+ * @function
+ * @param  {(String|Object)} cassette Cassette mode or object with mode and path.
+ * @return {Object} Validated cassette mode and path or null when disabled.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let validateCassette = (cassette) => {
+  if (cassette === undefined || cassette === null) {
+    cassette = { mode: process.env[settings.CASSETTE_MODE_ENV], path: process.env[settings.CASSETTE_FILEPATH_ENV] };
+  } else if (typeof cassette === 'string') {
+    cassette = { mode: cassette };
+  }
+  const { mode = 'off', path = settings.DEFAULT_CASSETTE_FILEPATH } = cassette;
+  if (!settings.VALID_CASSETTE_MODES.includes(mode || 'off')) {
+    const message = `Cassette mode must be ${ settings.VALID_CASSETTE_MODES.join(', ') }.`;
+    logger.error(`[CoindeskAPIHttpRequest] Cassette error: ${ message }`);
+    throw new CoindeskAPIValidationError(message, { param: 'cassette', value: mode, allowed: settings.VALID_CASSETTE_MODES });
+  }
+  if (!mode || mode === 'off') return null;
+  return { mode, path: path || settings.DEFAULT_CASSETTE_FILEPATH };
+};
+
+/**
+ * Validates response cache Coindesk API request option value.
+ *
+ * The cache can be true (in-memory cache), a backend name (memory or
+ * file), a ResponseCache instance to share between clients or an object
+ * with backend, maxEntries, directory and ttl (a number or an object by
+ * data type) properties.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIHttpRequest
+ *
+ * @function
+ * @param  {(Boolean|String|Object)} cache Response cache setup.
+ * @return {ResponseCache} Validated response cache or null when disabled.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let validateCache = (cache) => {
+  if (cache === undefined || cache === null || cache === false) return null;
+  if (cache instanceof ResponseCache) return cache;
+  if (cache === true) cache = {};
+  if (typeof cache === 'string') cache = { backend: cache };
+  const { backend = settings.CACHE_MEMORY_BACKEND, directory } = cache;
+  const maxEntries = validateCacheMaxEntries(cache.maxEntries);
+  const ttl = validateCacheTtl(cache.ttl);
+  if (backend === settings.CACHE_MEMORY_BACKEND) {
+    return new ResponseCache(new MemoryCacheBackend(maxEntries), ttl);
+  } else if (backend === settings.CACHE_FILE_BACKEND) {
+    return new ResponseCache(new FileCacheBackend(directory), ttl);
+  } else if (backend !== null && typeof backend === 'object' && typeof backend.get === 'function') {
+    return new ResponseCache(backend, ttl);
+  }
+  const message = `Cache backend must be ${ settings.CACHE_MEMORY_BACKEND }, ${ settings.CACHE_FILE_BACKEND } or an object with get, set, delete and clear methods.`;
+  logger.error(`[CoindeskAPIHttpRequest] Cache error: ${ message }`);
+  throw new CoindeskAPIValidationError(message, { param: 'cache', value: backend, allowed: [settings.CACHE_MEMORY_BACKEND, settings.CACHE_FILE_BACKEND] });
+};
+
+/**
+ * Validates cache maxEntries Coindesk API request option value.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIHttpRequest
+ *
+ * @function
+ * @param  {Number} maxEntries Maximum number of cached entries before evicting.
+ * @return {Number} Validated maxEntries value.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let validateCacheMaxEntries = (maxEntries = settings.CACHE_MAX_ENTRIES) => {
+  if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+    const message = `Cache max entries ${ maxEntries } must be positive integer number.`;
+    logger.error(`[CoindeskAPIHttpRequest] Cache error: ${ message }`);
+    throw new CoindeskAPIValidationError(message, { param: 'maxEntries', value: maxEntries });
+  }
+  return maxEntries;
+};
+
+/**
+ * Validates cache ttl Coindesk API request option value.
+ *
+ * The ttl can be a number of miliseconds for every data type or an
+ * object by data type. Null never expires and 0 disables caching.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIHttpRequest
+ *
+ * @function
+ * @param  {(Number|Object)} ttl Time to live in miliseconds or by data type.
+ * @return {Object} Validated time to live by data type.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let validateCacheTtl = (ttl = {}) => {
+  const dataTypes = Object.keys(settings.CACHE_TTL);
+  if (typeof ttl === 'number') ttl = dataTypes.reduce((ttls, dataType) => Object.assign(ttls, { [dataType]: ttl }), {});
+  if (ttl === null || typeof ttl !== 'object' || Array.isArray(ttl)) {
+    const message = `Cache ttl type ${ typeof ttl } must be number or object by data type.`;
+    logger.error(`[CoindeskAPIHttpRequest] Cache error: ${ message }`);
+    throw new CoindeskAPIValidationError(message, { param: 'ttl', value: ttl });
+  }
+  Object.keys(ttl).forEach(dataType => {
+    if (!dataTypes.includes(dataType)) {
+      const message = `Cache ttl data type ${ dataType } must be one of ${ dataTypes.join(', ') }.`;
+      logger.error(`[CoindeskAPIHttpRequest] Cache error: ${ message }`);
+      throw new CoindeskAPIValidationError(message, { param: 'ttl', value: dataType, allowed: dataTypes });
+    }
+    const value = ttl[dataType];
+    if (value !== null && (!Number.isInteger(value) || value < 0)) {
+      const message = `Cache ttl ${ value } for ${ dataType } must be non negative integer number or null.`;
+      logger.error(`[CoindeskAPIHttpRequest] Cache error: ${ message }`);
+      throw new CoindeskAPIValidationError(message, { param: 'ttl', value });
+    }
+  });
+  return ttl;
+};
+
+/**
+ * Validates in-flight request coalescing Coindesk API request option value.
+ *
+ * Coalescing is enabled by default sharing the process default
+ * coalescer. It can be disabled with false or use its own
+ * RequestCoalescer instance. Only requests of clients with the same
+ * transport and headers are coalesced.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIHttpRequest
+ *
+ * @function
+ * @param  {(Boolean|RequestCoalescer)} coalesce Request coalescing setup.
+ * @return {RequestCoalescer} Validated request coalescer or null when disabled.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let validateCoalesce = (coalesce) => {
+  if (coalesce === undefined || coalesce === true) return RequestCoalescer.default;
+  if (coalesce === null || coalesce === false) return null;
+  if (coalesce instanceof RequestCoalescer) return coalesce;
+  const message = 'Coalesce must be boolean or a RequestCoalescer instance.';
+  logger.error(`[CoindeskAPIHttpRequest] Coalesce error: ${ message }`);
+  throw new CoindeskAPIValidationError(message, { param: 'coalesce', value: coalesce });
+};
+
+/**
+ * Validates rate limiting Coindesk API request option value.
+ *
+ * Rate limiting is disabled by default. It can be enabled with true,
+ * sharing the process default rate limiter, use a RateLimiter
+ * instance shared between clients or an object with the settings of
+ * a new one.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIHttpRequest
+ *
+ * @function
+ * @param  {(Boolean|Object|RateLimiter)} rateLimit Rate limiting setup.
+ * @return {RateLimiter} Validated rate limiter or null when disabled.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let validateRateLimit = (rateLimit) => {
+  if (rateLimit === true) return RateLimiter.default;
+  if (rateLimit === undefined || rateLimit === null || rateLimit === false) return null;
+  if (rateLimit instanceof RateLimiter) return rateLimit;
+  if (typeof rateLimit === 'object') return new RateLimiter(rateLimit);
+  const message = 'Rate limit must be boolean, an object with requests, interval, burst and maxWait or a RateLimiter instance.';
+  logger.error(`[CoindeskAPIHttpRequest] Rate limit error: ${ message }`);
+  throw new CoindeskAPIValidationError(message, { param: 'rateLimit', value: rateLimit });
+};
+
+/**
+ * Validates circuit breaker Coindesk API request option value.
+ *
+ * The circuit breaker is enabled by default sharing the process
+ * default circuit breaker of the base url host. It can be disabled
+ * with false, use a CircuitBreaker instance shared between clients or
+ * an object with the settings of a new one.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIHttpRequest
+ *
+ * @function
+ * @param  {(Boolean|Object|CircuitBreaker)} circuitBreaker Circuit breaker setup.
+ * @param  {String}                          baseUrl        Coindesk API base url.
+ * @return {CircuitBreaker} Validated circuit breaker or null when disabled.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let validateCircuitBreaker = (circuitBreaker, baseUrl) => {
+  if (circuitBreaker === undefined || circuitBreaker === true) return CircuitBreaker.forHost(new URL(validateBaseUrl(baseUrl)).host);
+  if (circuitBreaker === null || circuitBreaker === false) return null;
+  if (circuitBreaker instanceof CircuitBreaker) return circuitBreaker;
+  if (typeof circuitBreaker === 'object') return new CircuitBreaker(circuitBreaker);
+  const message = 'Circuit breaker must be boolean, an object with failureThreshold and cooldown or a CircuitBreaker instance.';
+  logger.error(`[CoindeskAPIHttpRequest] Circuit breaker error: ${ message }`);
+  throw new CoindeskAPIValidationError(message, { param: 'circuitBreaker', value: circuitBreaker });
+};
+
+/**
+ * Validates retry policy Coindesk API request option value.
+ *
+ * By default the retry policy follows the retries and backoff request
+ * arguments. An object replaces some of the policy settings, keeping
+ * retries and backoff for those not provided, and a RetryPolicy instance
+ * is used as is.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIHttpRequest
+ *
+ * @function
+ * @param  {(Object|RetryPolicy)} retryPolicy Retry policy setup.
+ * @param  {Number}               retries     Maximum number of request attempts before failing.
+ * @param  {Boolean}              backoff     Enable/disable http request retry backoff.
+ * @return {RetryPolicy} Validated retry policy.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let validateRetryPolicy = (retryPolicy, retries, backoff) => {
+  if (retryPolicy instanceof RetryPolicy) return retryPolicy;
+  if (retryPolicy === undefined || retryPolicy === null) return RetryPolicy.from(retries, backoff);
+  if (typeof retryPolicy === 'object') return RetryPolicy.from(retries, backoff, retryPolicy);
+  const message = 'Retry policy must be an object with the retry settings or a RetryPolicy instance.';
+  logger.error(`[CoindeskAPIHttpRequest] Retry policy error: ${ message }`);
+  throw new CoindeskAPIValidationError(message, { param: 'retryPolicy', value: retryPolicy });
+};
+
+/**
+ * Validates response schema validation Coindesk API request option value.
+ *
+ * Validation is disabled by default. True enables strict validation,
+ * which rejects responses not matching the schema, and lenient
+ * validation returns them along with the list of violations.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIHttpRequest
+ *
+ * @function
+ * @param  {(Boolean|String)} validation Validation mode (strict or lenient) or boolean.
+ * @return {String} Validated validation mode or null when disabled.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let validateValidation = (validation) => {
+  if (validation === undefined || validation === null || validation === false) return null;
+  if (validation === true) return settings.VALIDATION_STRICT_MODE;
+  if (settings.VALID_VALIDATION_MODES.includes(validation)) return validation;
+  const message = `Validation must be boolean or ${ settings.VALID_VALIDATION_MODES.join(', ') }.`;
+  logger.error(`[CoindeskAPIHttpRequest] Validation error: ${ message }`);
+  throw new CoindeskAPIValidationError(message, { param: 'validation', value: validation, allowed: settings.VALID_VALIDATION_MODES });
+};
+
+/**
+ * Validates schema drift detection Coindesk API request option value.
+ *
+ * Drift detection is disabled by default. True shares the process
+ * default drift detector, a DriftDetector instance can be shared between
+ * clients and an object holds the settings of the detector shared by
+ * the clients given the same settings.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIHttpRequest
+ *
+ * @function
+ * @param  {(Boolean|Object|DriftDetector)} drift Drift detection setup.
+ * @return {DriftDetector} Validated drift detector or null when disabled.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let validateDrift = (drift) => {
+  if (drift === undefined || drift === null || drift === false) return null;
+  if (drift === true) return DriftDetector.default;
+  if (drift instanceof DriftDetector) return drift;
+  if (typeof drift === 'object') return DriftDetector.shared(drift);
+  const message = 'Drift must be boolean, an object with reportPath, currencies and maxEntries or a DriftDetector instance.';
+  logger.error(`[CoindeskAPIHttpRequest] Drift error: ${ message }`);
+  throw new CoindeskAPIValidationError(message, { param: 'drift', value: drift });
+};
+
+/**
+ * Validates metrics Coindesk API request option value.
+ *
+ * Metrics are disabled by default. True shares the process default
+ * metrics registry, a MetricsRegistry instance can be shared between
+ * clients and an object holds the settings of a new one.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIHttpRequest
+ *
+ * @function
+ * @param  {(Boolean|Object|MetricsRegistry)} metrics Metrics setup.
+ * @return {MetricsRegistry} Validated metrics registry or null when disabled.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let validateMetrics = (metrics) => {
+  if (metrics === undefined || metrics === null || metrics === false) return null;
+  if (metrics === true) return MetricsRegistry.default;
+  if (metrics instanceof MetricsRegistry) return metrics;
+  if (typeof metrics === 'object') return new MetricsRegistry(metrics);
+  const message = 'Metrics must be boolean, an object with prefix and buckets or a MetricsRegistry instance.';
+  logger.error(`[CoindeskAPIHttpRequest] Metrics error: ${ message }`);
+  throw new CoindeskAPIValidationError(message, { param: 'metrics', value: metrics });
+};
+
+/**
+ * Validates interceptors Coindesk API request option value.
+ *
+ * Every client has its own interceptor pipeline, empty by default,
+ * running after the global one. An array holds its interceptors and
+ * an InterceptorPipeline instance can be shared between clients.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIHttpRequest
+ *
+ * @function
+ * @param  {(Array|InterceptorPipeline)} interceptors Interceptors setup.
+ * @return {InterceptorPipeline} Validated interceptor pipeline.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let validateInterceptors = (interceptors) => {
+  if (interceptors === undefined || interceptors === null) return new InterceptorPipeline();
+  if (interceptors instanceof InterceptorPipeline) return interceptors;
+  return new InterceptorPipeline(interceptors);
+};
+
+/**
+ * Validates logger Coindesk API request option value.
+ *
+ * By default clients log to the global logger. Any object with error,
+ * warn, info and debug methods replaces it for the client calls and
+ * false silences them.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIHttpRequest
+ *
+ * @function
+ * @param  {(Object|Boolean)} clientLogger Client logger or false.
+ * @return {Object} Validated logger or null for the global logger.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let validateLogger = (clientLogger) => {
+  if (clientLogger === undefined || clientLogger === null) return null;
+  if (clientLogger === false || logService.isLogger(clientLogger)) return logService.validateLogger(clientLogger);
+  const message = `Logger must be false or an object with ${ settings.LOGGER_METHODS.join(', ') } methods.`;
+  logger.error(`[CoindeskAPIHttpRequest] Logger error: ${ message }`);
+  throw new CoindeskAPIValidationError(message, { param: 'logger', value: clientLogger });
+};
+
+/**
+ * Validates Coindesk API base url option value.
+ *
+ * When not provided the base url is read from COINDESK_BASE_URL
+ * environment variable and defaults to the Coindesk API setup.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIClient
+ *
+ * @function
+ * @param  {String} baseUrl Coindesk API base url (e.g. http://localhost:8080/v1/bpi).
+ * @return {String} Validated base url without trailing slash.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let validateBaseUrl = (baseUrl) => {
+  if (baseUrl === undefined || baseUrl === null) baseUrl = process.env[settings.BASE_URL_ENV] || null;
+  if (baseUrl === null || baseUrl === '') {
+    const { protocol, host, path } = settings.API_COINDESK_SETUP;
+    baseUrl = `${ protocol }://${ host }${ path }`;
+  }
+  let url = null;
+  try {
+    url = new URL(String(baseUrl));
+  } catch (err) {
+    url = null;
+  }
+  if (url === null || !['http:', 'https:'].includes(url.protocol) || url.search !== '' || url.hash !== '') {
+    const message = `Base url ${ baseUrl } must be an http or https url without query or fragment.`;
+    logger.error(`[CoindeskAPIClient] URL error: ${ message }`);
+    throw new CoindeskAPIValidationError(message, { param: 'baseUrl', value: baseUrl });
+  }
+  return url.href.replace(/\/+$/g, '');
+};
+
+/**
+ * Validates concurrency Coindesk API client property value.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIClient
+ *
+ * @function
+ * @param  {Number} concurrency Maximum number of simultaneous requests.
+ * @return {Number} Validated concurrency value.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let validateConcurrency = (concurrency) => {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    const message = `Concurrency ${ concurrency } must be positive integer number.`;
+    logger.error(`[CoindeskAPIClient] Concurrency error: ${ message }`);
+    throw new CoindeskAPIValidationError(message, { param: 'concurrency', value: concurrency });
+  }
+  return concurrency;
+};
+
+/**
+ * Splits a dates interval into consecutive chunks.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIClient
+ *
+ * @function
+ * @param  {String} start     Interval start date in YYYY-MM-DD format.
+ * @param  {String} end       Interval end date in YYYY-MM-DD format.
+ * @param  {Number} chunkDays Maximum number of days for each chunk.
+ * @return {Array}  Chunks with start and end dates in YYYY-MM-DD format.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let getDateChunks = (start, end, chunkDays) => {
+  if (!Number.isInteger(chunkDays) || chunkDays < 1) {
+    const message = `Chunk days ${ chunkDays } must be positive integer number.`;
+    logger.error(`[CoindeskAPIClient] Chunk error: ${ message }`);
+    throw new CoindeskAPIValidationError(message, { param: 'chunkDays', value: chunkDays });
+  }
+  if (start > end) {
+    const message = `Start date ${ start } must not be after end date ${ end }.`;
+    logger.error(`[CoindeskAPIClient] Date error: ${ message }`);
+    throw new CoindeskAPIValidationError(message, { param: settings.START_PARAM, value: start });
+  }
+  const day = 24 * 60 * 60 * 1000;
+  const endTime = Date.parse(end);
+  const chunks = [];
+  for (let time = Date.parse(start); time <= endTime; time += chunkDays * day) {
+    const chunkEnd = Math.min(time + (chunkDays - 1) * day, endTime);
+    chunks.push({
+      start: new Date(time).toISOString().slice(0, 10),
+      end: new Date(chunkEnd).toISOString().slice(0, 10)
+    });
+  }
+  return chunks;
+};
+
+/**
+ * Runs asynchronous tasks with bounded concurrency.
+ *
+ * Every task is settled and results are returned in the tasks order
+ * with the same shape as Promise.allSettled.
+ *
+ * @access private
+ * @member {Function} CoindeskAPIClient
+ *
+ * @function
+ * @param  {Array}   tasks       Functions returning a promise.
+ * @param  {Number}  concurrency Maximum number of tasks running at the same time.
+ * @return {Promise} Settled results with status and value or reason.
+ */
+let runConcurrently = async (tasks, concurrency) => {
+  const results = new Array(tasks.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await tasks[index]() };
+      } catch (err) {
+        results[index] = { status: 'rejected', reason: err };
+      }
+    }
+  };
+  const workers = Math.max(1, Math.min(concurrency, tasks.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+};
+
 /**
  * Validates Coindesk API endpoint.
  *
@@ -286,14 +840,14 @@ let validateBackoff = (backoff) => {
  * @function
  * @param {String} url Coindesk API endpoint.
  *
- * @throws {CoindeskAPIClientError}
+ * @throws {CoindeskAPIValidationError}
  */
 let validateUrl = (url) => {
   const match = url.match(/(?:([^:\/?#]+):)?(?:\/\/([^\/?#]*))?([^?#]*)(?:\?([^#]*))?(?:#(.*))?/);
   if (!match) {
     const message = `${ url } is not a valid pattern for an url.`;
     logger.error(`[CoindeskAPIClient] URL error: ${ message }`);
-    throw new CoindeskAPIClientError(message);
+    throw new CoindeskAPIValidationError(message, { param: 'url', value: url });
   }
 };
 
@@ -372,59 +926,76 @@ let writeFile = (path, data) => {
 let updateCurrenciesSettings = async (currencies) => {
   let file;
   try {
-    file = await readFile('../currencies.json');
+    file = await readFile(currenciesFilePath);
   } catch (err) {
     const message = `Unable to read settings file - ${ err.message }.`;
     logger.error(`[CoindeskAPIClient] File error: ${ message }`);
-    throw new CoindeskAPIClientError(message);
+    throw new CoindeskAPIClientError(message, { cause: err });
   }
   const currenciesObj = JSON.parse(file);
   currenciesObj.SUPPORTED_CURRENCIES = currencies;
   const currenciesJSON = JSON.stringify(currenciesObj);
   try {
-    await writeFile('../currencies.json', currenciesJSON);
+    await writeFile(currenciesFilePath, currenciesJSON);
   } catch (err) {
     const message = `Unable to write settings file - ${ err.message }.`;
     logger.error(`[CoindeskAPIClient] File error: ${ message }`);
-    throw new CoindeskAPIClientError(message);
+    throw new CoindeskAPIClientError(message, { cause: err });
   }
 };
 
 /**
  * Returns corresponding schema to validate Coindesk API response data.
  *
+ * Currentprice schemas expect the rates of the requested currency, or
+ * USD, GBP and EUR rates when no currency is requested.
+ *
  * @access private
  * @member {Function} CoindeskAPIHttpResponse
  *
  * @function
- * @param  {String} dataType Type of data to fetch from Coindesk API (currentprice or historical).
+ * @param  {String} dataType Type of data to fetch from Coindesk API (currentprice, historical or supported-currencies).
  * @param  {String} currency Currency in which data has been returned.
  * @return {Object} Response schema to validate returned data.
  *
- * @throws {CoindeskAPIHttpResponse}
+ * @throws {CoindeskAPIHttpResponseError}
  */
 let getResponseSchema = (dataType, currency = null) => {
-  switch (dataType) {
-    case settings.API_CURRENTPRICE_DATA_TYPE:
-      if (currency === null) return schemas.currentpriceSchema;
-      return schemas.currentpriceCurrencySchema;
-    case settings.API_HISTORICAL_DATA_TYPE:
-      return schemas.historicalSchema;
-    default:
-      message = `Schema not found for data type ${ dataType } and currency ${ currency }.`;
-      logger.error(`[CoindeskAPIHttpResponse] Schema error: ${ message }`);
-      throw new CoindeskAPIHttpResponseError(message);
+  const schema = schemas.getSchema(dataType, currency);
+  if (schema === null) {
+    const message = `Schema not found for data type ${ dataType } and currency ${ currency }.`;
+    logger.error(`[CoindeskAPIHttpResponse] Schema error: ${ message }`);
+    throw new CoindeskAPIHttpResponseError(message);
   }
+  return schema;
 };
 
 module.exports = {
   validateDataType,
   validateParams,
+  validateCurrency,
+  isCalendarDate,
   validateRetries,
   validateRedirects,
   validateTimeout,
   validateBackoff,
+  validateTransport,
+  validateCassette,
+  validateCache,
+  validateCoalesce,
+  validateRateLimit,
+  validateCircuitBreaker,
+  validateRetryPolicy,
+  validateValidation,
+  validateDrift,
+  validateMetrics,
+  validateInterceptors,
+  validateLogger,
+  validateBaseUrl,
+  validateConcurrency,
   validateUrl,
+  getDateChunks,
+  runConcurrently,
   validateSupportedCurrencies,
   getResponseSchema
 };
@@ -1,14 +1,44 @@
 /**
  * Class-based errors for Coindesk API client.
  *
+ * Every error has a stable code string, the name of its class, an
+ * optional cause (the original error when wrapping one), whether the
+ * failed call may succeed when retried later and a json representation
+ * for logging. Callers branch on the error class or code:
+ *
+ *   BaseError
+ *   ├── CoindeskAPIClientError                    any client call failure
+ *   │   ├── CoindeskAPIValidationError            invalid argument (param, value and allowed values)
+ *   │   ├── CoindeskAPIHttpRequestError
+ *   │   │   └── CoindeskAPINetworkError           no response (connection refused or reset, dns...)
+ *   │   │       └── CoindeskAPITimeoutError       request timeout exceeded
+ *   │   ├── CoindeskAPIHttpResponseError
+ *   │   │   ├── CoindeskAPIHttpStatusError        unexpected response (status, url, headers, body...)
+ *   │   │   │   ├── CoindeskAPIRedirectError      3xx
+ *   │   │   │   ├── CoindeskAPIClientStatusError  4xx
+ *   │   │   │   │   ├── CoindeskAPINotFoundError  404
+ *   │   │   │   │   └── CoindeskAPITooManyRequestsError 429
+ *   │   │   │   ├── CoindeskAPIServerStatusError  5xx
+ *   │   │   │   │   └── CoindeskAPIServiceUnavailableError 503
+ *   │   │   │   └── CoindeskAPIContentTypeError   2xx without json body
+ *   │   │   └── CoindeskAPISchemaError            response data not matching schema (Joi details)
+ *   │   ├── CoindeskAPIRateLimitError             client rate limit wait exceeded
+ *   │   ├── CoindeskAPICircuitOpenError           circuit breaker open
+ *   │   ├── CoindeskAPIInterceptorError           interceptor hook failed (interceptor and hook)
+ *   │   └── CoindeskAPICassetteError              cassette not read, written or matched
+ *   ├── CoindeskAPIDriftError                     schema drift report not written
+ *   └── Model, Analytics, Alert, Export, Mock and LogService errors
+ *
  * @file Defines custom errors for application classes.
  */
 
+const settings = require('./settings');
+
 /**
  * Constructs an instance of BaseError class.
  *
  * Provides the ability to create a new BaseError instance
- * with custom message and code.
+ * with custom message, code, cause and details.
  *
  * @access public
  * @class
@@ -18,52 +48,385 @@ class BaseError extends Error {
   /**
    * Constructs an instance of BaseError class.
    *
+   * Options other than code and cause are set as error properties.
+   *
    * @access     public
    * @constructs BaseError
    *
    * @constructor
-   * @param  {Number}    message Custom error message to provide information.
-   * @param  {String}    code    Custom error number code.
+   * @param  {String}          message         Custom error message to provide information.
+   * @param  {(Object|String)} options         Error options or custom error code.
+   * @param  {String}          options.code    Custom error code (class code by default).
+   * @param  {Error}           options.cause   Original error.
    * @return {BaseError} Class instance.
    */
-  constructor(message, code) {
-    if (code !== null) {
-      message = `${ message } - Error code ${ code }`;
-    }
-
+  constructor(message, options = {}) {
+    if (typeof options === 'string' || options === null) options = { code: options };
+    const { code = null, cause, ...details } = options;
     super(message);
-    this.code = code;
-    this.message = message;
+    this.name = new.target.name;
+    this.code = code !== null ? code : new.target.code;
+    if (cause !== undefined) this.cause = cause;
+    Object.assign(this, details);
+  }
+
+  /**
+   * Returns the class error code.
+   *
+   * @access   public
+   * @memberof BaseError
+   * @static
+   *
+   * @property {Function}
+   * @return   {String} Stable error code.
+   */
+  static get code() {
+    return 'ERR_COINDESK';
+  }
+
+  /**
+   * Returns whether the failed call may succeed when retried later.
+   *
+   * @access   public
+   * @memberof BaseError
+   *
+   * @property {Function}
+   * @return   {Boolean} Whether the error is retryable.
+   */
+  get isRetryable() {
+    return false;
+  }
+
+  /**
+   * Returns the error json representation with name, code, message,
+   * isRetryable, details and cause.
+   *
+   * @access   public
+   * @memberof BaseError
+   *
+   * @function
+   * @return {Object} Error json representation.
+   */
+  toJSON() {
+    const json = { name: this.name, code: this.code, message: this.message, isRetryable: this.isRetryable };
+    Object.keys(this).forEach(key => {
+      if (!['name', 'code', 'message', 'cause'].includes(key)) json[key] = this[key];
+    });
+    if (this.cause instanceof BaseError) {
+      json.cause = this.cause.toJSON();
+    } else if (this.cause !== undefined && this.cause !== null) {
+      const { name, code, message } = this.cause;
+      json.cause = { name, code, message };
+    }
+    return json;
   }
 }
 
 class CoindeskAPIClientError extends BaseError {
-  constructor(message, code = null) {
-    super(message, code);
+  static get code() {
+    return 'ERR_COINDESK_CLIENT';
+  }
+}
+
+/**
+ * Constructs an instance of CoindeskAPIValidationError class.
+ *
+ * Raised for invalid arguments. Provides the offending param name,
+ * its value and the allowed values when they are enumerable.
+ *
+ * @access public
+ * @class
+ */
+class CoindeskAPIValidationError extends CoindeskAPIClientError {
+
+  /**
+   * Constructs an instance of CoindeskAPIValidationError class.
+   *
+   * @access     public
+   * @constructs CoindeskAPIValidationError
+   *
+   * @constructor
+   * @param  {String} message         Custom error message to provide information.
+   * @param  {Object} options         Error options.
+   * @param  {String} options.param   Invalid param name.
+   * @param  {*}      options.value   Invalid param value.
+   * @param  {Array}  options.allowed Allowed param values or null.
+   * @return {CoindeskAPIValidationError} Class instance.
+   */
+  constructor(message, { param = null, value, allowed = null, ...options } = {}) {
+    super(message, Object.assign({ param, value, allowed }, options));
+  }
+
+  static get code() {
+    return 'ERR_COINDESK_VALIDATION';
+  }
+}
+
+class CoindeskAPIHttpRequestError extends CoindeskAPIClientError {
+  static get code() {
+    return 'ERR_COINDESK_HTTP_REQUEST';
+  }
+}
+
+/**
+ * Constructs an instance of CoindeskAPINetworkError class.
+ *
+ * Raised when Coindesk API cannot be reached. Provides the request
+ * url and the number of attempts made when retries are exhausted.
+ *
+ * @access public
+ * @class
+ */
+class CoindeskAPINetworkError extends CoindeskAPIHttpRequestError {
+  static get code() {
+    return 'ERR_COINDESK_NETWORK';
+  }
+
+  get isRetryable() {
+    return true;
+  }
+}
+
+class CoindeskAPITimeoutError extends CoindeskAPINetworkError {
+  static get code() {
+    return 'ERR_COINDESK_TIMEOUT';
+  }
+}
+
+class CoindeskAPIHttpResponseError extends CoindeskAPIClientError {
+  static get code() {
+    return 'ERR_COINDESK_HTTP_RESPONSE';
+  }
+}
+
+/**
+ * Constructs an instance of CoindeskAPIHttpStatusError class.
+ *
+ * Raised for Coindesk API responses which are not successful json
+ * responses. Provides the response status code and text, url, headers,
+ * body truncated to a few hundred characters and attempt number.
+ * Retryable for the status codes retried by default.
+ *
+ * @access public
+ * @class
+ */
+class CoindeskAPIHttpStatusError extends CoindeskAPIHttpResponseError {
+
+  /**
+   * Constructs an instance of CoindeskAPIHttpStatusError class.
+   *
+   * @access     public
+   * @constructs CoindeskAPIHttpStatusError
+   *
+   * @constructor
+   * @param  {String} message  Custom error message to provide information.
+   * @param  {Object} response Response with status, statusText, url, headers, body and attempt.
+   * @param  {Object} options  Error options.
+   * @return {CoindeskAPIHttpStatusError} Class instance.
+   */
+  constructor(message, response = {}, options = {}) {
+    const body = response.body === undefined || response.body === null ? '' : String(response.body);
+    const maxLength = settings.ERROR_BODY_MAX_LENGTH;
+    super(message, Object.assign({
+      status: response.status,
+      statusText: response.statusText,
+      url: response.url,
+      headers: Object.assign({}, response.headers),
+      body: body.length > maxLength ? `${ body.slice(0, maxLength) }...` : body,
+      attempt: response.attempt
+    }, typeof options === 'string' ? { code: options } : options));
+  }
+
+  static get code() {
+    return 'ERR_COINDESK_HTTP_STATUS';
+  }
+
+  get isRetryable() {
+    return settings.RETRY_STATUSES.includes(this.status);
+  }
+}
+
+class CoindeskAPIRedirectError extends CoindeskAPIHttpStatusError {
+  static get code() {
+    return 'ERR_COINDESK_REDIRECT';
+  }
+}
+
+class CoindeskAPIClientStatusError extends CoindeskAPIHttpStatusError {
+  static get code() {
+    return 'ERR_COINDESK_HTTP_CLIENT';
+  }
+}
+
+class CoindeskAPINotFoundError extends CoindeskAPIClientStatusError {
+  static get code() {
+    return 'ERR_COINDESK_NOT_FOUND';
+  }
+}
+
+class CoindeskAPITooManyRequestsError extends CoindeskAPIClientStatusError {
+  static get code() {
+    return 'ERR_COINDESK_TOO_MANY_REQUESTS';
+  }
+}
+
+class CoindeskAPIServerStatusError extends CoindeskAPIHttpStatusError {
+  static get code() {
+    return 'ERR_COINDESK_HTTP_SERVER';
+  }
+}
+
+class CoindeskAPIServiceUnavailableError extends CoindeskAPIServerStatusError {
+  static get code() {
+    return 'ERR_COINDESK_SERVICE_UNAVAILABLE';
+  }
+}
+
+class CoindeskAPIContentTypeError extends CoindeskAPIHttpStatusError {
+  static get code() {
+    return 'ERR_COINDESK_CONTENT_TYPE';
+  }
+
+  get isRetryable() {
+    return true;
+  }
+}
+
+/**
+ * Constructs an instance of CoindeskAPISchemaError class.
+ *
+ * Raised for response data not matching the expected schema. Provides
+ * the data type, currency and the Joi validation error details.
+ *
+ * @access public
+ * @class
+ */
+class CoindeskAPISchemaError extends CoindeskAPIHttpResponseError {
+
+  /**
+   * Constructs an instance of CoindeskAPISchemaError class.
+   *
+   * @access     public
+   * @constructs CoindeskAPISchemaError
+   *
+   * @constructor
+   * @param  {String} message          Custom error message to provide information.
+   * @param  {Object} options          Error options.
+   * @param  {String} options.dataType Type of data validated (currentprice or historical).
+   * @param  {String} options.currency Currency of the data validated or null.
+   * @param  {Array}  options.details  Joi validation error details with message, path and type.
+   * @return {CoindeskAPISchemaError} Class instance.
+   */
+  constructor(message, { dataType = null, currency = null, details = [], ...options } = {}) {
+    details = details.map(({ message, path, type }) => ({ message, path, type }));
+    super(message, Object.assign({ dataType, currency, details }, options));
+  }
+
+  static get code() {
+    return 'ERR_COINDESK_SCHEMA';
+  }
+}
+
+class CoindeskAPIRateLimitError extends CoindeskAPIClientError {
+  static get code() {
+    return 'ERR_COINDESK_RATE_LIMIT';
+  }
+
+  get isRetryable() {
+    return true;
+  }
+}
+
+class CoindeskAPICircuitOpenError extends CoindeskAPIClientError {
+  static get code() {
+    return 'ERR_COINDESK_CIRCUIT_OPEN';
+  }
+
+  get isRetryable() {
+    return true;
+  }
+}
+
+class CoindeskAPIDriftError extends BaseError {
+  static get code() {
+    return 'ERR_COINDESK_DRIFT';
+  }
+}
+
+class CoindeskAPIInterceptorError extends CoindeskAPIClientError {
+  static get code() {
+    return 'ERR_COINDESK_INTERCEPTOR';
+  }
+}
+
+class CoindeskAPIModelError extends BaseError {
+  static get code() {
+    return 'ERR_COINDESK_MODEL';
+  }
+}
+
+class CoindeskAPICassetteError extends CoindeskAPIClientError {
+  static get code() {
+    return 'ERR_COINDESK_CASSETTE';
+  }
+}
+
+class CoindeskAPIAnalyticsError extends BaseError {
+  static get code() {
+    return 'ERR_COINDESK_ANALYTICS';
+  }
+}
+
+class CoindeskAPIAlertError extends BaseError {
+  static get code() {
+    return 'ERR_COINDESK_ALERT';
   }
 }
 
-class CoindeskAPIHttpRequestError extends BaseError {
-  constructor(message, code = null) {
-    super(message, code);
+class CoindeskAPIExportError extends BaseError {
+  static get code() {
+    return 'ERR_COINDESK_EXPORT';
   }
 }
 
-class CoindeskAPIHttpResponseError extends BaseError {
-  constructor(message, code = null) {
-    super(message, code);
+class CoindeskAPIMockError extends BaseError {
+  static get code() {
+    return 'ERR_COINDESK_MOCK';
   }
 }
 
 class LogServiceError extends BaseError {
-  constructor(message, code = null) {
-    super(message, code);
+  static get code() {
+    return 'ERR_LOG_SERVICE';
   }
 }
 
 module.exports = {
+  BaseError,
   CoindeskAPIClientError,
+  CoindeskAPIValidationError,
   CoindeskAPIHttpRequestError,
+  CoindeskAPINetworkError,
+  CoindeskAPITimeoutError,
   CoindeskAPIHttpResponseError,
+  CoindeskAPIHttpStatusError,
+  CoindeskAPIRedirectError,
+  CoindeskAPIClientStatusError,
+  CoindeskAPINotFoundError,
+  CoindeskAPITooManyRequestsError,
+  CoindeskAPIServerStatusError,
+  CoindeskAPIServiceUnavailableError,
+  CoindeskAPIContentTypeError,
+  CoindeskAPISchemaError,
+  CoindeskAPIRateLimitError,
+  CoindeskAPICircuitOpenError,
+  CoindeskAPIDriftError,
+  CoindeskAPIInterceptorError,
+  CoindeskAPIModelError,
+  CoindeskAPICassetteError,
+  CoindeskAPIAnalyticsError,
+  CoindeskAPIAlertError,
+  CoindeskAPIExportError,
+  CoindeskAPIMockError,
   LogServiceError
 };
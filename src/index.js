@@ -11,8 +11,46 @@
  */
 
 const { CoindeskAPIClient, CoindeskAPIResponse } = require('./coindesk/client');
+const { Rate, CurrentPrice, HistoricalSeries } = require('./coindesk/models');
+const { PriceTicker } = require('./coindesk/ticker');
+const { RequestCoalescer } = require('./coindesk/coalescer');
+const { RateLimiter } = require('./coindesk/ratelimiter');
+const { CircuitBreaker } = require('./coindesk/breaker');
+const { RetryPolicy } = require('./coindesk/retry');
+const { DriftDetector } = require('./coindesk/drift');
+const { MetricsRegistry } = require('./coindesk/metrics');
+const { InterceptorPipeline } = require('./coindesk/interceptors');
+const analytics = require('./coindesk/analytics');
+const exporters = require('./coindesk/exporters');
+const errors = require('./errors');
+const { setLogger, useWinston, createWinstonLogger, silentLogger, withCorrelationId, setRedactedParams } = require('./logger/service');
+const { AlertEngine } = require('./alerts/engine');
+const { CallbackSink, LogSink, FileSink } = require('./alerts/sinks');
+const { CoindeskAPIServer } = require('./server');
+const { MockCoindeskServer } = require('./mock');
 
 module.exports = {
     CoindeskAPIClient,
-    CoindeskAPIResponse
+    CoindeskAPIResponse,
+    Rate,
+    CurrentPrice,
+    HistoricalSeries,
+    PriceTicker,
+    RequestCoalescer,
+    RateLimiter,
+    CircuitBreaker,
+    RetryPolicy,
+    DriftDetector,
+    MetricsRegistry,
+    InterceptorPipeline,
+    AlertEngine,
+    CallbackSink,
+    LogSink,
+    FileSink,
+    CoindeskAPIServer,
+    MockCoindeskServer,
+    analytics,
+    exporters,
+    errors,
+    logging: { setLogger, useWinston, createWinstonLogger, silentLogger, withCorrelationId, setRedactedParams }
 };
@@ -9,23 +9,39 @@ const { LogServiceError } = require('../errors');
 const settings = require('../settings');
 
 const logSchema = Joi.object().keys({
-  LOG_LEVEL: Joi.string().allow(...settings.VALID_LOG_LEVELS).default(settings.DEFAULT_LOG_LEVEL),
+  LOG_LEVEL: Joi.string().valid(...settings.VALID_LOG_LEVELS).default(settings.DEFAULT_LOG_LEVEL),
   LOG_SILENT: Joi.boolean().default(settings.DEFAULT_LOG_SILENT),
-  LOG_FILEPATH: Joi.string().regex(/^(.+)\/([^/]+)$/).default(settings.DEFAULT_LOG_FILEPATH)
+  LOG_FILEPATH: Joi.string().regex(/^(.+)\/([^/]+)$/).default(null),
+  LOG_FORMAT: Joi.string().valid(...settings.VALID_LOG_FORMATS).default(settings.DEFAULT_LOG_FORMAT)
 }).unknown(true);
 
-const { error, value } = logSchema.validate(process.env);
-if (error) {
-  const message = `Log configuration validation error: ${ error.message }`;
-  throw new LogServiceError(message);
-}
-
-const config = {
-  log: {
+/**
+ * Returns the built-in winston logger configuration from environment variables.
+ *
+ * Environment variables (LOG_LEVEL, LOG_SILENT, LOG_FILEPATH and
+ * LOG_FORMAT) are only read when the winston logger is created and
+ * provide the defaults of its programmatic settings.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {Object} env Environment variables.
+ * @return {Object} Log level, silent, file path (null for no file) and format.
+ *
+ * @throws {LogServiceError}
+ */
+let getConfig = (env = process.env) => {
+  const { error, value } = logSchema.validate(env);
+  if (error) {
+    const message = `Log configuration validation error: ${ error.message }`;
+    throw new LogServiceError(message, { cause: error });
+  }
+  return {
     level: value.LOG_LEVEL,
     silent: value.LOG_SILENT,
-    filePath: value.LOG_FILEPATH
-  }
+    filePath: value.LOG_FILEPATH,
+    format: value.LOG_FORMAT
+  };
 };
 
-module.exports = { config };
+module.exports = { getConfig };
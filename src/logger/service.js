@@ -1,46 +1,365 @@
 /**
  * Coindesk API client logger service.
  *
+ * Library modules log through a module logger delegating to the logger
+ * in use when called:
+ *
+ *   - the logger of the client making the call, if provided.
+ *   - the global logger, silent by default.
+ *
+ * Any object with error, warn, info and debug methods can be used as
+ * logger. They are called with the message and an object with the
+ * record fields: the module label, the request context fields (e.g.
+ * correlationId, dataType and url) and the log call fields (e.g.
+ * attempt, duration, status and errorCode). The built-in winston
+ * logger is opt-in, with text or structured json records.
+ *
  * @file Defines logger function for each file when called.
  */
 
 const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const { createLogger, format, transports } = require('winston');
-const { config: logConfig } = require('./config');
+const { getConfig } = require('./config');
+const { CoindeskAPIValidationError } = require('../errors');
+const settings = require('../settings');
 
-const { combine, colorize, label, printf, timestamp } = format;
+const { combine, colorize, json, printf, timestamp } = format;
+
+const silentLogger = Object.freeze(settings.LOGGER_METHODS.reduce((logger, method) => {
+  logger[method] = () => {};
+  return logger;
+}, {}));
 
 /**
- * Creates and returns a logger function for the specified file.
+ * Returns a context storage for Node versions without AsyncLocalStorage.
  *
- * Should be called at the begging of the file we want to create
- * a logger to, providing the filename.
+ * The context only lasts while the task runs synchronously, so records
+ * logged after its first await go to the global logger without context
+ * fields.
+ *
+ * @access private
+ *
+ * @function
+ * @return {Object} Storage with getStore and run methods.
+ */
+let createSyncStorage = () => {
+  let current;
+  return {
+    getStore: () => current,
+    run: (store, task) => {
+      const previous = current;
+      current = store;
+      try {
+        return task();
+      } finally {
+        current = previous;
+      }
+    }
+  };
+};
+
+const storage = typeof AsyncLocalStorage === 'function' ? new AsyncLocalStorage() : createSyncStorage();
+
+let globalLogger = silentLogger;
+let redactedParams = settings.LOG_REDACTED_PARAMS.slice();
+
+/**
+ * Returns whether an object can be used as logger.
  *
  * @access public
  *
  * @function
- * @param  {String}   filename File to log.
- * @return {Function} Logger function.
+ * @param  {Object}  logger Logger candidate.
+ * @return {Boolean} Whether it has error, warn, info and debug methods.
  */
-let getLogger = (filename) => {
-  const logger = createLogger({
-    level: logConfig.level,
-    format: combine(
-      colorize(),
-      label({ label: path.basename(filename) }),
-      timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-      printf(info => {
-        return `${ info.timestamp } ${ info.level } [${ info.label }]: ${ info.message }`;
-      })
-    ),
-    transports: [
-      new transports.Console(),
-      new transports.File({ filename: `${ logConfig.filePath }`})
-    ],
-    silent: logConfig.silent
+let isLogger = (logger) => {
+  return logger !== null && typeof logger === 'object' && settings.LOGGER_METHODS.every(method => typeof logger[method] === 'function');
+};
+
+/**
+ * Validates a logger option value.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {(Object|Boolean)} logger Logger, false or null for the silent logger.
+ * @return {Object} Validated logger.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let validateLogger = (logger) => {
+  if (logger === null || logger === false) return silentLogger;
+  if (isLogger(logger)) return logger;
+  const message = `Logger must be an object with ${ settings.LOGGER_METHODS.join(', ') } methods.`;
+  throw new CoindeskAPIValidationError(message, { param: 'logger', value: logger });
+};
+
+/**
+ * Replaces the global logger.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {(Object|Boolean)} logger Logger, false or null for the silent logger.
+ * @return {Object} Previous global logger.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let setLogger = (logger) => {
+  const previous = globalLogger;
+  globalLogger = validateLogger(logger);
+  return previous;
+};
+
+/**
+ * Returns the logger in use: the calling client logger or the global one.
+ *
+ * @access public
+ *
+ * @function
+ * @return {Object} Logger.
+ */
+let currentLogger = () => {
+  const store = storage.getStore();
+  return store !== undefined && store.logger !== null ? store.logger : globalLogger;
+};
+
+/**
+ * Returns the request context fields of the running task.
+ *
+ * @access public
+ *
+ * @function
+ * @return {Object} Context fields (e.g. correlationId, dataType and url).
+ */
+let currentContext = () => {
+  const store = storage.getStore();
+  return store !== undefined ? Object.assign({}, store.fields) : {};
+};
+
+/**
+ * Runs a task with a logger and request context fields.
+ *
+ * Module loggers called while the task runs, asynchronous calls
+ * included, delegate to the context logger and add the context fields
+ * to every record. Nested contexts keep the outer logger and fields
+ * they do not replace.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {Object}   context        Context fields.
+ * @param  {Object}   context.logger Logger or null to keep the logger in use.
+ * @param  {Function} task           Function to run.
+ * @return {*}        Task result.
+ */
+let runWithContext = ({ logger = null, ...fields }, task) => {
+  const store = storage.getStore() || { logger: null, fields: {} };
+  Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+  return storage.run({
+    logger: logger !== null ? logger : store.logger,
+    fields: Object.assign({}, store.fields, fields)
+  }, task);
+};
+
+/**
+ * Returns a new request correlation id.
+ *
+ * @access public
+ *
+ * @function
+ * @return {String} Random 32 hex characters id.
+ */
+let createCorrelationId = () => {
+  return crypto.randomBytes(16).toString('hex');
+};
+
+/**
+ * Runs a task with the provided correlation id.
+ *
+ * Client calls made while the task runs log this correlation id
+ * instead of generating their own.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {String}   correlationId Request correlation id.
+ * @param  {Function} task          Function to run.
+ * @return {*}        Task result.
+ */
+let withCorrelationId = (correlationId, task) => {
+  return runWithContext({ correlationId }, task);
+};
+
+/**
+ * Replaces the query parameters redacted from logged urls.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {Array} params Query parameter names (case insensitive).
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let setRedactedParams = (params) => {
+  if (!Array.isArray(params) || !params.every(param => typeof param === 'string')) {
+    const message = 'Redacted params must be an array of query parameter names.';
+    throw new CoindeskAPIValidationError(message, { param: 'params', value: params });
+  }
+  redactedParams = params.map(param => param.toLowerCase());
+};
+
+/**
+ * Returns an url with its credentials and redacted query parameter values replaced.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {String} url Url to log.
+ * @return {String} Redacted url.
+ */
+let redactUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return url;
+  }
+  if (parsed.username) parsed.username = settings.LOG_REDACTED_VALUE;
+  if (parsed.password) parsed.password = settings.LOG_REDACTED_VALUE;
+  [...parsed.searchParams.keys()].forEach(key => {
+    if (redactedParams.includes(key.toLowerCase())) parsed.searchParams.set(key, settings.LOG_REDACTED_VALUE);
+  });
+  return parsed.href;
+};
+
+/**
+ * Returns a text with the urls it contains redacted.
+ *
+ * Used for messages not built by the library, e.g. http client error
+ * messages, which may contain the request url.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {String} text Text to log.
+ * @return {String} Text with redacted urls.
+ */
+let redactUrls = (text) => {
+  return String(text).replace(/https?:\/\/[^\s"'<>]+/g, url => redactUrl(url));
+};
+
+/**
+ * Creates a winston logger.
+ *
+ * Settings not provided default to LOG_LEVEL, LOG_SILENT, LOG_FILEPATH
+ * and LOG_FORMAT environment variables. Text format is colorized on the
+ * console.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {Object}  options          Winston logger settings.
+ * @param  {String}  options.level    Minimum level logged.
+ * @param  {Boolean} options.silent   Enable/disable silent mode.
+ * @param  {String}  options.filePath Log file path or null for no file.
+ * @param  {String}  options.format   Log format (text or json).
+ * @param  {Boolean} options.console  Enable/disable console output.
+ * @return {Object}  Winston logger.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let createWinstonLogger = (options = {}) => {
+  const config = Object.assign(getConfig(), { console: true }, options);
+  if (!settings.VALID_LOG_LEVELS.includes(config.level)) {
+    const message = `Log level must be ${ settings.VALID_LOG_LEVELS.join(', ') }.`;
+    throw new CoindeskAPIValidationError(message, { param: 'level', value: config.level, allowed: settings.VALID_LOG_LEVELS });
+  }
+  if (!settings.VALID_LOG_FORMATS.includes(config.format)) {
+    const message = `Log format must be ${ settings.VALID_LOG_FORMATS.join(', ') }.`;
+    throw new CoindeskAPIValidationError(message, { param: 'format', value: config.format, allowed: settings.VALID_LOG_FORMATS });
+  }
+  const formats = config.format === 'json' ? [timestamp(), json()] : [
+    timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    printf(info => {
+      const correlationId = info.correlationId ? ` (${ info.correlationId })` : '';
+      return `${ info.timestamp } ${ info.level } [${ info.label }]${ correlationId }: ${ info.message }`;
+    })
+  ];
+  const loggerTransports = [];
+  if (config.console) {
+    const consoleFormats = config.format === 'json' ? formats : [colorize()].concat(formats);
+    loggerTransports.push(new transports.Console({ format: combine(...consoleFormats) }));
+  }
+  if (config.filePath !== null && config.filePath !== undefined) {
+    loggerTransports.push(new transports.File({ filename: config.filePath, format: combine(...formats) }));
+  }
+  return createLogger({
+    level: config.level,
+    transports: loggerTransports.length > 0 ? loggerTransports : [new transports.Console({ silent: true })],
+    silent: config.silent
   });
+};
 
+/**
+ * Replaces the global logger with a new winston logger.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {Object} options Winston logger settings (level, silent, filePath, format and console).
+ * @return {Object} Winston logger.
+ *
+ * @throws {CoindeskAPIValidationError}
+ */
+let useWinston = (options = {}) => {
+  const logger = createWinstonLogger(options);
+  setLogger(logger);
   return logger;
 };
 
-module.exports = { getLogger };
+/**
+ * Creates and returns a logger for the specified file.
+ *
+ * Should be called at the begging of the file we want to create
+ * a logger to, providing the filename. Logs are labeled with the
+ * file name and delegated to the logger in use when called. Each
+ * method takes the message and optional record fields.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {String} filename File to log.
+ * @return {Object} Module logger with error, warn, info and debug methods.
+ */
+let getLogger = (filename) => {
+  const label = path.basename(filename);
+  return settings.LOGGER_METHODS.reduce((logger, method) => {
+    logger[method] = (message, fields = {}) => {
+      const store = storage.getStore();
+      const context = store !== undefined ? store.fields : {};
+      currentLogger()[method](message, Object.assign({ label }, context, fields));
+    };
+    return logger;
+  }, {});
+};
+
+module.exports = {
+  silentLogger,
+  isLogger,
+  validateLogger,
+  setLogger,
+  currentLogger,
+  currentContext,
+  runWithContext,
+  createCorrelationId,
+  withCorrelationId,
+  setRedactedParams,
+  redactUrl,
+  redactUrls,
+  createWinstonLogger,
+  useWinston,
+  getLogger
+};
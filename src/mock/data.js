@@ -0,0 +1,171 @@
+/**
+ * Mock Coindesk API deterministic data.
+ *
+ * Prices are generated from the date, currency and seed only, so the
+ * same request always returns the same data.
+ *
+ * @file Defines mock Coindesk API response builders.
+ */
+
+const settings = require('../settings');
+const supportedCurrencies = require('../currencies.json').SUPPORTED_CURRENCIES;
+
+const DISCLAIMER = 'This data was produced by the coindesk mock server. Non-USD currency data converted using fixed deterministic rates.';
+const DAY = 86400000;
+
+const rates = { USD: 1, EUR: 0.9, GBP: 0.8, CNY: 7, JPY: 108 };
+const symbols = { USD: '&#36;', EUR: '&euro;', GBP: '&pound;' };
+const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Returns a deterministic pseudo-random number for a key.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Number} seed Data seed.
+ * @param  {String} key  Random value key.
+ * @return {Number} Number between 0 and 1.
+ */
+let random = (seed, key) => {
+  let hash = 2166136261 ^ seed;
+  for (let i = 0; i < key.length; i++) {
+    hash = Math.imul(hash ^ key.charCodeAt(i), 16777619);
+  }
+  hash = Math.imul(hash ^ (hash >>> 15), hash | 1);
+  hash ^= hash + Math.imul(hash ^ (hash >>> 7), hash | 61);
+  return ((hash ^ (hash >>> 14)) >>> 0) / 4294967296;
+};
+
+let round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Returns the fixed exchange rate from USD for a currency.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {String} currency Currency code.
+ * @param  {Number} seed     Data seed.
+ * @return {Number} Currency units per USD.
+ */
+let getRate = (currency, seed = 0) => {
+  return rates.hasOwnProperty(currency) ? rates[currency] : round(0.5 + random(seed, currency) * 50);
+};
+
+/**
+ * Returns the Bitcoin close price for a day.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {String} date     Day in YYYY-MM-DD format.
+ * @param  {Object} options  Optional settings.
+ * @param  {String} options.currency Currency code.
+ * @param  {String} options.index    Price index (USD or CNY).
+ * @param  {Number} options.seed     Data seed.
+ * @return {Number} Close price.
+ */
+let getClose = (date, { currency = settings.DEFAULT_CURRENCY, index = settings.DEFAULT_CURRENCY, seed = 0 } = {}) => {
+  const days = (Date.parse(date) - Date.parse(settings.MOCK_FIRST_DATE)) / DAY;
+  const trend = 100 + 9000 * days / (days + 800);
+  const cycle = 1 + 0.25 * Math.sin(days / 60);
+  const noise = 0.97 + 0.06 * random(seed, `${ index }:${ date }`);
+  return round(trend * cycle * noise * getRate(currency, seed));
+};
+
+let formatDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+let formatDate = (now) => `${ months[now.getUTCMonth()] } ${ now.getUTCDate() }, ${ now.getUTCFullYear() }`;
+
+let formatTime = (now) => {
+  return {
+    updated: `${ formatDate(now) } ${ now.toISOString().slice(11, 19) } UTC`,
+    updatedISO: `${ now.toISOString().slice(0, 19) }+00:00`
+  };
+};
+
+let getDescription = (currency) => {
+  const supported = supportedCurrencies.find(item => item.currency === currency);
+  return supported !== undefined ? supported.country : currency;
+};
+
+/**
+ * Returns a mock currentprice response.
+ *
+ * Prices move every minute between the previous and current day close.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {Date}   now        Response time.
+ * @param  {Array}  currencies Currency codes.
+ * @param  {Number} seed       Data seed.
+ * @return {Object} Coindesk API currentprice response data.
+ */
+let getCurrentPrice = (now, currencies, seed = 0) => {
+  const minute = new Date(Math.floor(now.getTime() / 60000) * 60000);
+  const today = formatDay(minute);
+  const yesterday = formatDay(minute.getTime() - DAY);
+  const progress = (minute.getTime() - Date.parse(today)) / DAY;
+  const bpi = {};
+  currencies.forEach(code => {
+    const close = getClose(yesterday, { currency: code, seed });
+    const value = round(close + (getClose(today, { currency: code, seed }) - close) * progress);
+    bpi[code] = {
+      code,
+      symbol: symbols[code],
+      rate: value.toLocaleString('en-US', { minimumFractionDigits: 4, maximumFractionDigits: 4 }),
+      description: getDescription(code),
+      rate_float: value
+    };
+    if (bpi[code].symbol === undefined) delete bpi[code].symbol;
+  });
+  return {
+    time: Object.assign(formatTime(minute), { updateduk: `${ formatDate(minute) } at ${ minute.toISOString().slice(11, 16) } GMT` }),
+    disclaimer: DISCLAIMER,
+    chartName: 'Bitcoin',
+    bpi
+  };
+};
+
+/**
+ * Returns a mock historical close prices response.
+ *
+ * @access public
+ *
+ * @function
+ * @param  {Date}   now      Response time.
+ * @param  {String} start    First day in YYYY-MM-DD format.
+ * @param  {String} end      Last day in YYYY-MM-DD format.
+ * @param  {Object} options  Optional settings (currency, index and seed).
+ * @return {Object} Coindesk API historical response data.
+ */
+let getHistorical = (now, start, end, options = {}) => {
+  const bpi = {};
+  for (let time = Date.parse(start); time <= Date.parse(end); time += DAY) {
+    bpi[formatDay(time)] = getClose(formatDay(time), options);
+  }
+  return { bpi, disclaimer: DISCLAIMER, time: formatTime(now) };
+};
+
+/**
+ * Returns the mock supported currencies response.
+ *
+ * @access public
+ *
+ * @function
+ * @return {Array} Supported currencies with currency and country.
+ */
+let getSupportedCurrencies = () => {
+  return supportedCurrencies.map(({ currency, country }) => ({ currency, country }));
+};
+
+module.exports = {
+  formatDay,
+  getRate,
+  getClose,
+  getCurrentPrice,
+  getHistorical,
+  getSupportedCurrencies
+};
@@ -0,0 +1,584 @@
+/**
+ * Mock Coindesk API server.
+ *
+ * @file Defines MockCoindeskServer class serving deterministic Coindesk API data with fault injection.
+ */
+
+const http = require('http');
+const { _private } = require('../coindesk/weakmap');
+const { getLogger } = require('../logger/service');
+const { CoindeskAPIMockError } = require('../errors');
+const data = require('./data');
+const settings = require('../settings');
+const supportedCurrencies = require('../currencies.json').SUPPORTED_CURRENCIES;
+
+const logger = getLogger(__filename);
+
+const CONTROL_PATH = '/__mock';
+const REDIRECT_PATH = `${ CONTROL_PATH }/redirect`;
+const DAY = 86400000;
+
+/**
+ * Constructs an instance of MockCoindeskServer class.
+ *
+ * Local stand-in for api.coindesk.com serving currentprice,
+ * currentprice/{CODE}, historical/close and supported-currencies json
+ * resources under the /v1/bpi path with deterministic generated data.
+ * Point clients to it with the baseUrl option:
+ *
+ *   CoindeskAPIClient.start('currentprice', {}, 3, 5, 5000, true, { baseUrl: mock.baseUrl })
+ *
+ * Faults are injected with inject() or over http on the control path:
+ *
+ *   - POST   /__mock/faults   adds the json fault in the body.
+ *   - DELETE /__mock/faults   removes every fault.
+ *   - GET    /__mock/requests returns the received requests.
+ *
+ * @access public
+ * @class
+ */
+class MockCoindeskServer {
+
+  /**
+   * Constructs an instance of MockCoindeskServer class.
+   *
+   * @access     public
+   * @constructs MockCoindeskServer
+   *
+   * @constructor
+   * @param  {Object}   mock      Mock server settings.
+   * @param  {Number}   mock.port Listening port (0 for a random port).
+   * @param  {String}   mock.host Listening host.
+   * @param  {Number}   mock.seed Data seed, the same seed always generates the same prices.
+   * @param  {Function} mock.now  Function returning the current Date (response times and today's date).
+   * @return {MockCoindeskServer} Class instance.
+   *
+   * @throws {CoindeskAPIMockError}
+   */
+  constructor({ port = 0, host = settings.SERVER_HOST, seed = 0, now = () => new Date() } = {}) {
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      const message = `Port ${ port } must be integer number between 0 and 65535.`;
+      logger.error(`[MockCoindeskServer] Port error: ${ message }`);
+      throw new CoindeskAPIMockError(message);
+    }
+    if (!Number.isInteger(seed)) {
+      const message = `Seed ${ seed } must be integer number.`;
+      logger.error(`[MockCoindeskServer] Seed error: ${ message }`);
+      throw new CoindeskAPIMockError(message);
+    }
+    _private(this).port = port;
+    _private(this).host = host;
+    _private(this).seed = seed;
+    _private(this).now = now;
+    _private(this).faults = [];
+    _private(this).requests = [];
+    _private(this).server = null;
+    _private(this).sockets = new Set();
+  }
+
+  /**
+   * Returns instance string representation.
+   *
+   * @access   public
+   * @memberof MockCoindeskServer
+   *
+   * @function
+   * @return {String} MockCoindeskServer class instance string representation.
+   */
+  toString() {
+    return `Coindesk API Mock Server -
+      Class:  ${ this.constructor.name },
+      Url:    ${ this.baseUrl },
+      Seed:   ${ _private(this).seed },
+      Faults: ${ _private(this).faults.length }`;
+  }
+
+  /**
+   * Returns whether the server is listening.
+   *
+   * @access   public
+   * @memberof MockCoindeskServer
+   *
+   * @property {Function}
+   * @return   {Boolean}  True when listening for requests.
+   */
+  get listening() {
+    return _private(this).server !== null && _private(this).server.listening;
+  }
+
+  /**
+   * Returns the server origin.
+   *
+   * @access   public
+   * @memberof MockCoindeskServer
+   *
+   * @property {Function}
+   * @return   {String}   Server origin or null when not listening.
+   */
+  get url() {
+    if (!this.listening) return null;
+    const { address, port } = _private(this).server.address();
+    const host = address.includes(':') ? `[${ address }]` : address;
+    return `http://${ host }:${ port }`;
+  }
+
+  /**
+   * Returns the base url to provide to clients.
+   *
+   * @access   public
+   * @memberof MockCoindeskServer
+   *
+   * @property {Function}
+   * @return   {String}   Coindesk API base url or null when not listening.
+   */
+  get baseUrl() {
+    return this.listening ? `${ this.url }${ settings.API_COINDESK_SETUP.path }` : null;
+  }
+
+  /**
+   * Returns the received requests.
+   *
+   * @access   public
+   * @memberof MockCoindeskServer
+   *
+   * @property {Function}
+   * @return   {Array}    Requests with method, url, time and injected fault type.
+   */
+  get requests() {
+    return _private(this).requests.map(request => Object.assign({}, request));
+  }
+
+  /**
+   * Returns the pending faults.
+   *
+   * @access   public
+   * @memberof MockCoindeskServer
+   *
+   * @property {Function}
+   * @return   {Array}    Copies of the faults in the order they apply.
+   */
+  get faults() {
+    return _private(this).faults.map(fault => Object.assign({}, fault));
+  }
+
+  /**
+   * Adds a fault for the next matching requests.
+   *
+   * Faults apply in the order they were added. Each one can combine a
+   * latency with one of drop, redirect, status or malformed:
+   *
+   *   - path:      String (path prefix after /v1/bpi) or RegExp matching the request url. All by default.
+   *   - times:     Number of requests to apply the fault to. Unlimited by default.
+   *   - latency:   Number of miliseconds to wait before answering.
+   *   - drop:      Destroy the connection without answering.
+   *   - redirect:  Number of redirects before serving the resource.
+   *   - status:    Error status code (e.g. 403, 404, 429 or 500) with optional body and headers.
+   *   - malformed: Serve the resource with a truncated json body.
+   *
+   * @access   public
+   * @memberof MockCoindeskServer
+   *
+   * @function
+   * @param  {Object} fault Fault settings.
+   * @return {Object} Validated fault.
+   *
+   * @throws {CoindeskAPIMockError}
+   */
+  inject(fault) {
+    fault = validateFault(fault);
+    _private(this).faults.push(fault);
+    logger.debug(`[MockCoindeskServer] Fault injected: ${ describeFault(fault) }`);
+    return Object.assign({}, fault);
+  }
+
+  /**
+   * Removes every pending fault.
+   *
+   * @access   public
+   * @memberof MockCoindeskServer
+   *
+   * @function
+   */
+  clearFaults() {
+    _private(this).faults = [];
+  }
+
+  /**
+   * Removes every pending fault and the received requests.
+   *
+   * @access   public
+   * @memberof MockCoindeskServer
+   *
+   * @function
+   */
+  reset() {
+    this.clearFaults();
+    _private(this).requests = [];
+  }
+
+  /**
+   * Starts listening for requests.
+   *
+   * @access   public
+   * @memberof MockCoindeskServer
+   *
+   * @function
+   * @return {Promise} Resolves with the base url when listening.
+   */
+  listen() {
+    if (this.listening) return Promise.resolve(this.baseUrl);
+    const server = http.createServer((req, res) => {
+      this._handle(req, res).catch(err => {
+        logger.error(`[MockCoindeskServer] Request error: ${ err.message }`);
+        if (!res.headersSent) this._send(res, 500, err.message);
+      });
+    });
+    server.on('connection', socket => {
+      _private(this).sockets.add(socket);
+      socket.on('close', () => _private(this).sockets.delete(socket));
+    });
+    _private(this).server = server;
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(_private(this).port, _private(this).host, () => {
+        server.removeListener('error', reject);
+        logger.info(`[MockCoindeskServer] Listening on ${ this.baseUrl }`);
+        resolve(this.baseUrl);
+      });
+    });
+  }
+
+  /**
+   * Stops the server destroying open connections.
+   *
+   * @access   public
+   * @memberof MockCoindeskServer
+   *
+   * @function
+   * @return {Promise} Resolves when the server is closed.
+   */
+  close() {
+    const server = _private(this).server;
+    if (server === null) return Promise.resolve();
+    _private(this).server = null;
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      _private(this).sockets.forEach(socket => socket.destroy());
+    });
+  }
+
+  /**
+   * Handles an http request applying the first matching fault.
+   *
+   * @access   protected
+   * @memberof MockCoindeskServer
+   *
+   * @function
+   * @param  {IncomingMessage} req Http request.
+   * @param  {ServerResponse}  res Http response.
+   * @return {Promise} Resolves when the response is sent.
+   */
+  async _handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname.startsWith(REDIRECT_PATH)) return this._redirect(req, res, url);
+    if (url.pathname.startsWith(CONTROL_PATH)) return this._control(req, res, url);
+
+    const fault = this._takeFault(req.url);
+    _private(this).requests.push({
+      method: req.method,
+      url: req.url,
+      time: new Date().toISOString(),
+      fault: fault !== null ? describeFault(fault) : null
+    });
+    if (fault !== null && fault.latency > 0) await new Promise(resolve => setTimeout(resolve, fault.latency));
+    if (fault !== null && fault.drop) {
+      req.socket.destroy();
+    } else if (fault !== null && fault.redirect > 0) {
+      this._sendRedirect(res, fault.redirect - 1, req.url);
+    } else if (fault !== null && fault.status !== null) {
+      const headers = Object.assign(fault.status === 429 ? { 'Retry-After': '1' } : {}, fault.headers);
+      this._send(res, fault.status, fault.body !== null ? fault.body : http.STATUS_CODES[fault.status], headers);
+    } else {
+      this._serve(req, res, url, fault !== null && fault.malformed);
+    }
+  }
+
+  /**
+   * Serves a Coindesk API resource.
+   *
+   * Unknown resources, currencies and indexes or invalid dates are
+   * answered with 404 and a text message like Coindesk API does.
+   *
+   * @access   protected
+   * @memberof MockCoindeskServer
+   *
+   * @function
+   * @param  {IncomingMessage} req       Http request.
+   * @param  {ServerResponse}  res       Http response.
+   * @param  {URL}             url       Request url.
+   * @param  {Boolean}         malformed Truncate the json body.
+   */
+  _serve(req, res, url, malformed = false) {
+    if (req.method !== 'GET') return this._send(res, 405, http.STATUS_CODES[405], { 'Allow': 'GET' });
+    const prefix = settings.API_COINDESK_SETUP.path;
+    const resource = url.pathname.startsWith(`${ prefix }/`) ? url.pathname.slice(prefix.length + 1) : null;
+    const query = Array.from(url.searchParams).reduce((params, [key, value]) => Object.assign(params, { [key]: value }), {});
+    const seed = _private(this).seed;
+    const now = _private(this).now();
+    let body;
+    if (resource === settings.API_ENDPOINTS[settings.API_CURRENTPRICE_DATA_TYPE]) {
+      body = data.getCurrentPrice(now, ['USD', 'GBP', 'EUR'], seed);
+    } else if (resource !== null && /^currentprice\/[A-Za-z]+\.json$/.test(resource)) {
+      const currency = resource.slice(13, -5).toUpperCase();
+      if (!isSupported(currency)) return this._send(res, 404, 'Sorry, that currency was not found');
+      body = data.getCurrentPrice(now, Array.from(new Set(['USD', currency])), seed);
+    } else if (resource === settings.API_ENDPOINTS[settings.API_HISTORICAL_DATA_TYPE]) {
+      const { index = settings.DEFAULT_CURRENCY, currency = settings.DEFAULT_CURRENCY } = query;
+      if (!settings.VALID_INDEX.includes(index)) return this._send(res, 404, 'Sorry, that index was not found');
+      if (!isSupported(currency)) return this._send(res, 404, 'Sorry, that currency was not found');
+      const range = getRange(now, query);
+      if (range === null) return this._send(res, 404, `Sorry, the CoinDesk BPI only covers data from ${ settings.MOCK_FIRST_DATE } onwards.`);
+      body = data.getHistorical(now, range.start, range.end, { currency, index, seed });
+    } else if (resource === settings.API_ENDPOINTS[settings.API_SUPPORTED_CURRENCIES_DATA_TYPE]) {
+      body = data.getSupportedCurrencies();
+    } else {
+      return this._send(res, 404, 'Sorry, that page was not found');
+    }
+    let json = JSON.stringify(body);
+    if (malformed) json = json.slice(0, Math.ceil(json.length / 2));
+    this._send(res, 200, json, { 'Content-Type': 'application/javascript' });
+  }
+
+  /**
+   * Answers a redirect hop, serving the resource after the last one.
+   *
+   * @access   protected
+   * @memberof MockCoindeskServer
+   *
+   * @function
+   * @param  {IncomingMessage} req Http request.
+   * @param  {ServerResponse}  res Http response.
+   * @param  {URL}             url Request url (/__mock/redirect/{hops}/{original url}).
+   */
+  _redirect(req, res, url) {
+    const match = req.url.slice(REDIRECT_PATH.length).match(/^\/(\d+)(\/.*)$/);
+    if (match === null) return this._send(res, 404, 'Sorry, that page was not found');
+    const hops = Number(match[1]);
+    const target = new URL(match[2], 'http://localhost');
+    if (hops > 0) return this._sendRedirect(res, hops - 1, match[2]);
+    this._serve(req, res, target);
+  }
+
+  /**
+   * Handles fault control requests.
+   *
+   * @access   protected
+   * @memberof MockCoindeskServer
+   *
+   * @function
+   * @param  {IncomingMessage} req Http request.
+   * @param  {ServerResponse}  res Http response.
+   * @param  {URL}             url Request url.
+   * @return {Promise} Resolves when the response is sent.
+   */
+  async _control(req, res, url) {
+    const json = { 'Content-Type': 'application/json' };
+    if (url.pathname === `${ CONTROL_PATH }/faults` && req.method === 'POST') {
+      let fault;
+      try {
+        fault = this.inject(JSON.parse(await readBody(req)));
+      } catch (err) {
+        return this._send(res, 400, JSON.stringify({ error: err.message }), json);
+      }
+      return this._send(res, 201, JSON.stringify(fault), json);
+    } else if (url.pathname === `${ CONTROL_PATH }/faults` && req.method === 'DELETE') {
+      this.clearFaults();
+      return this._send(res, 204, '');
+    } else if (url.pathname === `${ CONTROL_PATH }/faults` && req.method === 'GET') {
+      return this._send(res, 200, JSON.stringify(this.faults.map(fault => describeFault(fault))), json);
+    } else if (url.pathname === `${ CONTROL_PATH }/requests` && req.method === 'GET') {
+      return this._send(res, 200, JSON.stringify(this.requests), json);
+    }
+    this._send(res, 404, 'Sorry, that page was not found');
+  }
+
+  /**
+   * Returns the first fault matching the url consuming one of its times.
+   *
+   * @access   protected
+   * @memberof MockCoindeskServer
+   *
+   * @function
+   * @param  {String} url Request url.
+   * @return {Object} Matching fault or null.
+   */
+  _takeFault(url) {
+    const prefix = settings.API_COINDESK_SETUP.path;
+    const fault = _private(this).faults.find(fault => {
+      if (fault.path === null) return true;
+      if (fault.path instanceof RegExp) return fault.path.test(url);
+      return url.startsWith(fault.path) || url.startsWith(`${ prefix }/${ fault.path.replace(/^\//, '') }`);
+    });
+    if (fault === undefined) return null;
+    fault.times -= 1;
+    if (fault.times <= 0) _private(this).faults = _private(this).faults.filter(item => item !== fault);
+    return fault;
+  }
+
+  /**
+   * Answers a redirect to the next redirect hop.
+   *
+   * @access   protected
+   * @memberof MockCoindeskServer
+   *
+   * @function
+   * @param  {ServerResponse} res  Http response.
+   * @param  {Number}         hops Number of redirects left.
+   * @param  {String}         url  Original request url.
+   */
+  _sendRedirect(res, hops, url) {
+    this._send(res, 302, '', { 'Location': `${ REDIRECT_PATH }/${ hops }${ url }` });
+  }
+
+  /**
+   * Answers a response with a text body by default.
+   *
+   * @access   protected
+   * @memberof MockCoindeskServer
+   *
+   * @function
+   * @param  {ServerResponse} res     Http response.
+   * @param  {Number}         status  Http status code.
+   * @param  {String}         body    Response body.
+   * @param  {Object}         headers Response headers overriding the defaults.
+   */
+  _send(res, status, body, headers = {}) {
+    res.writeHead(status, Object.assign({
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body)
+    }, headers));
+    res.end(body);
+  }
+}
+
+/**
+ * Validates a fault returning it with default values.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Object} fault Fault settings.
+ * @return {Object} Validated fault.
+ *
+ * @throws {CoindeskAPIMockError}
+ */
+let validateFault = (fault) => {
+  const invalid = (message) => {
+    logger.error(`[MockCoindeskServer] Fault error: ${ message }`);
+    return new CoindeskAPIMockError(message);
+  };
+  if (fault === null || typeof fault !== 'object') throw invalid('Fault must be an object.');
+  const {
+    path = null,
+    times = Infinity,
+    latency = 0,
+    drop = false,
+    redirect = 0,
+    status = null,
+    body = null,
+    headers = {},
+    malformed = false
+  } = fault;
+  if (path !== null && typeof path !== 'string' && !(path instanceof RegExp)) throw invalid('Fault path must be string or RegExp.');
+  if (times !== Infinity && (!Number.isInteger(times) || times < 1)) throw invalid(`Fault times ${ times } must be positive integer number.`);
+  if (!Number.isInteger(latency) || latency < 0) throw invalid(`Fault latency ${ latency } must be non negative integer number.`);
+  if (!Number.isInteger(redirect) || redirect < 0) throw invalid(`Fault redirect ${ redirect } must be non negative integer number.`);
+  if (status !== null && (!Number.isInteger(status) || status < 400 || status > 599)) throw invalid(`Fault status ${ status } must be 4xx or 5xx code.`);
+  if (body !== null && typeof body !== 'string') throw invalid('Fault body must be string.');
+  const actions = [drop === true, redirect > 0, status !== null, malformed === true].filter(Boolean).length;
+  if (actions > 1) throw invalid('Fault must set only one of drop, redirect, status or malformed.');
+  if (actions === 0 && latency === 0) throw invalid('Fault must set latency, drop, redirect, status or malformed.');
+  return { path, times, latency, drop: drop === true, redirect, status, body, headers, malformed: malformed === true };
+};
+
+/**
+ * Returns a fault description for logs and the control api.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Object} fault Validated fault.
+ * @return {String} Fault action, latency, path and times left.
+ */
+let describeFault = (fault) => {
+  const action = fault.drop ? 'drop' : fault.redirect > 0 ? `redirect ${ fault.redirect }` :
+    fault.status !== null ? `status ${ fault.status }` : fault.malformed ? 'malformed' : 'latency';
+  return `${ action }${ fault.latency > 0 ? ` after ${ fault.latency } ms` : '' } on ${ fault.path !== null ? fault.path : 'all' } (${ fault.times } times left)`;
+};
+
+/**
+ * Returns whether Coindesk API supports the currency.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {String}  currency Currency code.
+ * @return {Boolean} True if the currency is supported.
+ */
+let isSupported = (currency) => supportedCurrencies.some(item => item.currency === currency);
+
+/**
+ * Returns whether a query value is an existing day in YYYY-MM-DD format.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {String}  day Query parameter value.
+ * @return {Boolean} True if the value is a valid day.
+ */
+let isDay = (day) => /^\d{4}-\d{2}-\d{2}$/.test(day) && !isNaN(Date.parse(day)) && data.formatDay(Date.parse(day)) === day;
+
+/**
+ * Returns the historical dates range for the query.
+ *
+ * Defaults to the last 31 days before today and to yesterday with the
+ * for parameter.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Date}   now   Current date.
+ * @param  {Object} query Request query parameters.
+ * @return {Object} Start and end dates or null when invalid.
+ */
+let getRange = (now, query) => {
+  const yesterday = data.formatDay(now.getTime() - DAY);
+  if (query.for !== undefined) return settings.VALID_FOR.includes(query.for) ? { start: yesterday, end: yesterday } : null;
+  if (query.start === undefined && query.end === undefined) {
+    return { start: data.formatDay(now.getTime() - 31 * DAY), end: yesterday };
+  }
+  const { start, end } = query;
+  if (!isDay(start) || !isDay(end) || start > end || start < settings.MOCK_FIRST_DATE) return null;
+  return { start, end: end < data.formatDay(now.getTime()) ? end : yesterday };
+};
+
+/**
+ * Reads an http request body.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {IncomingMessage} req Http request.
+ * @return {Promise} Resolves with the body text.
+ */
+let readBody = (req) => {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+};
+
+module.exports = { MockCoindeskServer };
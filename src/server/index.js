@@ -0,0 +1,374 @@
+/**
+ * Coindesk API caching proxy server.
+ *
+ * @file Defines CoindeskAPIServer class exposing the client as a REST API.
+ */
+
+const http = require('http');
+const EventEmitter = require('events');
+const { _private } = require('../coindesk/weakmap');
+const { getLogger } = require('../logger/service');
+const { BaseError } = require('../errors');
+const { CoindeskAPIClientError } = require('../errors');
+const { CoindeskAPIValidationError } = require('../errors');
+const { CoindeskAPINotFoundError } = require('../errors');
+const { CoindeskAPITimeoutError } = require('../errors');
+const { CoindeskAPIRateLimitError } = require('../errors');
+const { CoindeskAPICircuitOpenError } = require('../errors');
+const { CoindeskAPIClient } = require('../coindesk/client');
+const utils = require('../coindesk/utils');
+const settings = require('../settings');
+
+const logger = getLogger(__filename);
+
+/**
+ * Constructs an instance of HttpError class.
+ *
+ * Raised by route handlers for requests the server rejects itself.
+ *
+ * @access private
+ * @class
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Constructs an instance of CoindeskAPIServer class.
+ *
+ * Serves Coindesk API data over plain http from a response cache shared
+ * by every request, so that many local services poll Coindesk API once.
+ * Routes (GET only):
+ *
+ *   - /currentprice and /currentprice/:currency
+ *   - /historical?index=&currency=&start=&end=&for=
+ *   - /currencies
+ *   - /health
+ *
+ * Responses are the Coindesk API json data. Errors are json objects
+ * with error, message and code (library errors) properties: 400 for
+ * invalid parameters, 404 for unknown routes, 405 for methods other
+ * than GET, 429 when the client rate limit wait is exceeded, 502 when
+ * Coindesk API request fails, 504 when it times out and 503 while the
+ * circuit breaker is open or shutting down. Emits listening, close and error events.
+ *
+ * @access public
+ * @class
+ */
+class CoindeskAPIServer extends EventEmitter {
+
+  /**
+   * Constructs an instance of CoindeskAPIServer class.
+   *
+   * @access     public
+   * @constructs CoindeskAPIServer
+   *
+   * @constructor
+   * @param  {Object}  server                 Server settings.
+   * @param  {Number}  server.port            Listening port (0 for a random port).
+   * @param  {String}  server.host            Listening host.
+   * @param  {Number}  server.shutdownTimeout Number of miliseconds to wait for in-flight requests on close.
+   * @param  {Number}  server.retries         Maximum number of request attempts before failing.
+   * @param  {Number}  server.redirects       Maximum number of request redirects allowed.
+   * @param  {Number}  server.timeout         Number of miliseconds before throw request timeout error.
+   * @param  {Boolean} server.backoff         Enable/disable http request retry backoff.
+   * @param  {Object}  server.options         Optional client settings (cache enabled by default).
+   * @return {CoindeskAPIServer} Class instance.
+   *
+   * @throws {CoindeskAPIValidationError}
+   */
+  constructor({
+    port = settings.SERVER_PORT,
+    host = settings.SERVER_HOST,
+    shutdownTimeout = settings.SERVER_SHUTDOWN_TIMEOUT,
+    retries = 3,
+    redirects = 5,
+    timeout = 5000,
+    backoff = true,
+    options = {}
+  } = {}) {
+    super();
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      const message = `Port ${ port } must be integer number between 0 and 65535.`;
+      logger.error(`[CoindeskAPIServer] Port error: ${ message }`);
+      throw new CoindeskAPIValidationError(message, { param: 'port', value: port });
+    }
+    if (!Number.isInteger(shutdownTimeout) || shutdownTimeout < 0) {
+      const message = `Shutdown timeout ${ shutdownTimeout } must be non negative integer number.`;
+      logger.error(`[CoindeskAPIServer] Shutdown timeout error: ${ message }`);
+      throw new CoindeskAPIValidationError(message, { param: 'shutdownTimeout', value: shutdownTimeout });
+    }
+    options = Object.assign({ cache: true }, options);
+    _private(this).requestSettings = CoindeskAPIClient.validate(retries, redirects, timeout, backoff, options);
+    _private(this).port = port;
+    _private(this).host = host;
+    _private(this).shutdownTimeout = shutdownTimeout;
+    _private(this).clients = new Map();
+    _private(this).server = null;
+    _private(this).sockets = new Map();
+    _private(this).closing = null;
+    _private(this).startedAt = null;
+  }
+
+  /**
+   * Returns instance string representation.
+   *
+   * @access   public
+   * @memberof CoindeskAPIServer
+   *
+   * @function
+   * @return {String} CoindeskAPIServer class instance string representation.
+   */
+  toString() {
+    return `Coindesk API Server -
+      Class:     ${ this.constructor.name },
+      Address:   ${ this.url },
+      Listening: ${ this.listening }`;
+  }
+
+  /**
+   * Returns whether the server is listening.
+   *
+   * @access   public
+   * @memberof CoindeskAPIServer
+   *
+   * @property {Function}
+   * @return   {Boolean}  True when listening for requests.
+   */
+  get listening() {
+    return _private(this).server !== null && _private(this).server.listening;
+  }
+
+  /**
+   * Returns the shared response cache.
+   *
+   * @access   public
+   * @memberof CoindeskAPIServer
+   *
+   * @property {Function}
+   * @return   {ResponseCache} Response cache or null when disabled.
+   */
+  get cache() {
+    return _private(this).requestSettings[4].cache;
+  }
+
+  /**
+   * Returns the server base url.
+   *
+   * @access   public
+   * @memberof CoindeskAPIServer
+   *
+   * @property {Function}
+   * @return   {String}   Base url or null when not listening.
+   */
+  get url() {
+    if (!this.listening) return null;
+    const { address, port } = _private(this).server.address();
+    const host = address.includes(':') ? `[${ address }]` : address;
+    return `http://${ host }:${ port }`;
+  }
+
+  /**
+   * Starts listening for requests.
+   *
+   * @access   public
+   * @memberof CoindeskAPIServer
+   *
+   * @function
+   * @return {Promise} Resolves with the server base url when listening.
+   */
+  listen() {
+    if (this.listening) return Promise.resolve(this.url);
+    const server = http.createServer((req, res) => this._handle(req, res));
+    server.on('connection', socket => {
+      _private(this).sockets.set(socket, 0);
+      socket.on('close', () => _private(this).sockets.delete(socket));
+    });
+    server.on('error', err => {
+      logger.error(`[CoindeskAPIServer] Server error: ${ err.message }`);
+      if (this.listenerCount('error') > 0) this.emit('error', err);
+    });
+    _private(this).server = server;
+    _private(this).closing = null;
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(_private(this).port, _private(this).host, () => {
+        server.removeListener('error', reject);
+        _private(this).startedAt = Date.now();
+        logger.info(`[CoindeskAPIServer] Listening on ${ this.url }`);
+        this.emit('listening', this.url);
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stops the server gracefully.
+   *
+   * Stops accepting connections, answers 503 to requests arriving on
+   * open connections, closes idle connections and waits for in-flight
+   * requests. Connections still busy after the shutdown timeout are
+   * destroyed.
+   *
+   * @access   public
+   * @memberof CoindeskAPIServer
+   *
+   * @function
+   * @return {Promise} Resolves when the server is closed.
+   */
+  close() {
+    const server = _private(this).server;
+    if (server === null) return Promise.resolve();
+    if (_private(this).closing !== null) return _private(this).closing;
+    _private(this).closing = new Promise(resolve => {
+      const timer = setTimeout(() => {
+        logger.warn(`[CoindeskAPIServer] Shutdown timeout: destroying ${ _private(this).sockets.size } connections`);
+        _private(this).sockets.forEach((pending, socket) => socket.destroy());
+      }, _private(this).shutdownTimeout);
+      server.close(() => {
+        clearTimeout(timer);
+        _private(this).server = null;
+        logger.info('[CoindeskAPIServer] Closed');
+        this.emit('close');
+        resolve();
+      });
+      _private(this).sockets.forEach((pending, socket) => {
+        if (pending === 0) socket.end();
+      });
+    });
+    return _private(this).closing;
+  }
+
+  /**
+   * Handles an http request.
+   *
+   * @access   protected
+   * @memberof CoindeskAPIServer
+   *
+   * @function
+   * @param  {IncomingMessage} req Http request.
+   * @param  {ServerResponse}  res Http response.
+   * @return {Promise} Resolves when the response is sent.
+   */
+  async _handle(req, res) {
+    const sockets = _private(this).sockets;
+    const socket = req.socket;
+    sockets.set(socket, (sockets.get(socket) || 0) + 1);
+    res.on('finish', () => {
+      if (!sockets.has(socket)) return;
+      sockets.set(socket, sockets.get(socket) - 1);
+      if (_private(this).closing !== null && sockets.get(socket) === 0) socket.end();
+    });
+
+    let status = 200;
+    let body;
+    try {
+      if (_private(this).closing !== null) throw new HttpError(503, 'Server is shutting down.');
+      if (req.method !== 'GET') throw new HttpError(405, `Method ${ req.method } not allowed.`);
+      const url = new URL(req.url, 'http://localhost');
+      const query = Array.from(url.searchParams).reduce((params, [key, value]) => Object.assign(params, { [key]: value }), {});
+      body = await this._route(url.pathname.replace(/\/+$/, '') || '/', query);
+    } catch (err) {
+      status = this._getErrorStatus(err);
+      body = Object.assign({ error: http.STATUS_CODES[status], message: err.message }, err instanceof BaseError ? { code: err.code } : {});
+      const log = status >= 500 ? logger.error : logger.warn;
+      log.call(logger, `[CoindeskAPIServer] ${ req.method } ${ req.url } error: ${ status } - ${ err.message }`);
+    }
+    const data = JSON.stringify(body);
+    res.writeHead(status, Object.assign({
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(data)
+    }, status === 405 ? { 'Allow': 'GET' } : {}, _private(this).closing !== null ? { 'Connection': 'close' } : {}));
+    res.end(data);
+  }
+
+  /**
+   * Returns the json data for a route.
+   *
+   * @access   protected
+   * @memberof CoindeskAPIServer
+   *
+   * @function
+   * @param  {String}  pathname Request path without trailing slash.
+   * @param  {Object}  query    Request query parameters.
+   * @return {Promise} Response json data.
+   *
+   * @throws {HttpError}
+   */
+  async _route(pathname, query) {
+    const [, resource, currency, ...rest] = pathname.split('/');
+    if (rest.length > 0) throw new HttpError(404, `Route ${ pathname } not found.`);
+    if (resource === 'health' && currency === undefined) {
+      return {
+        status: 'ok',
+        uptime: Date.now() - _private(this).startedAt,
+        cache: this.cache !== null ? this.cache.stats : null
+      };
+    } else if (resource === settings.API_CURRENTPRICE_DATA_TYPE) {
+      const params = currency !== undefined ? Object.assign({}, query, { currency }) : query;
+      return this._startClient(settings.API_CURRENTPRICE_DATA_TYPE, params).get();
+    } else if (resource === settings.API_HISTORICAL_DATA_TYPE && currency === undefined) {
+      return this._startClient(settings.API_HISTORICAL_DATA_TYPE, query).get();
+    } else if (resource === 'currencies' && currency === undefined) {
+      return this._startClient(settings.API_CURRENTPRICE_DATA_TYPE, {}).getSupportedCurrencies();
+    }
+    throw new HttpError(404, `Route ${ pathname } not found.`);
+  }
+
+  /**
+   * Validates parameters and returns the client for them.
+   *
+   * Clients share the server settings and cache and are built once per
+   * data type and parameters, keeping the most recently used ones.
+   *
+   * @access   protected
+   * @memberof CoindeskAPIServer
+   *
+   * @function
+   * @param  {String} dataType Type of data to fetch from Coindesk API (currentprice or historical).
+   * @param  {Object} params   Coindesk API endpoint query parameters.
+   * @return {CoindeskAPIClient} Client instance.
+   *
+   * @throws {CoindeskAPIValidationError}
+   */
+  _startClient(dataType, params) {
+    params = utils.validateParams(dataType, Object.assign({}, params));
+    const clients = _private(this).clients;
+    const key = `${ dataType } ${ JSON.stringify(Object.keys(params).sort().map(param => [param, params[param]])) }`;
+    let client = clients.get(key);
+    if (client !== undefined) {
+      clients.delete(key);
+    } else {
+      client = new CoindeskAPIClient(dataType, params, ..._private(this).requestSettings);
+      if (clients.size >= settings.SERVER_MAX_CLIENTS) clients.delete(clients.keys().next().value);
+    }
+    clients.set(key, client);
+    return client;
+  }
+
+  /**
+   * Returns the http status code for an error.
+   *
+   * @access   protected
+   * @memberof CoindeskAPIServer
+   *
+   * @function
+   * @param  {Error}  err Route error.
+   * @return {Number} Http status code.
+   */
+  _getErrorStatus(err) {
+    if (err instanceof HttpError) return err.status;
+    if (err instanceof CoindeskAPIValidationError) return 400;
+    if (err instanceof CoindeskAPIRateLimitError) return 429;
+    if (err instanceof CoindeskAPICircuitOpenError) return 503;
+    if (err instanceof CoindeskAPITimeoutError) return 504;
+    if (err instanceof CoindeskAPINotFoundError) return 404;
+    if (err instanceof CoindeskAPIClientError) return 502;
+    return 500;
+  }
+}
+
+module.exports = { CoindeskAPIServer };
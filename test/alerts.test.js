@@ -0,0 +1,75 @@
+/**
+ * Coindesk API alert engine tests.
+ *
+ * @file Tests AlertEngine rule firing and cooldown.
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const { AlertEngine } = require('../src');
+
+const start = Date.parse('2020-01-01T00:00:00Z');
+
+/**
+ * Returns a currentprice response for the EUR price at a given offset.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Number} offset Miliseconds after the start time.
+ * @param  {Number} value  Bitcoin price in EUR.
+ * @return {Object} Currentprice response.
+ */
+let snapshot = (offset, value) => ({
+  time: { updatedISO: new Date(start + offset).toISOString() },
+  bpi: { EUR: { code: 'EUR', symbol: '&euro;', description: 'Euro', rate: String(value), rate_float: value } }
+});
+
+/**
+ * Evaluates the snapshots in order returning the number of fired alerts.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {AlertEngine} engine    Alert engine.
+ * @param  {Array}       snapshots Currentprice responses.
+ * @return {Promise}     Number of fired alerts.
+ */
+let evaluateAll = async (engine, snapshots) => {
+  let fired = 0;
+  for (const item of snapshots) fired += (await engine.evaluate(item)).length;
+  return fired;
+};
+
+test('AlertEngine fires a flapping condition once within the cooldown', async () => {
+  const engine = new AlertEngine({
+    rules: [{ id: 'eur-50k', type: 'cross', currency: 'EUR', direction: 'above', threshold: 50000, cooldown: 60000 }]
+  });
+  const fired = await evaluateAll(engine, [
+    snapshot(0, 49000),
+    snapshot(10000, 51000),
+    snapshot(20000, 49000),
+    snapshot(30000, 51000),
+    snapshot(40000, 49000),
+    snapshot(50000, 51000)
+  ]);
+  assert.strictEqual(fired, 1);
+});
+
+test('AlertEngine fires again once the cooldown has elapsed', async () => {
+  const engine = new AlertEngine({
+    rules: [{ id: 'eur-50k', type: 'cross', currency: 'EUR', direction: 'above', threshold: 50000, cooldown: 60000 }]
+  });
+  const alerts = [];
+  engine.on('alert', alert => alerts.push(alert));
+  await evaluateAll(engine, [
+    snapshot(0, 49000),
+    snapshot(10000, 51000),
+    snapshot(60000, 49000),
+    snapshot(70000, 51000)
+  ]);
+  assert.deepStrictEqual(alerts.map(alert => alert.time), [
+    new Date(start + 10000).toISOString(),
+    new Date(start + 70000).toISOString()
+  ]);
+});
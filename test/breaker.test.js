@@ -0,0 +1,68 @@
+/**
+ * Coindesk API circuit breaker tests.
+ *
+ * @file Tests CircuitBreaker state transitions and per host defaults.
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const { CircuitBreaker, CoindeskAPIClient, errors } = require('../src');
+
+const fail = () => Promise.reject(new Error('Service down'));
+const succeed = () => Promise.resolve('ok');
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('CircuitBreaker opens after the failure threshold and fails fast', async () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 2, cooldown: 1000 });
+  const states = [];
+  breaker.on('state', (state, previous) => states.push(`${ previous }->${ state }`));
+  await assert.rejects(breaker.run(fail), /Service down/);
+  assert.strictEqual(breaker.state, 'closed');
+  await assert.rejects(breaker.run(fail), /Service down/);
+  assert.strictEqual(breaker.state, 'open');
+  let called = false;
+  await assert.rejects(breaker.run(() => { called = true; return succeed(); }), errors.CoindeskAPICircuitOpenError);
+  assert.strictEqual(called, false);
+  assert.deepStrictEqual(states, ['closed->open']);
+});
+
+test('CircuitBreaker lets a single probe through once the cooldown elapses', async () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 1, cooldown: 30 });
+  await assert.rejects(breaker.run(fail));
+  await wait(40);
+  const probe = breaker.run(() => wait(20).then(succeed));
+  assert.strictEqual(breaker.state, 'half-open');
+  await assert.rejects(breaker.run(succeed), errors.CoindeskAPICircuitOpenError);
+  assert.strictEqual(await probe, 'ok');
+  assert.strictEqual(breaker.state, 'closed');
+  assert.strictEqual(breaker.failures, 0);
+});
+
+test('CircuitBreaker opens again when the probe fails', async () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 3, cooldown: 30 });
+  const states = [];
+  breaker.on('state', state => states.push(state));
+  for (let attempt = 0; attempt < 3; attempt++) await assert.rejects(breaker.run(fail));
+  await wait(40);
+  await assert.rejects(breaker.run(fail), /Service down/);
+  assert.strictEqual(breaker.state, 'open');
+  assert.deepStrictEqual(states, ['open', 'half-open', 'open']);
+});
+
+test('CircuitBreaker ignores errors rejected by the failure predicate', async () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 1 });
+  await assert.rejects(breaker.run(fail, () => false));
+  assert.strictEqual(breaker.state, 'closed');
+  assert.strictEqual(breaker.failures, 0);
+});
+
+test('Clients share the default circuit breaker of their base url host', () => {
+  const start = (options) => CoindeskAPIClient.start('currentprice', {}, 1, 1, 1000, false, options);
+  const coindesk = start({});
+  const local = start({ baseUrl: 'http://localhost:8080/v1/bpi' });
+  assert.strictEqual(coindesk.circuitBreaker, CircuitBreaker.default);
+  assert.strictEqual(local.circuitBreaker, CircuitBreaker.forHost('localhost:8080'));
+  assert.notStrictEqual(local.circuitBreaker, coindesk.circuitBreaker);
+  local.baseUrl = 'https://api.coindesk.com/v1/bpi';
+  assert.strictEqual(local.circuitBreaker, CircuitBreaker.default);
+});
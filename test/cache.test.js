@@ -0,0 +1,49 @@
+/**
+ * Coindesk API response cache tests.
+ *
+ * @file Tests cache option validation and time to live by data type.
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const { CoindeskAPIClient, errors } = require('../src');
+
+const url = 'https://api.coindesk.com/v1/bpi/currentprice.json';
+
+/**
+ * Returns the response cache of a client started with the cache option.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Object}        cache Cache option.
+ * @return {ResponseCache} Client response cache.
+ */
+let startCache = (cache) => {
+  return CoindeskAPIClient.start('currentprice', {}, 1, 0, 1000, false, { cache, circuitBreaker: false, coalesce: false }).cache;
+};
+
+test('Cache ttl accepts a number or an object by data type', () => {
+  assert.strictEqual(startCache({ ttl: 5000 }).getTtl(url), 5000);
+  assert.strictEqual(startCache({ ttl: { currentprice: 30000 } }).getTtl(url), 30000);
+  assert.strictEqual(startCache({ ttl: { currentprice: null } }).getTtl(url), null);
+});
+
+test('Cache rejects invalid maxEntries and ttl', () => {
+  const invalid = [
+    [{ maxEntries: 0 }, 'maxEntries'],
+    [{ maxEntries: 1.5 }, 'maxEntries'],
+    [{ maxEntries: '10' }, 'maxEntries'],
+    [{ ttl: -1 }, 'ttl'],
+    [{ ttl: '60000' }, 'ttl'],
+    [{ ttl: { currentprice: NaN } }, 'ttl'],
+    [{ ttl: { unknown: 1000 } }, 'ttl']
+  ];
+  invalid.forEach(([cache, param]) => {
+    assert.throws(() => startCache(cache), err => {
+      assert.ok(err instanceof errors.CoindeskAPIValidationError);
+      assert.strictEqual(err.param, param);
+      return true;
+    });
+  });
+});
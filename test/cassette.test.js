@@ -0,0 +1,37 @@
+/**
+ * Coindesk API cassette tests.
+ *
+ * @file Tests Cassette recording redacts request header credentials.
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Cassette } = require('../src/coindesk/cassette');
+
+test('Cassette records request header credentials redacted', () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'coindesk-')), 'cassette.json');
+  const cassette = new Cassette(filePath);
+  const headers = {
+    Accept: 'application/json',
+    Authorization: 'Bearer secret',
+    Cookie: 'session=secret',
+    'X-Api-Key': 'secret',
+    'X-Auth-Token': 'secret',
+    'User-Agent': 'coindesk'
+  };
+  cassette.record({ url: 'https://api.coindesk.com/v1/bpi/currentprice.json', headers }, { status: 200, statusText: 'OK', headers: {}, body: '{}' });
+  const { interactions } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.deepStrictEqual(interactions[0].request.headers, {
+    Accept: 'application/json',
+    Authorization: 'REDACTED',
+    Cookie: 'REDACTED',
+    'X-Api-Key': 'REDACTED',
+    'X-Auth-Token': 'REDACTED',
+    'User-Agent': 'coindesk'
+  });
+  assert.strictEqual(headers.Authorization, 'Bearer secret');
+  fs.rmSync(path.dirname(filePath), { recursive: true });
+});
@@ -0,0 +1,107 @@
+/**
+ * Coindesk API request coalescing tests.
+ *
+ * @file Tests RequestCoalescer keys and the requests shared by clients.
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const { CoindeskAPIClient, RequestCoalescer } = require('../src');
+
+const body = JSON.stringify({ time: {}, bpi: {} });
+
+/**
+ * Returns a transport answering after a delay and counting its requests.
+ *
+ * @access private
+ *
+ * @function
+ * @return {Object} Transport with request method and requests count.
+ */
+let createTransport = () => {
+  const transport = {
+    requests: 0,
+    request: async () => {
+      transport.requests++;
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return { status: 200, statusText: 'OK', headers: { 'content-type': 'application/json' }, body };
+    }
+  };
+  return transport;
+};
+
+/**
+ * Returns a client of the coalescer with the transport.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {RequestCoalescer} coalescer Request coalescer.
+ * @param  {Object}           transport Transport.
+ * @param  {Object}           settings  Client redirects, timeout and options.
+ * @return {CoindeskAPIClient} Client instance.
+ */
+let createClient = (coalescer, transport, { redirects = 5, timeout = 5000, options = {} } = {}) => {
+  options = Object.assign({ transport, coalesce: coalescer, circuitBreaker: false }, options);
+  return CoindeskAPIClient.start('currentprice', {}, 2, redirects, timeout, false, options);
+};
+
+test('RequestCoalescer key adds scope items by value or identity', () => {
+  const transport = {};
+  assert.strictEqual(RequestCoalescer.key('get', 'http://host/a'), 'GET http://host/a');
+  assert.strictEqual(RequestCoalescer.key('GET', 'http://host/a', ['x', transport]), RequestCoalescer.key('GET', 'http://host/a', ['x', transport]));
+  assert.notStrictEqual(RequestCoalescer.key('GET', 'http://host/a', [{}]), RequestCoalescer.key('GET', 'http://host/a', [{}]));
+});
+
+test('RequestCoalescer shares concurrent calls and returns copies', async () => {
+  const coalescer = new RequestCoalescer();
+  let calls = 0;
+  const task = async () => {
+    calls++;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return { value: 1 };
+  };
+  const [first, second] = await Promise.all([coalescer.run('key', task), coalescer.run('key', task)]);
+  assert.strictEqual(calls, 1);
+  assert.deepStrictEqual(first, second);
+  assert.notStrictEqual(first, second);
+  assert.deepStrictEqual(coalescer.stats, { requests: 1, coalesced: 1, inFlight: 0 });
+});
+
+test('Clients with identical settings share one request', async () => {
+  const coalescer = new RequestCoalescer();
+  const transport = createTransport();
+  await Promise.all([1, 2, 3].map(() => createClient(coalescer, transport).get()));
+  assert.strictEqual(transport.requests, 1);
+  assert.deepStrictEqual(coalescer.stats, { requests: 1, coalesced: 2, inFlight: 0 });
+});
+
+test('Clients with other transport, timeout, redirects or retry policy do not share requests', async () => {
+  const coalescer = new RequestCoalescer();
+  const transport = createTransport();
+  const other = createTransport();
+  await Promise.all([
+    createClient(coalescer, transport).get(),
+    createClient(coalescer, other).get(),
+    createClient(coalescer, transport, { timeout: 100 }).get(),
+    createClient(coalescer, transport, { redirects: 0 }).get(),
+    createClient(coalescer, transport, { options: { retryPolicy: { maxAttempts: 5 } } }).get()
+  ]);
+  assert.strictEqual(transport.requests, 4);
+  assert.strictEqual(other.requests, 1);
+  assert.strictEqual(coalescer.stats.coalesced, 0);
+});
+
+test('Clients with interceptors only share requests with the same interceptors', async () => {
+  const coalescer = new RequestCoalescer();
+  const transport = createTransport();
+  const interceptor = { name: 'tracer', onRequest: () => undefined };
+  await Promise.all([
+    createClient(coalescer, transport).get(),
+    createClient(coalescer, transport, { options: { interceptors: [interceptor] } }).get(),
+    createClient(coalescer, transport, { options: { interceptors: [interceptor] } }).get(),
+    createClient(coalescer, transport, { options: { interceptors: [{ onRequest: () => undefined }] } }).get()
+  ]);
+  assert.strictEqual(transport.requests, 3);
+  assert.strictEqual(coalescer.stats.coalesced, 1);
+});
@@ -0,0 +1,28 @@
+/**
+ * Coindesk API drift detector tests.
+ *
+ * @file Tests DriftDetector shared instances.
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const { DriftDetector } = require('../src');
+const settings = require('../src/settings');
+
+test('DriftDetector shares a detector per settings', () => {
+  const detector = DriftDetector.shared({ maxEntries: 10 });
+  assert.strictEqual(DriftDetector.shared({ maxEntries: 10 }), detector);
+  assert.notStrictEqual(DriftDetector.shared({ maxEntries: 20 }), detector);
+  assert.strictEqual(DriftDetector.shared(), DriftDetector.default);
+});
+
+test('DriftDetector evicts the least recently used shared detector', () => {
+  const oldest = DriftDetector.shared({ currencies: ['USD'], maxEntries: 1 });
+  const recent = DriftDetector.shared({ currencies: ['USD'], maxEntries: 2 });
+  for (let maxEntries = 3; maxEntries < settings.DRIFT_MAX_SHARED + 3; maxEntries++) {
+    DriftDetector.shared({ currencies: ['USD'], maxEntries });
+    DriftDetector.shared({ currencies: ['USD'], maxEntries: 2 });
+  }
+  assert.strictEqual(DriftDetector.shared({ currencies: ['USD'], maxEntries: 2 }), recent);
+  assert.notStrictEqual(DriftDetector.shared({ currencies: ['USD'], maxEntries: 1 }), oldest);
+});
@@ -0,0 +1,42 @@
+/**
+ * Coindesk API error hierarchy tests.
+ *
+ * @file Tests client call errors are CoindeskAPIClientError subclasses.
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const { CoindeskAPIClient, errors } = require('../src');
+
+/**
+ * Returns a client of the transport without retries.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Function} transport Transport function.
+ * @return {CoindeskAPIClient} Client instance.
+ */
+let createClient = (transport) => {
+  return CoindeskAPIClient.start('currentprice', {}, 1, 0, 1000, false, { transport, circuitBreaker: false, coalesce: false });
+};
+
+test('CoindeskAPIClient rejects status errors as CoindeskAPIClientError', async () => {
+  const client = createClient(async () => ({ status: 404, statusText: 'Not Found', headers: {}, body: '' }));
+  await assert.rejects(client.get(), err => {
+    assert.ok(err instanceof errors.CoindeskAPINotFoundError);
+    assert.ok(err instanceof errors.CoindeskAPIClientError);
+    assert.strictEqual(err.code, errors.CoindeskAPINotFoundError.code);
+    return true;
+  });
+});
+
+test('CoindeskAPIClient rejects interceptor errors as CoindeskAPIClientError', async () => {
+  const client = createClient(async () => ({ status: 200, statusText: 'OK', headers: {}, body: '{}' }));
+  client.interceptors.use({ name: 'failing', onRequest: () => { throw new Error('Hook failed'); } });
+  await assert.rejects(client.get(), err => {
+    assert.ok(err instanceof errors.CoindeskAPIInterceptorError);
+    assert.ok(err instanceof errors.CoindeskAPIClientError);
+    return true;
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Coindesk API historical range tests.
+ *
+ * @file Tests CoindeskAPIClient getHistoricalRange chunks and concurrency.
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const { CoindeskAPIClient, errors } = require('../src');
+
+/**
+ * Returns a transport answering historical responses for the requested dates.
+ *
+ * @access private
+ *
+ * @function
+ * @return {Object} Transport with request method and requested urls.
+ */
+let createTransport = () => {
+  const transport = {
+    urls: [],
+    request: async ({ url }) => {
+      transport.urls.push(url);
+      const { searchParams } = new URL(url);
+      const bpi = { [searchParams.get('start')]: 100, [searchParams.get('end')]: 200 };
+      const body = JSON.stringify({ bpi, disclaimer: 'Test', time: { updated: 'Jan 1, 2020', updatedISO: '2020-01-01T00:00:00+00:00' } });
+      return { status: 200, statusText: 'OK', headers: { 'content-type': 'application/json' }, body };
+    }
+  };
+  return transport;
+};
+
+/**
+ * Returns a client of the transport without retries.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Object} transport Transport.
+ * @return {CoindeskAPIClient} Client instance.
+ */
+let createClient = (transport) => {
+  return CoindeskAPIClient.start('historical', {}, 1, 0, 1000, false, { transport, circuitBreaker: false, coalesce: false });
+};
+
+test('getHistoricalRange fetches every chunk with bounded concurrency', async () => {
+  const transport = createTransport();
+  const result = await createClient(transport).getHistoricalRange('2019-01-01', '2019-01-10', { chunkDays: 4, concurrency: 2 });
+  assert.strictEqual(transport.urls.length, 3);
+  assert.strictEqual(result.complete, true);
+  assert.deepStrictEqual(result.chunks.map(chunk => chunk.start), ['2019-01-01', '2019-01-05', '2019-01-09']);
+});
+
+test('getHistoricalRange rejects concurrency other than a positive integer', async () => {
+  const transport = createTransport();
+  const client = createClient(transport);
+  for (const concurrency of [0, -1, 1.5, NaN, '2', null]) {
+    await assert.rejects(client.getHistoricalRange('2019-01-01', '2019-01-10', { concurrency }), err => {
+      assert.ok(err instanceof errors.CoindeskAPIValidationError);
+      assert.strictEqual(err.param, 'concurrency');
+      return true;
+    });
+  }
+  assert.strictEqual(transport.urls.length, 0);
+});
@@ -0,0 +1,55 @@
+/**
+ * Coindesk API response model tests.
+ *
+ * @file Tests CurrentPrice and HistoricalSeries models parsing and validation.
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const { CoindeskAPIResponse, CurrentPrice, HistoricalSeries, errors } = require('../src');
+
+const currentPrice = {
+  time: { updated: 'Jan 1, 2020 00:00:00 UTC', updatedISO: '2020-01-01T00:00:00+00:00', updateduk: 'Jan 1, 2020 at 00:00 GMT' },
+  disclaimer: 'Test',
+  chartName: 'Bitcoin',
+  bpi: {
+    USD: { code: 'USD', symbol: '&#36;', rate: '7,000.0000', description: 'United States Dollar', rate_float: 7000 },
+    GBP: { code: 'GBP', symbol: '&pound;', rate: '6,000.0000', description: 'British Pound Sterling', rate_float: 6000 },
+    EUR: { code: 'EUR', symbol: '&euro;', rate: '6,500.0000', description: 'Euro', rate_float: 6500 }
+  }
+};
+
+const historical = {
+  bpi: { '2020-01-01': 7000, '2020-01-02': 7100 },
+  disclaimer: 'Test',
+  time: { updated: 'Jan 3, 2020 00:00:00 UTC', updatedISO: '2020-01-03T00:00:00+00:00' }
+};
+
+test('CoindeskAPIResponse parses responses into models', () => {
+  const snapshot = CoindeskAPIResponse.parse(currentPrice, 'currentprice');
+  assert.ok(snapshot instanceof CurrentPrice);
+  assert.strictEqual(snapshot.getRate('EUR').value, 6500);
+  const series = CoindeskAPIResponse.parse(historical, 'historical');
+  assert.ok(series instanceof HistoricalSeries);
+  assert.deepStrictEqual(series.values, [7000, 7100]);
+});
+
+test('Parsed models keep the deprecated response accessors', () => {
+  const snapshot = CoindeskAPIResponse.parse(currentPrice, 'currentprice');
+  assert.deepStrictEqual(snapshot.responseItems, ['time', 'disclaimer', 'chartName', 'bpi']);
+  assert.deepStrictEqual(snapshot.getResponseItem('bpi').EUR, currentPrice.bpi.EUR);
+  assert.strictEqual(snapshot.getResponseItem('unknown'), null);
+  assert.deepStrictEqual(JSON.parse(snapshot.JSONresponse).bpi, currentPrice.bpi);
+  const series = CoindeskAPIResponse.parse(historical, 'historical');
+  assert.deepStrictEqual(series.response.bpi, historical.bpi);
+  assert.strictEqual(series.getResponseItem('disclaimer'), 'Test');
+});
+
+test('HistoricalSeries rejects impossible dates', () => {
+  for (const date of ['2020-13-45', '2019-02-29', '2020-04-31']) {
+    assert.throws(() => new HistoricalSeries({ points: [{ date, close: 1 }] }), errors.CoindeskAPIModelError);
+  }
+  const series = new HistoricalSeries({ points: [{ date: '2020-02-29', close: 1 }] });
+  assert.strictEqual(series.at('2020-02-29'), 1);
+  assert.throws(() => series.at('2020-02-30'), errors.CoindeskAPIModelError);
+});
@@ -0,0 +1,110 @@
+/**
+ * Coindesk API retry policy tests.
+ *
+ * @file Tests RetryPolicy delays and Retry-After handling by the client.
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const { CoindeskAPIClient, RetryPolicy, errors } = require('../src');
+
+/**
+ * Returns a transport answering the responses in order, the last one repeatedly.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Array}  responses Responses with status and headers.
+ * @return {Object} Transport with request method and request times.
+ */
+let createTransport = (responses) => {
+  const transport = {
+    times: [],
+    request: async () => {
+      const response = responses[Math.min(transport.times.length, responses.length - 1)];
+      transport.times.push(Date.now());
+      return Object.assign({ statusText: '', body: JSON.stringify({ time: {}, bpi: {} }) }, response);
+    }
+  };
+  return transport;
+};
+
+/**
+ * Returns a client of the transport with the retry policy settings.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {Object} transport Transport.
+ * @param  {Object} policy    Retry policy settings.
+ * @return {CoindeskAPIClient} Client instance.
+ */
+let createClient = (transport, policy = {}) => {
+  return CoindeskAPIClient.start('currentprice', {}, 3, 1, 1000, true, {
+    transport,
+    coalesce: false,
+    circuitBreaker: false,
+    retryPolicy: policy
+  });
+};
+
+const json = { 'content-type': 'application/json' };
+
+test('RetryPolicy delays grow exponentially up to the maximum delay', () => {
+  const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 500, multiplier: 2, jitter: 'none' });
+  assert.deepStrictEqual([1, 2, 3, 4].map(attempt => policy.getDelay(attempt)), [100, 200, 400, 500]);
+  assert.strictEqual(policy.with({ backoff: false }).getDelay(3), 0);
+});
+
+test('RetryPolicy jitter keeps delays within their range', () => {
+  const full = new RetryPolicy({ baseDelay: 100, jitter: 'full' });
+  const equal = new RetryPolicy({ baseDelay: 100, jitter: 'equal' });
+  for (let run = 0; run < 50; run++) {
+    const delay = full.getDelay(2);
+    assert.ok(delay >= 0 && delay <= 200);
+    const halved = equal.getDelay(2);
+    assert.ok(halved >= 100 && halved <= 200);
+  }
+});
+
+test('RetryPolicy honours Retry-After beyond the maximum delay', () => {
+  const policy = new RetryPolicy({ maxDelay: 1000 });
+  assert.strictEqual(policy.getDelay(1, { status: 429, headers: { 'retry-after': '30' } }), 30000);
+  const date = new Date(Date.now() + 5000).toUTCString();
+  const delay = policy.getDelay(1, { status: 503, headers: { 'retry-after': date } });
+  assert.ok(delay > 3000 && delay <= 5000);
+  assert.strictEqual(policy.getRetryAfter({ status: 500, headers: { 'retry-after': '30' } }), null);
+  assert.strictEqual(policy.with({ retryAfter: false }).getRetryAfter({ status: 429, headers: { 'retry-after': '30' } }), null);
+});
+
+test('Client waits the Retry-After delay before retrying', async () => {
+  const transport = createTransport([
+    { status: 429, headers: { 'retry-after': '1' } },
+    { status: 200, headers: json }
+  ]);
+  await createClient(transport, { maxDelay: 10 }).get();
+  assert.strictEqual(transport.times.length, 2);
+  assert.ok(transport.times[1] - transport.times[0] >= 990);
+});
+
+test('Client fails at once when Retry-After exceeds the maximum Retry-After', async () => {
+  const transport = createTransport([{ status: 429, headers: { 'retry-after': '120' } }]);
+  await assert.rejects(createClient(transport).get(), err => {
+    assert.ok(err instanceof errors.CoindeskAPIRateLimitError);
+    assert.strictEqual(err.retryAfter, 120000);
+    return true;
+  });
+  assert.strictEqual(transport.times.length, 1);
+});
+
+test('Client fails at once when Retry-After exceeds the deadline', async () => {
+  const transport = createTransport([{ status: 503, headers: { 'retry-after': '2' } }]);
+  await assert.rejects(createClient(transport, { deadline: 1000 }).get(), errors.CoindeskAPIRateLimitError);
+  assert.strictEqual(transport.times.length, 1);
+});
+
+test('Client does not retry responses with a status the policy does not retry', async () => {
+  const transport = createTransport([{ status: 404, headers: json }]);
+  await assert.rejects(createClient(transport).get(), errors.CoindeskAPINotFoundError);
+  assert.strictEqual(transport.times.length, 1);
+});
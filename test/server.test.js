@@ -0,0 +1,84 @@
+/**
+ * Coindesk API server tests.
+ *
+ * @file Tests CoindeskAPIServer settings, error statuses and client reuse.
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const { CoindeskAPIServer, MockCoindeskServer, errors } = require('../src');
+
+/**
+ * Gets an url returning the status code and json body.
+ *
+ * @access private
+ *
+ * @function
+ * @param  {String}  url Request url.
+ * @return {Promise} Object with status and body.
+ */
+let get = (url) => {
+  return new Promise((resolve, reject) => {
+    http.get(url, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    }).on('error', reject);
+  });
+};
+
+/**
+ * Starts a mock Coindesk API and a server calling it.
+ *
+ * @access private
+ *
+ * @function
+ * @return {Promise} Object with mock, server and server url.
+ */
+let start = async () => {
+  const mock = new MockCoindeskServer({ now: () => new Date('2020-01-10T00:00:00Z') });
+  const baseUrl = await mock.listen();
+  const server = new CoindeskAPIServer({ port: 0, retries: 1, backoff: false, options: { baseUrl, cache: false, circuitBreaker: false } });
+  const url = await server.listen();
+  return { mock, server, url };
+};
+
+test('CoindeskAPIServer rejects invalid shutdown timeouts', () => {
+  for (const shutdownTimeout of [-1, 1.5, '1000', null]) {
+    assert.throws(() => new CoindeskAPIServer({ shutdownTimeout }), err => {
+      assert.ok(err instanceof errors.CoindeskAPIValidationError);
+      assert.strictEqual(err.param, 'shutdownTimeout');
+      return true;
+    });
+  }
+});
+
+test('CoindeskAPIServer answers 404 for Coindesk API resources not found', async () => {
+  const { mock, server, url } = await start();
+  try {
+    mock.inject({ status: 404, times: 1 });
+    const { status, body } = await get(`${ url }/currentprice`);
+    assert.strictEqual(status, 404);
+    assert.strictEqual(body.code, errors.CoindeskAPINotFoundError.code);
+  } finally {
+    await server.close();
+    await mock.close();
+  }
+});
+
+test('CoindeskAPIServer reuses the client for the same data type and params', async () => {
+  const { mock, server, url } = await start();
+  try {
+    const first = server._startClient('historical', { start: '2020-01-01', end: '2020-01-02' });
+    const second = server._startClient('historical', { end: '2020-01-02', start: '2020-01-01' });
+    assert.strictEqual(first, second);
+    assert.notStrictEqual(server._startClient('historical', { start: '2020-01-01', end: '2020-01-03' }), first);
+    assert.strictEqual((await get(`${ url }/historical?start=2020-01-01&end=2020-01-02`)).status, 200);
+    assert.strictEqual(mock.requests.length, 1);
+  } finally {
+    await server.close();
+    await mock.close();
+  }
+});
@@ -0,0 +1,40 @@
+/**
+ * Coindesk API price ticker tests.
+ *
+ * @file Tests PriceTicker error logging and polling timer.
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { PriceTicker, logging } = require('../src');
+
+test('PriceTicker logs poll errors without error listener', async () => {
+  const messages = [];
+  const capture = { error: message => messages.push(message), warn: () => {}, info: () => {}, debug: () => {} };
+  const previous = logging.setLogger(capture);
+  const transport = async () => ({ status: 404, statusText: 'Not Found', headers: {}, body: '' });
+  const ticker = new PriceTicker({ retries: 1, backoff: false, options: { transport, circuitBreaker: false, coalesce: false } });
+  try {
+    ticker.start();
+    await new Promise(resolve => setImmediate(resolve));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.ok(messages.some(message => message.startsWith('[PriceTicker] Poll error: USD')));
+  } finally {
+    ticker.stop();
+    logging.setLogger(previous);
+  }
+});
+
+test('PriceTicker polling timer does not keep the process alive', () => {
+  const script = `
+    const { PriceTicker } = require(${ JSON.stringify(path.join(__dirname, '..', 'src')) });
+    const body = JSON.stringify({ time: { updatedISO: new Date().toISOString() }, bpi: {} });
+    const transport = async () => ({ status: 200, statusText: 'OK', headers: { 'content-type': 'application/json' }, body });
+    new PriceTicker({ interval: 60000, options: { transport, circuitBreaker: false, coalesce: false } }).start();
+  `;
+  const child = spawnSync(process.execPath, ['-e', script], { timeout: 10000 });
+  assert.strictEqual(child.signal, null);
+  assert.strictEqual(child.status, 0);
+});